@@ -7,10 +7,83 @@
  *       No logic and no names have been changed.
  */
 import { DEFAULTS, TOOLS, UI_STRINGS } from './src/constants.js';
-import { callLLM as llmCall, parseAPIResponse as llmParse } from './src/services/llm.js';
+import {
+  callLLM as llmCall,
+  callLLMWithFallback,
+  answeredBy,
+  hasCredentials,
+  parseAPIResponse as llmParse,
+  listModels,
+  embedTexts,
+} from './src/services/llm.js';
+import { getProvider, listProviders, registerProvider, supportsVision } from './src/services/providers/index.js';
+import { abortable, abortError, isAbortError } from './src/services/http.js';
+import { planContext, buildSummaryRequest } from './src/services/context.js';
+import { contentText, contentImages } from './src/services/format.js';
+import { listProviderHealth } from './src/services/health.js';
+import { loadUsageLog, saveUsageLog, createUsageRecord, summarizeUsage, usageToCSV, dayKey } from './src/services/usage.js';
+import {
+  MAX_SCHEMA_REPAIRS,
+  validateReply,
+  describeSchemaErrors,
+  repairMessage,
+  loadSchemaTemplates,
+  saveSchemaTemplates,
+} from './src/services/structured.js';
+import { assertSchema } from './src/utils/json-schema.js';
+import { isImageFile, readImageFile } from './src/utils/images.js';
+import { setRecording, getRecording, clearRecording } from './src/services/fixtures.js';
+import { withoutImageData, saveImages, loadImages, clearImages } from './src/services/image-store.js';
+import {
+  MAX_STEP_BUDGET,
+  createTrace,
+  startStep,
+  endStep,
+  failStep,
+  finishTrace,
+  clip,
+  toolCallArguments,
+} from './src/services/trace.js';
+import { TOOL_POLICIES, toolPolicy, deniedToolResult } from './src/services/tool-policy.js';
+import { registerTool, unregisterTool, getTool, listTools, toolDefinitions } from './src/services/tool-registry.js';
+import { runInSandbox } from './src/services/sandbox.js';
+import { parseChartData, buildChartSpec } from './src/services/chart-data.js';
+import { ingestFile, getFile, listFiles, fileInfo, runFileOperation } from './src/services/files.js';
+import { getSearchBackend, listSearchBackends, registerSearchBackend, normalizeResults } from './src/services/search/index.js';
+import {
+  DEFAULT_TOP_K,
+  EMBEDDING_BATCH,
+  isIndexable,
+  indexDocument,
+  storeVectors,
+  searchDocuments,
+  listDocuments,
+  removeDocument,
+  clearDocuments,
+  documentIndexStats,
+  toPassage,
+  passageReference,
+  passagesMessage,
+} from './src/services/documents.js';
+import { MCP_TRANSPORTS, createMcpClient, mcpToolName, mcpToolResult } from './src/services/mcp.js';
+import {
+  toolError,
+  toToolErrorResult,
+  isToolError,
+  parseToolArguments,
+  validateToolArguments,
+  createLimiter,
+  runWithTimeout,
+} from './src/services/tool-runner.js';
 import * as renderer from './src/ui/renderer.js';
+import { chartSVGMarkup, svgToPNG } from './src/ui/charts.js';
 import { wireEvents, wireDragAndDrop, wireContextMenu } from './src/ui/events.js';
-import { debounce as utilDebounce, preventDefaults as utilPreventDefaults } from './src/utils/helpers.js';
+import {
+  debounce as utilDebounce,
+  preventDefaults as utilPreventDefaults,
+  uniqueId,
+  downloadFile,
+} from './src/utils/helpers.js';
 
 class GyaanSetu {
   constructor() {
@@ -44,10 +117,36 @@ class GyaanSetu {
     // ---------------------------------------------------------------------------
     // System Resources & Capabilities
     // ---------------------------------------------------------------------------
-    this.tools = this.initializeTools();
+    this.registerBuiltinTools();
     this.eventBus = new EventTarget();
     this.cache = new Map();
 
+    // One record per LLM call with token counts and estimated cost (persisted)
+    this.usageLog = loadUsageLog();
+
+    // Structured output: saved schema templates, and a schema for the next prompt only
+    this.schemaTemplates = loadSchemaTemplates();
+    this.pendingSchema = null;
+
+    // Image content parts attached to the next message
+    this.pendingImages = [];
+
+    // What failed to save ('conversations', 'images'), so the user is told once rather than on every save
+    this.saveFailures = new Set();
+
+    // Tool calls waiting for the user's approval, by approval id
+    this.pendingApprovals = new Map();
+
+    // Connected MCP servers by server id: { server, client, tools, status }
+    this.mcp = new Map();
+
+    // Cancels the in-flight LLM request and running tools (Stop button)
+    this.abortController = null;
+
+    // Messages waiting for the next animation frame to re-render (streaming)
+    this.renderQueue = new Set();
+    this.renderFrame = null;
+
     this.performanceObserver = null;
     this.memoryMonitor = null;
     this.speechRecognition = null;
@@ -94,6 +193,7 @@ class GyaanSetu {
       this.setupDragAndDrop();
       this.setupContextMenu();
       this.applySettings();
+      this.syncMcpServers();
       this.initialized = true;
 
       this.hideLoadingScreen();
@@ -114,54 +214,6 @@ class GyaanSetu {
     return JSON.parse(JSON.stringify(DEFAULTS));
   }
 
-  initializeTools() {
-    return [
-      {
-        type: 'function',
-        function: {
-          name: 'web_search',
-          description: 'Search the web for current information',
-          parameters: {
-            type: 'object',
-            properties: { query: { type: 'string' }, results: { type: 'integer', default: 5 } },
-            required: ['query'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'execute_code',
-          description: 'Execute JavaScript code safely',
-          parameters: { type: 'object', properties: { code: { type: 'string' } }, required: ['code'] },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'process_file',
-          description: 'Process and analyze uploaded files',
-          parameters: {
-            type: 'object',
-            properties: { fileId: { type: 'string' }, operation: { type: 'string', default: 'analyze' } },
-            required: ['fileId'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'create_visualization',
-          description: 'Create data visualizations',
-          parameters: {
-            type: 'object',
-            properties: { data: { type: 'string' }, type: { type: 'string', default: 'line' }, title: { type: 'string' } },
-            required: ['data'],
-          },
-        },
-      },
-    ];
-  }
 
   // ===========================================================================
   // Loading Screen
@@ -223,6 +275,8 @@ class GyaanSetu {
       statusResponse: document.getElementById('status-response-time'),
       statusMemory: document.getElementById('status-memory'),
       statusApiCalls: document.getElementById('status-api-calls'),
+      statusContext: document.getElementById('status-context'),
+      statusUsage: document.getElementById('status-usage'),
     };
 
     // marked + highlight integration
@@ -244,6 +298,9 @@ class GyaanSetu {
 
     if (this.elements.sendButton) this.elements.sendButton.disabled = false;
 
+    renderer.renderProviderSettings(listProviders());
+    renderer.renderSearchSettings(listSearchBackends());
+
     this.initializeAutoResize();
     this.initializeThemeDetection();
 
@@ -366,13 +423,43 @@ class GyaanSetu {
   async sendMessage() {
     const inputEl = this.elements.userInput;
     const input = inputEl ? inputEl.value.trim() : '';
-    if (!input || this.state.isProcessing) return;
+    const images = this.pendingImages;
+    if ((!input && !images.length) || this.state.isProcessing) return;
+
+    const compareTargets = this.state.ui.compareMode ? this.getCompareTargets() : null;
+    if (compareTargets && compareTargets.length < 2) {
+      this.showToast('warning', 'Compare Mode', 'Pick at least two provider/model pairs to compare.');
+      return;
+    }
 
+    if (images.length) {
+      const blind = (compareTargets || [this.state.settings.llm]).filter((t) => !supportsVision(t.provider, t.model));
+      if (blind.length) {
+        this.showToast(
+          'warning',
+          'Images Not Supported',
+          `${blind.map((t) => this.providerLabel(t)).join(', ')} cannot read images. Choose a vision model or remove the images.`
+        );
+        return;
+      }
+    }
+
+    this.abortController = new AbortController();
     this.state.isProcessing = true;
     this.updateUIState();
 
     const convId = this.state.currentConversationId || this.createNewConversation();
-    this.addMessage('user', input, convId);
+    // A one-off schema travels with its prompt, so tool turns and repairs of this reply still see it
+    const content = images.length ? [...(input ? [{ type: 'text', text: input }] : []), ...images] : input;
+    this.addMessage('user', content, convId, this.pendingSchema ? { responseSchema: this.pendingSchema } : {});
+    if (images.length) {
+      this.pendingImages = [];
+      renderer.renderAttachmentTray(this.pendingImages);
+    }
+    if (this.pendingSchema) {
+      this.pendingSchema = null;
+      this.updateSchemaChip();
+    }
 
     if (inputEl) {
       inputEl.value = '';
@@ -384,76 +471,541 @@ class GyaanSetu {
     this.showTypingIndicator();
 
     try {
-      await this.agentLoop(convId);
+      if (compareTargets) await this.compareLoop(convId, compareTargets);
+      else await this.agentLoop(convId);
     } catch (error) {
       console.error('Agent loop error:', error);
-      this.addMessage('system', `An error occurred: ${error.message || error}`, convId);
+      this.addMessage('system', `An error occurred: ${error.message || error}`, convId, { notice: true });
       this.showToast('error', 'Agent Error', error.message || 'Unknown error');
     } finally {
+      this.abortController = null;
       this.state.isProcessing = false;
       this.updateUIState();
       this.hideTypingIndicator();
+      this.updateContextMeter();
       this.saveCurrentConversation();
     }
   }
 
+  stopGeneration() {
+    if (!this.abortController || this.abortController.signal.aborted) return;
+    this.abortController.abort();
+  }
+
   async agentLoop(conversationId) {
     const conversation = this.state.conversations.get(conversationId);
     if (!conversation) return;
 
-    let maxTurns = 5;
-
-    while (maxTurns-- > 0) {
+    const signal = this.abortController?.signal;
+    const responseSchema = this.activeResponseSchema(conversation);
+    const maxSteps = this.stepBudget(conversation);
+    const trace = createTrace({ conversationId, maxSteps });
+    let lastAssistant = null;
+    // web_search results of this run, numbered in the order they came in; answers cite them as [n]
+    const sources = [];
+    // Document passages the model was given this run (automatic retrieval and search_documents)
+    const passages = [];
+    const retrieval = await this.retrieveForMessage(conversation, { signal });
+    if (retrieval) passages.push(...retrieval.passages.map(passageReference));
+
+    for (let step = 1; step <= maxSteps; step++) {
+      let streamMessage = null;
+      let llmStep = null;
       try {
-        const responseData = await this.callLLM(conversation);
+        // Only what fits the model's context window is sent; older turns live on in the summary
+        const context = await this.prepareContext(conversation, { signal, conversationId });
+        if (retrieval) {
+          // After the system prompts and summary, like any other instruction
+          const at = context.messages.findIndex((m) => m.role !== 'system');
+          context.messages.splice(at === -1 ? context.messages.length : at, 0, retrieval.message);
+        }
+        llmStep = startStep(trace, 'llm', { retries: [], fallbacks: [] });
+        const answer = await this.callWithFallback({ ...conversation, messages: context.messages }, {
+          onDelta: (delta) => {
+            if (!streamMessage) streamMessage = this.addMessage('assistant', '', conversationId, { streaming: true });
+            if (!streamMessage) return;
+            streamMessage.content += delta;
+            this.scheduleRender(streamMessage);
+          },
+          tools: this.toolSchemas(),
+          signal,
+          responseSchema,
+          onRetry: ({ attempt, retries, delay, reason }) => {
+            llmStep.retries.push({ attempt, delayMs: delay, reason });
+            this.addMessage(
+              'system',
+              `Retrying request (${attempt}/${retries}) in ${(delay / 1000).toFixed(1)}s — ${reason}`,
+              conversationId,
+              { notice: true }
+            );
+          },
+          onFallback: ({ from, to, error }) => {
+            llmStep.fallbacks.push({ from: this.providerLabel(from), to: this.providerLabel(to), error: error.message || String(error) });
+            // Whatever the failed provider streamed is discarded; the next one starts from scratch
+            if (streamMessage) {
+              streamMessage.content = '';
+              this.scheduleRender(streamMessage);
+            }
+            this.addMessage(
+              'system',
+              `${this.providerLabel(from)} failed (${error.message || error}). Falling back to ${this.providerLabel(to)}.`,
+              conversationId,
+              { notice: true }
+            );
+          },
+        });
         this.state.performance.apiCalls = (this.state.performance.apiCalls || 0) + 1;
         this.updatePerformanceDisplay();
 
-        const response = this.parseAPIResponse(responseData, this.state.settings.llm.provider);
+        const { provider, model } = answer;
+        const response = this.parseAPIResponse(answer.data, provider);
+        const toolCalls = response && response.tool_calls && response.tool_calls.length > 0 ? response.tool_calls : null;
+        // Which provider actually answered (shown as a badge on the message)
+        const source = { provider, model, label: getProvider(provider)?.label || provider, fallback: answer.fallback };
+        endStep(llmStep, {
+          provider,
+          model,
+          fallback: answer.fallback,
+          finishReason: response?.finish_reason,
+          content: clip(response?.content || ''),
+          toolCalls: (toolCalls || []).map((tc) => ({ id: tc.id, name: tc.function.name, arguments: toolCallArguments(tc) })),
+          usage: response?.usage,
+        });
 
-        if (response && response.content) {
-          this.addMessage('assistant', response.content, conversationId);
+        // The assistant turn carries its tool_calls so the next request can replay them faithfully
+        let assistantMessage = null;
+        if (streamMessage) {
+          streamMessage.source = source;
+          if (sources.length) streamMessage.sources = sources.slice();
+          if (passages.length) streamMessage.passages = passages.slice();
+          assistantMessage = this.finalizeStreamedMessage(streamMessage, response, conversationId);
+        } else if (response && (response.content || toolCalls)) {
+          assistantMessage = this.addMessage('assistant', response.content || '', conversationId, {
+            source,
+            ...(sources.length ? { sources: sources.slice() } : {}),
+            ...(passages.length ? { passages: passages.slice() } : {}),
+            ...(toolCalls ? { tool_calls: toolCalls } : {}),
+          });
         }
-
-        // Tool calls (best-effort)
-        if (response && response.tool_calls && response.tool_calls.length > 0) {
-          this.addMessage(
-            'assistant',
-            `Using tools: ${response.tool_calls.map((tc) => tc.function.name).join(', ')}`,
-            conversationId
+        if (assistantMessage) lastAssistant = assistantMessage;
+        this.recordUsage(response, conversationId, assistantMessage, { provider, model });
+
+        if (toolCalls) {
+          // Each call settles on its own (failures become error results); only Stop rejects
+          const limit = createLimiter(this.state.settings.tools.maxConcurrent || DEFAULTS.tools.maxConcurrent);
+          const toolResults = await Promise.all(
+            toolCalls.map((tc) => this.traceTool(trace, tc, (step) => this.runToolCall(tc, { signal, conversationId, step, limit })))
           );
 
-          conversation.messages.push({ role: 'assistant', content: null, tool_calls: response.tool_calls });
-
-          const toolResults = await Promise.all(response.tool_calls.map((tc) => this.executeTool(tc)));
-
-          toolResults.forEach((result, index) => {
-            conversation.messages.push({
-              role: 'tool',
-              tool_call_id: response.tool_calls[index].id,
-              name: response.tool_calls[index].function.name,
-              content: JSON.stringify(result),
+          toolResults.forEach((raw, index) => {
+            const { name } = toolCalls[index].function;
+            const result = this.numberSources(name, raw, sources);
+            this.collectPassages(name, result, passages);
+            this.addMessage('tool', JSON.stringify(result), conversationId, {
+              tool_call_id: toolCalls[index].id,
+              name,
+              ...this.toolMessageFlags(name, result),
             });
-            this.addMessage('tool', JSON.stringify(result), conversationId);
           });
 
           // loop to allow model to consume tool outputs
+          if (step === maxSteps) {
+            const reason = `Stopped after ${maxSteps} steps (the step budget) with tool results not yet answered.`;
+            finishTrace(trace, 'budget', reason);
+            this.addMessage('system', `${reason} Raise the budget in the chat header to let the agent continue.`, conversationId, {
+              notice: true,
+            });
+          }
         } else {
+          if (responseSchema && assistantMessage) {
+            await this.enforceSchema(assistantMessage, responseSchema, context.messages, { signal, conversationId, trace });
+          }
+          finishTrace(trace, 'done');
           break;
         }
       } catch (err) {
+        if (llmStep && llmStep.status === 'running') failStep(llmStep, err);
+        if (streamMessage) this.finalizeStreamedMessage(streamMessage, null, conversationId);
+        if (isAbortError(err)) {
+          finishTrace(trace, 'stopped', 'Stopped by user.');
+          this.addMessage('system', 'Generation stopped by user.', conversationId, { notice: true });
+          break;
+        }
         console.error('Error during agent loop iteration:', err);
-        this.addMessage('system', `Agent iteration error: ${err.message || err}`, conversationId);
+        finishTrace(trace, 'error', err.message || String(err));
+        this.addMessage('system', `Agent iteration error: ${err.message || err}`, conversationId, { notice: true });
         break;
       }
     }
+
+    this.attachTrace(conversation, trace, lastAssistant);
+  }
+
+  // ===========================================================================
+  // Run Traces & Step Budget
+  // ===========================================================================
+  // Run one tool as a traced step; the result passes through unchanged
+  async traceTool(trace, toolCall, run) {
+    const step = startStep(trace, 'tool', {
+      name: toolCall.function?.name,
+      callId: toolCall.id,
+      arguments: toolCallArguments(toolCall),
+    });
+    try {
+      const result = await run(step);
+      endStep(step, {
+        result: clip(result),
+        ...(isToolError(result) ? { error: result.error.message || String(result.error) } : {}),
+        ...(result?.error?.type === 'denied' ? { status: 'denied' } : {}),
+      });
+      return result;
+    } catch (err) {
+      failStep(step, err);
+      throw err;
+    }
+  }
+
+  // The trace goes under the run's last assistant reply, or whatever the run added last (e.g. an error notice)
+  attachTrace(conversation, trace, lastAssistant) {
+    if (!trace.steps.length) return;
+    const candidates = conversation.messages.filter((m) => m.role !== 'user' && m.timestamp >= trace.startedAt);
+    const target = candidates.includes(lastAssistant) ? lastAssistant : candidates[candidates.length - 1];
+    if (!target) return;
+    target.trace = trace;
+    if (this.isMessageVisible(target)) this.displayMessage(target);
+  }
+
+  // LLM calls one agent run may make: the conversation's own budget, else the Advanced default
+  stepBudget(conversation) {
+    return conversation?.maxSteps || this.state.settings.advanced.maxSteps || DEFAULTS.advanced.maxSteps;
+  }
+
+  setStepBudget(value) {
+    const steps = parseInt(value, 10);
+    if (!Number.isFinite(steps) || steps < 1) return this.updateStepBudget();
+
+    const convId = this.state.currentConversationId || this.createNewConversation();
+    const conversation = this.state.conversations.get(convId);
+    if (!conversation) return;
+    conversation.maxSteps = Math.min(steps, MAX_STEP_BUDGET);
+    this.saveCurrentConversation();
+    this.updateStepBudget();
+  }
+
+  updateStepBudget() {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    renderer.updateStepBudget(this.stepBudget(conversation), !!conversation?.maxSteps);
+  }
+
+  // ===========================================================================
+  // Tool Execution & Approval
+  // ===========================================================================
+  // One tool call from start to finish: argument checks, policy, then execution in a pool
+  // slot with a timeout. Every failure, refusal included, comes back as a structured result
+  // the model can read; only cancellation (Stop) rejects.
+  async runToolCall(toolCall, { signal, conversationId, step, limit = (task) => task() } = {}) {
+    const name = toolCall.function?.name || 'unknown';
+    const tool = this.enabledTools().find((t) => t.name === name);
+    if (!tool) {
+      const available = this.enabledTools().map((t) => t.name).join(', ') || 'none';
+      return toToolErrorResult(toolError('unknown_tool', `There is no tool named "${name}". Available tools: ${available}.`));
+    }
+
+    let args;
+    try {
+      args = parseToolArguments(toolCall);
+      validateToolArguments(args, tool.parameters);
+    } catch (err) {
+      return toToolErrorResult(err);
+    }
+
+    const policy = toolPolicy(this.state.settings.tools, name);
+    if (policy === 'deny') {
+      if (step) step.approval = 'denied by policy';
+      this.addMessage('system', `Blocked ${name}: the tool is set to "deny" in settings.`, conversationId, { notice: true });
+      return deniedToolResult(name, { byPolicy: true });
+    }
+
+    if (policy === 'ask') {
+      const decision = await this.requestToolApproval(toolCall, { signal, conversationId });
+      if (!decision.approved) {
+        if (step) step.approval = 'denied';
+        this.addMessage('system', `Denied ${name}${decision.reason ? `: ${decision.reason}` : ''}.`, conversationId, {
+          notice: true,
+        });
+        return deniedToolResult(name, { reason: decision.reason });
+      }
+      if (decision.edited) {
+        // History shows the call as it actually ran
+        args = decision.args;
+        toolCall.function.arguments = JSON.stringify(args);
+        if (step) step.arguments = args;
+      }
+      if (step) step.approval = decision.edited ? 'approved with edits' : 'approved';
+    }
+
+    // The timeout starts once the call has a slot, not while it waits for one
+    const timeoutMs = this.toolTimeout(name) * 1000;
+    try {
+      return await limit(() =>
+        runWithTimeout((callSignal) => this.executeTool(name, args, { signal: callSignal, conversationId }), {
+          timeoutMs,
+          signal,
+        })
+      );
+    } catch (err) {
+      if (isAbortError(err) && signal?.aborted) throw err;
+      console.warn(`Tool ${name} failed:`, err);
+      return toToolErrorResult(err);
+    }
+  }
+
+  // Seconds one call of a tool may take: its own setting, else the default
+  toolTimeout(name) {
+    const { timeouts = {}, timeoutSeconds } = this.state.settings.tools;
+    return timeouts[name] || timeoutSeconds || DEFAULTS.tools.timeoutSeconds;
+  }
+
+  // Show an approval card and wait for the user's decision: { approved, args?, edited?, reason? }.
+  // Stopping the run rejects with an AbortError.
+  requestToolApproval(toolCall, { signal, conversationId } = {}) {
+    return new Promise((resolve, reject) => {
+      const name = toolCall.function?.name || 'unknown';
+      const approval = {
+        id: uniqueId('approval'),
+        conversationId,
+        name,
+        description: getTool(name)?.description || '',
+        args: toolCallArguments(toolCall),
+      };
+
+      const settle = () => {
+        this.pendingApprovals.delete(approval.id);
+        renderer.removeApprovalCard(approval.id);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        settle();
+        reject(abortError());
+      };
+      if (signal?.aborted) return reject(abortError());
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pendingApprovals.set(approval.id, {
+        ...approval,
+        decide: (decision) => {
+          settle();
+          resolve(decision);
+        },
+      });
+      if (conversationId === this.state.currentConversationId) {
+        renderer.renderApprovalCard(approval);
+        this.scrollToBottom();
+      }
+    });
+  }
+
+  resolveToolApproval(id, action) {
+    const pending = this.pendingApprovals.get(id);
+    if (!pending) return;
+
+    const { args: text, reason } = renderer.readApprovalCard(id);
+    if (action === 'deny') return pending.decide({ approved: false, reason });
+
+    // Edited arguments must still satisfy the tool's schema
+    let args;
+    try {
+      args = parseToolArguments({ arguments: text });
+      validateToolArguments(args, getTool(pending.name)?.parameters);
+    } catch (e) {
+      return this.showToast('error', 'Invalid Arguments', e.message);
+    }
+    pending.decide({ approved: true, args, edited: JSON.stringify(args) !== JSON.stringify(pending.args) });
+  }
+
+  // Cards are not part of the message list, so they are drawn again when their conversation is shown
+  renderPendingApprovals() {
+    this.pendingApprovals.forEach((approval) => {
+      if (approval.conversationId === this.state.currentConversationId) renderer.renderApprovalCard(approval);
+    });
+  }
+
+  exportTrace(messageId) {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    const trace = conversation?.messages.find((m) => m.id === messageId)?.trace;
+    if (!trace) return this.showToast('error', 'Export Failed', 'This message has no run trace.');
+    downloadFile(JSON.stringify(trace, null, 2), `${trace.id}.json`, 'application/json');
+  }
+
+  // ===========================================================================
+  // Compare Mode
+  // ===========================================================================
+  toggleCompareMode(force) {
+    const enabled = typeof force === 'boolean' ? force : !this.state.ui.compareMode;
+    this.state.ui.compareMode = enabled;
+
+    // Start from the configured model plus an empty column to fill in
+    const { llm } = this.state.settings;
+    if (enabled && !(llm.compareTargets || []).length) {
+      llm.compareTargets = [
+        { provider: llm.provider, model: llm.model },
+        { provider: llm.provider, model: '' },
+      ];
+    }
+
+    document.getElementById('compare-toggle')?.classList.toggle('active', enabled);
+    const bar = document.getElementById('compare-bar');
+    if (bar) bar.hidden = !enabled;
+    if (enabled) this.renderCompareTargets();
+  }
+
+  // Targets with both a provider and a model; incomplete rows are ignored
+  getCompareTargets() {
+    return (this.state.settings.llm.compareTargets || []).filter((t) => t.provider && t.model && getProvider(t.provider));
+  }
+
+  renderCompareTargets() {
+    const targets = this.state.settings.llm.compareTargets || [];
+    renderer.renderCompareTargets(targets, listProviders());
+
+    // Model suggestions load in the background; typing a model name always works
+    targets.forEach((target, index) => {
+      this.getModels(target.provider, this.llmSettingsFor(target.provider))
+        .then((models) => renderer.fillCompareModels(index, models))
+        .catch(() => { });
+    });
+  }
+
+  addCompareTarget() {
+    const { llm } = this.state.settings;
+    llm.compareTargets = [...(llm.compareTargets || []), { provider: llm.provider, model: '' }];
+    this.saveCompareTargets();
+    this.renderCompareTargets();
+  }
+
+  removeCompareTarget(index) {
+    const { llm } = this.state.settings;
+    llm.compareTargets = (llm.compareTargets || []).filter((_, i) => i !== index);
+    this.saveCompareTargets();
+    this.renderCompareTargets();
+  }
+
+  updateCompareTarget(index, patch) {
+    const target = (this.state.settings.llm.compareTargets || [])[index];
+    if (!target) return;
+    Object.assign(target, patch);
+    this.saveCompareTargets();
+    // A new provider means a new model list; model edits keep the row (and focus) as is
+    if ('provider' in patch) this.renderCompareTargets();
+  }
+
+  saveCompareTargets() {
+    try {
+      localStorage.setItem('agentflow_settings', JSON.stringify(this.state.settings));
+    } catch (e) { }
+  }
+
+  // Send the conversation to every target at once; the replies stay in one compare message
+  // (excluded from history) until a winner is picked.
+  async compareLoop(conversationId, targets) {
+    const conversation = this.state.conversations.get(conversationId);
+    if (!conversation) return;
+
+    const signal = this.abortController?.signal;
+    const context = await this.prepareContext(conversation, { signal, conversationId });
+    const history = { ...conversation, messages: context.messages };
+
+    const message = this.addMessage('assistant', '', conversationId, {
+      compare: {
+        candidates: targets.map((t) => ({
+          id: uniqueId('cand'),
+          provider: t.provider,
+          label: getProvider(t.provider)?.label || t.provider,
+          model: t.model,
+          content: '',
+          status: 'pending',
+        })),
+      },
+    });
+    if (!message) return;
+
+    await Promise.all(
+      message.compare.candidates.map((candidate) => this.runCompareCandidate(history, candidate, message, { signal, conversationId }))
+    );
+
+    this.state.performance.apiCalls = (this.state.performance.apiCalls || 0) + message.compare.candidates.length;
+    this.updatePerformanceDisplay();
+    this.updateHealthDisplay();
+    if (signal?.aborted) this.addMessage('system', 'Generation stopped by user.', conversationId, { notice: true });
+  }
+
+  async runCompareCandidate(history, candidate, message, { signal, conversationId }) {
+    const started = performance.now();
+    const settings = { ...this.state.settings, llm: this.llmSettingsFor(candidate.provider, candidate.model) };
+
+    try {
+      // A canned demo reply would pass for the provider's own answer
+      if (!hasCredentials(settings.llm)) throw new Error(`No API key for ${candidate.label}. Save one under Settings > API Configuration.`);
+      const data = await this.callLLM(
+        history,
+        {
+          onDelta: (delta) => {
+            if (candidate.firstTokenMs === undefined) candidate.firstTokenMs = Math.round(performance.now() - started);
+            candidate.content += delta;
+            this.scheduleRender(message);
+          },
+          signal,
+        },
+        settings
+      );
+      const response = this.parseAPIResponse(data, candidate.provider);
+      candidate.content = response?.content || candidate.content;
+      candidate.status = 'done';
+      candidate.usage = this.recordUsage(response, conversationId, null, {
+        kind: 'compare',
+        ...answeredBy(data, settings.llm),
+        messageId: message.id,
+      });
+    } catch (err) {
+      candidate.status = isAbortError(err) ? 'stopped' : 'error';
+      candidate.error = isAbortError(err) ? 'Stopped.' : err.message || String(err);
+    } finally {
+      candidate.latencyMs = Math.round(performance.now() - started);
+      this.scheduleRender(message);
+    }
+  }
+
+  // Keep one compare column as the assistant's reply; the others are discarded
+  pickCompareWinner(messageId, candidateId) {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    const message = conversation?.messages.find((m) => m.id === messageId);
+    const winner = message?.compare?.candidates.find((c) => c.id === candidateId);
+    if (!winner || winner.status !== 'done' || !winner.content) return;
+
+    message.content = winner.content;
+    message.source = { provider: winner.provider, model: winner.model, label: winner.label };
+    if (winner.usage) message.usage = winner.usage;
+    message.comparison = message.compare.candidates.map((c) => ({
+      provider: c.provider,
+      model: c.model,
+      latencyMs: c.latencyMs,
+      chosen: c === winner,
+    }));
+    delete message.compare;
+
+    this.touchConversation(conversation, message.content);
+    this.displayMessage(message);
+    this.updateContextMeter();
+    this.saveCurrentConversation();
+    this.showToast('success', 'Reply Kept', `${winner.label} · ${winner.model} is now part of the conversation.`);
   }
 
   // ===========================================================================
   // LLM Calls
   // ===========================================================================
-  async callLLM(conversation) {
-    return llmCall(conversation, this.state.settings);
+  // settings defaults to the saved ones; compare mode passes per-column overrides
+  async callLLM(conversation, options = {}, settings = this.state.settings) {
+    return llmCall(conversation, settings, options);
   }
 
   parseAPIResponse(data, provider) {
@@ -461,57 +1013,822 @@ class GyaanSetu {
   }
 
   // ===========================================================================
-  // Tools (stubs)
+  // Fallback Chain & Provider Health
   // ===========================================================================
-  async executeTool(toolCall) {
-    const func = toolCall.function || {};
-    const name = func.name || func?.name || 'unknown';
+  // Configured provider first, then the fallback entries (each with its own saved credentials).
+  // When the request carries images, fallbacks that cannot read them are skipped, and so are
+  // fallbacks without saved credentials (they would only answer from the demo fixture).
+  providerChain({ images = false } = {}) {
+    const { llm } = this.state.settings;
+    const seen = new Set([`${llm.provider}:${llm.model}`]);
+    const chain = [this.state.settings];
+
+    (llm.fallbackChain || []).forEach(({ provider, model }) => {
+      const key = `${provider}:${model}`;
+      if (!getProvider(provider) || seen.has(key)) return;
+      if (images && !supportsVision(provider, model)) return;
+      const llm = this.llmSettingsFor(provider, model);
+      if (!hasCredentials(llm)) return;
+      seen.add(key);
+      chain.push({ ...this.state.settings, llm });
+    });
+    return chain;
+  }
 
-    let args = {};
+  async callWithFallback(conversation, options = {}) {
     try {
-      if (toolCall.arguments) {
-        args = typeof toolCall.arguments === 'string' ? JSON.parse(toolCall.arguments) : toolCall.arguments;
+      const images = conversation.messages.some((m) => contentImages(m.content).length);
+      return await callLLMWithFallback(conversation, this.providerChain({ images }), options);
+    } finally {
+      this.updateHealthDisplay();
+    }
+  }
+
+  providerLabel({ provider, model }) {
+    return `${getProvider(provider)?.label || provider}${model ? ` · ${model}` : ''}`;
+  }
+
+  updateHealthDisplay() {
+    const labels = Object.fromEntries(listProviders().map((a) => [a.id, a.label]));
+    return renderer.updateHealthDisplay(listProviderHealth(), labels);
+  }
+
+  // "provider:model" per line <-> [{ provider, model }]; the model may itself contain colons
+  parseFallbackChain(text) {
+    return String(text || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [provider, ...rest] = line.split(':');
+        return { provider: provider.trim(), model: rest.join(':').trim() };
+      })
+      .filter((entry) => entry.provider && entry.model);
+  }
+
+  formatFallbackChain(chain) {
+    return (chain || []).map(({ provider, model }) => `${provider}:${model}`).join('\n');
+  }
+
+  // ===========================================================================
+  // Structured Output
+  // ===========================================================================
+  // The prompt's own schema wins over the conversation's
+  activeResponseSchema(conversation) {
+    const lastUser = [...(conversation?.messages || [])].reverse().find((m) => m.role === 'user');
+    return lastUser?.responseSchema || conversation?.responseSchema || null;
+  }
+
+  // Validate the final reply; if it does not match, ask the model to fix it in follow-up
+  // turns that are sent but never stored, and keep the corrected JSON as the reply.
+  async enforceSchema(message, responseSchema, history, { signal, conversationId, trace } = {}) {
+    let content = message.content;
+    let result = validateReply(content, responseSchema.schema);
+    let repairs = 0;
+    const turns = [...history];
+
+    while (!result.ok && repairs < MAX_SCHEMA_REPAIRS) {
+      repairs += 1;
+      this.addMessage(
+        'system',
+        `Reply does not match the "${responseSchema.name}" schema (${describeSchemaErrors(result.errors)}). ` +
+          `Asking the model to fix it (${repairs}/${MAX_SCHEMA_REPAIRS}).`,
+        conversationId,
+        { notice: true }
+      );
+      turns.push({ role: 'assistant', content }, repairMessage(result.errors, responseSchema));
+
+      const step = trace && startStep(trace, 'repair');
+      try {
+        const answer = await this.callWithFallback({ messages: turns }, { signal, responseSchema });
+        const { provider, model } = answer;
+        const parsed = this.parseAPIResponse(answer.data, provider);
+        this.recordUsage(parsed, conversationId, null, { kind: 'repair', provider, model, messageId: message.id });
+        content = parsed?.content || '';
+        if (step) endStep(step, { provider, model, fallback: answer.fallback, content: clip(content), usage: parsed?.usage });
+      } catch (err) {
+        if (step) failStep(step, err);
+        if (isAbortError(err)) throw err;
+        this.addMessage('system', `Schema repair failed: ${err.message || err}`, conversationId, { notice: true });
+        break;
       }
+      result = validateReply(content, responseSchema.schema);
+    }
+
+    if (result.ok) message.content = JSON.stringify(result.value, null, 2);
+    message.structured = { name: responseSchema.name, valid: result.ok, repairs, errors: result.errors.slice(0, 20) };
+    if (!result.ok) {
+      this.addMessage(
+        'system',
+        `The reply still does not match the "${responseSchema.name}" schema: ${describeSchemaErrors(result.errors)}`,
+        conversationId,
+        { notice: true }
+      );
+    }
+    if (this.isMessageVisible(message)) this.displayMessage(message);
+  }
+
+  openSchemaModal() {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    const current = this.pendingSchema || conversation?.responseSchema || null;
+    renderer.renderSchemaTemplates(this.schemaTemplates);
+    this.fillSchemaForm({ ...current, scope: this.pendingSchema ? 'message' : 'conversation' });
+    document.getElementById('schema-modal')?.classList.add('active');
+  }
+
+  closeSchemaModal() {
+    document.getElementById('schema-modal')?.classList.remove('active');
+  }
+
+  fillSchemaForm({ name = '', schema = null, prompt = '', scope } = {}) {
+    const nameEl = document.getElementById('schema-name');
+    const schemaEl = document.getElementById('schema-text');
+    const promptEl = document.getElementById('schema-prompt');
+    if (nameEl) nameEl.value = name;
+    if (schemaEl) schemaEl.value = schema ? JSON.stringify(schema, null, 2) : '';
+    if (promptEl) promptEl.value = prompt;
+    if (scope) {
+      const radio = document.querySelector(`input[name="schema-scope"][value="${scope}"]`);
+      if (radio) radio.checked = true;
+    }
+  }
+
+  // Throws with a readable message when the name or schema is unusable
+  readSchemaForm() {
+    const name = document.getElementById('schema-name')?.value.trim() || '';
+    const text = document.getElementById('schema-text')?.value.trim() || '';
+    if (!name) throw new Error('Give the schema a name.');
+
+    let schema;
+    try {
+      schema = JSON.parse(text);
     } catch (e) {
-      args = {};
+      throw new Error(`The schema is not valid JSON: ${e.message}`);
     }
+    assertSchema(schema);
 
-    this.addMessage('system', `Executing tool: ${name}`, this.state.currentConversationId);
+    return {
+      name,
+      schema,
+      prompt: document.getElementById('schema-prompt')?.value.trim() || '',
+      scope: document.querySelector('input[name="schema-scope"]:checked')?.value || 'conversation',
+    };
+  }
 
-    switch (name) {
-      case 'web_search':
-        return await this.executeWebSearch(args);
-      case 'execute_code':
-        return await this.executeCode(args);
-      case 'process_file':
-        return await this.processFile(args);
-      case 'create_visualization':
-        return await this.createVisualization(args);
-      default:
-        return { error: `Unknown tool: ${name}` };
+  applySchema() {
+    let form;
+    try {
+      form = this.readSchemaForm();
+    } catch (e) {
+      return this.showToast('error', 'Invalid Schema', e.message);
+    }
+
+    const responseSchema = { name: form.name, schema: form.schema };
+    if (form.scope === 'message') {
+      this.pendingSchema = responseSchema;
+    } else {
+      const convId = this.state.currentConversationId || this.createNewConversation();
+      this.state.conversations.get(convId).responseSchema = responseSchema;
+      this.pendingSchema = null;
+      this.saveCurrentConversation();
+    }
+
+    // A template's prompt is a starting point; never overwrite what the user already typed
+    const inputEl = this.elements.userInput;
+    if (form.prompt && inputEl && !inputEl.value.trim()) {
+      inputEl.value = form.prompt;
+      this.updateCharCount();
+      inputEl.focus();
+    }
+    this.updateSchemaChip();
+    this.closeSchemaModal();
+  }
+
+  clearSchema() {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    if (conversation?.responseSchema) {
+      delete conversation.responseSchema;
+      this.saveCurrentConversation();
+    }
+    this.pendingSchema = null;
+    this.updateSchemaChip();
+    this.closeSchemaModal();
+  }
+
+  loadSchemaTemplate(id) {
+    const template = this.schemaTemplates.find((t) => t.id === id);
+    this.fillSchemaForm(template || {});
+  }
+
+  saveSchemaTemplate() {
+    let form;
+    try {
+      form = this.readSchemaForm();
+    } catch (e) {
+      return this.showToast('error', 'Invalid Schema', e.message);
+    }
+
+    // Saving under an existing name updates that template
+    const existing = this.schemaTemplates.find((t) => t.name === form.name);
+    const template = { id: existing?.id || uniqueId('schema'), name: form.name, schema: form.schema, prompt: form.prompt };
+    this.schemaTemplates = existing
+      ? this.schemaTemplates.map((t) => (t === existing ? template : t))
+      : [...this.schemaTemplates, template];
+    saveSchemaTemplates(this.schemaTemplates);
+    renderer.renderSchemaTemplates(this.schemaTemplates, template.id);
+    this.showToast('success', 'Template Saved', `"${template.name}" is available in the template list.`);
+  }
+
+  deleteSchemaTemplate(id) {
+    const template = this.schemaTemplates.find((t) => t.id === id);
+    if (!template) return;
+    this.schemaTemplates = this.schemaTemplates.filter((t) => t !== template);
+    saveSchemaTemplates(this.schemaTemplates);
+    renderer.renderSchemaTemplates(this.schemaTemplates);
+    this.fillSchemaForm({});
+  }
+
+  updateSchemaChip() {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    if (this.pendingSchema) renderer.updateSchemaChip({ ...this.pendingSchema, scope: 'message' });
+    else if (conversation?.responseSchema) renderer.updateSchemaChip({ ...conversation.responseSchema, scope: 'conversation' });
+    else renderer.updateSchemaChip(null);
+  }
+
+  // ===========================================================================
+  // Context Window
+  // ===========================================================================
+  contextOptions() {
+    const { llm, advanced } = this.state.settings;
+    return { model: llm.model, maxTokens: llm.maxTokens, maxHistory: advanced.maxHistory, tools: this.toolSchemas() };
+  }
+
+  // Fold turns that no longer fit into the conversation's rolling summary, then plan the request
+  async prepareContext(conversation, { signal, conversationId } = {}) {
+    let plan = planContext(conversation, this.contextOptions());
+
+    if (plan.compact.length) {
+      const last = plan.compact[plan.compact.length - 1];
+      const previous = conversation.summary?.content || '';
+      let content = previous;
+      let notice;
+      try {
+        const answer = await this.callWithFallback(buildSummaryRequest(previous, plan.compact), { signal });
+        const { provider, model } = answer;
+        const parsed = this.parseAPIResponse(answer.data, provider);
+        this.recordUsage(parsed, conversationId, null, { kind: 'summary', provider, model });
+        content = parsed?.content || previous;
+        notice = `Summarized ${plan.compact.length} earlier messages to stay within the context window.`;
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        notice = `Dropped ${plan.compact.length} earlier messages from the context (summary failed: ${err.message || err}).`;
+      }
+
+      conversation.summary = { content, upto: last.id, uptoTimestamp: last.timestamp, updatedAt: Date.now() };
+      this.addMessage('system', notice, conversationId, { notice: true });
+      plan = planContext(conversation, this.contextOptions());
+    }
+
+    if (conversationId === this.state.currentConversationId) this.updateContextMeter(plan);
+    return plan;
+  }
+
+  // ===========================================================================
+  // Usage & Cost
+  // ===========================================================================
+  // Log the tokens a parsed response reports and attach them (with cost) to its message.
+  // provider/model default to the configured ones; returns the per-message usage object.
+  recordUsage(response, conversationId, message, { kind = 'chat', provider, model, messageId } = {}) {
+    if (!response || !response.usage) return null;
+
+    provider = provider || this.state.settings.llm.provider;
+    model = model || this.state.settings.llm.model;
+    const record = createUsageRecord({
+      usage: response.usage,
+      provider,
+      model,
+      conversationId,
+      messageId: messageId || message?.id,
+      kind,
+    });
+    this.usageLog.push(record);
+    saveUsageLog(this.usageLog);
+
+    const usage = { ...response.usage, cost: record.cost, provider, model };
+    if (message) {
+      message.usage = usage;
+      if (this.isMessageVisible(message)) this.displayMessage(message);
     }
+    this.updateUsageDisplay();
+    return usage;
   }
 
-  async executeWebSearch({ query, results = 5 }) {
-    return { status: `Simulated search for: ${query}`, items: [] };
+  updateUsageDisplay() {
+    const summary = summarizeUsage(this.usageLog, { conversationId: this.state.currentConversationId });
+    return renderer.updateUsageDisplay(this, summary);
   }
 
-  async executeCode({ code }) {
-    return { output: `Simulated execution of: ${code}` };
+  exportUsage() {
+    try {
+      if (!this.usageLog.length) return this.showToast('info', 'Nothing to Export', 'No token usage recorded yet.');
+
+      const titles = {};
+      this.state.conversations.forEach((conv, id) => {
+        titles[id] = conv.title;
+      });
+      downloadFile(usageToCSV(this.usageLog, titles), `leafai_usage_${dayKey()}.csv`, 'text/csv');
+    } catch (e) {
+      this.showToast('error', 'Export Failed', e.message || 'Could not export usage');
+    }
+  }
+
+  updateContextMeter(plan) {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    return renderer.updateContextMeter(this, plan || (conversation ? planContext(conversation, this.contextOptions()) : null));
+  }
+
+  // ===========================================================================
+  // Fixture Recording
+  // ===========================================================================
+  exportFixture() {
+    const recording = getRecording();
+    if (!recording || !recording.entries.length) {
+      return this.showToast('info', 'Nothing to Export', 'Turn on recording and chat with a real provider first.');
+    }
+    downloadFile(JSON.stringify(recording, null, 2), `fixture_${dayKey()}.json`, 'application/json');
+  }
+
+  clearRecording() {
+    clearRecording();
+    this.showToast('success', 'Recording Cleared', 'Recorded LLM calls were discarded.');
+  }
+
+  // ===========================================================================
+  // Tool Registry
+  // ===========================================================================
+  // Built-in tools: schemas from TOOLS, handlers on this class
+  registerBuiltinTools() {
+    const handlers = {
+      web_search: (args, context) => this.executeWebSearch(args, context),
+      execute_code: (args, context) => this.executeCode(args, context),
+      process_file: (args, context) => this.processFile(args, context),
+      create_visualization: (args, context) => this.createVisualization(args, context),
+      search_documents: (args, context) => this.searchDocumentsTool(args, context),
+    };
+    TOOLS.forEach(({ function: fn }) => {
+      if (!getTool(fn.name)) registerTool({ ...fn, handler: handlers[fn.name], builtin: true });
+    });
+  }
+
+  /**
+   * Register a custom tool at runtime (e.g. from the console or a plugin script). It is
+   * offered to the model from the next request on and listed in the Tools settings tab.
+   * @param {{ name: string, description: string, parameters: Object, handler: Function }} definition -
+   *   see ToolDefinition in src/services/tool-registry.js
+   */
+  registerTool(definition) {
+    const registered = registerTool({ ...definition, builtin: false });
+    this.populateSettingsForm();
+    return registered;
+  }
+
+  /**
+   * Remove a custom tool registered with registerTool()
+   * @param {string} name
+   * @returns {boolean} whether a tool was removed
+   */
+  unregisterTool(name) {
+    const removed = unregisterTool(name);
+    if (removed) this.populateSettingsForm();
+    return removed;
+  }
+
+  // Display data kept on a tool's result message (the model only sees the content)
+  toolMessageFlags(name, result) {
+    if (name === 'execute_code' && Array.isArray(result?.logs)) return { console: result };
+    if (name === 'create_visualization' && result?.chart) return { chart: result.chart };
+    return {};
+  }
+
+  // web_search results get run-wide numbers (a URL found twice keeps its first one) and are
+  // collected in sources, which is attached to the answers that cite them
+  numberSources(name, result, sources) {
+    if (name !== 'web_search' || !Array.isArray(result?.results)) return result;
+    const results = result.results.map((item) => {
+      const known = sources.find((s) => s.url === item.url);
+      if (known) return { id: known.id, ...item };
+      const source = { id: sources.length + 1, ...item };
+      sources.push(source);
+      return source;
+    });
+    return { ...result, results };
+  }
+
+  // Passages returned by search_documents, once each, for the answers that follow
+  collectPassages(name, result, passages) {
+    if (name !== 'search_documents' || !Array.isArray(result?.results)) return;
+    result.results.forEach((passage) => {
+      if (!passages.some((p) => p.chunkId === passage.chunkId)) passages.push(passageReference(passage));
+    });
+  }
+
+  // Registered tools not disabled in settings
+  enabledTools() {
+    const disabled = this.state.settings.tools.disabled || [];
+    return listTools().filter((tool) => !disabled.includes(tool.name));
+  }
+
+  // Enabled tools as sent to providers
+  toolSchemas() {
+    return toolDefinitions(this.enabledTools());
+  }
+
+  // ===========================================================================
+  // Tools (stubs)
+  // ===========================================================================
+  // args are parsed and validated by runToolCall
+  async executeTool(name, args, { signal, conversationId } = {}) {
+    const tool = getTool(name);
+    if (!tool) throw toolError('unknown_tool', `Unknown tool: ${name}`);
+    this.addMessage('system', `Executing tool: ${name}`, conversationId || this.state.currentConversationId, { notice: true });
+
+    // Tools receive the run's signal; abortable() also stops waiting on ones that ignore it
+    const context = { signal, conversationId };
+    const pending = Promise.resolve().then(() => tool.handler(args, context));
+    return await abortable(pending, signal);
+  }
+
+  // Backend picked in the Tools settings tab (src/services/search/); results are numbered by the agent loop
+  async executeWebSearch({ query, results = 5 }, { signal } = {}) {
+    const settings = this.state.settings.search || DEFAULTS.search;
+    const backend = getSearchBackend(settings.backend);
+    if (!backend) throw new Error(`Unknown search backend "${settings.backend}"; pick one in the Tools settings tab.`);
+    const items = normalizeResults(await backend.search(query, { count: results, settings, signal }), results);
+    return {
+      query,
+      backend: backend.label,
+      results: items,
+      instructions: items.length
+        ? 'Cite the results you use by number in square brackets, e.g. [1] or [2, 3], right after the statement they ' +
+          'support. Do not list the sources at the end; the app shows them under your answer.'
+        : 'The search found nothing. Say so instead of presenting unsourced claims as search results.',
+    };
+  }
+
+  // Runs in a fresh Web Worker (src/services/sandbox.js); errors in the code come back as the result
+  async executeCode({ code }, { signal } = {}) {
+    return runInSandbox(code, { signal });
+  }
+
+  // Files come from the registry in src/services/files.js (filled by handleFiles)
+  async processFile({ fileId, operation = 'analyze', offset }) {
+    return runFileOperation(this.requireFile(fileId), operation, { offset });
+  }
+
+  // data is CSV or JSON text, or the id (or name) of an uploaded file
+  async createVisualization({ data, type = 'line', title = '', x, y }) {
+    const file = getFile(data);
+    const spec = buildChartSpec(parseChartData(file ? file.text : data), { type, title: title || file?.name, x, y });
+    const rows = spec.series[0].points.length;
+    return {
+      chart: spec,
+      summary: `Rendered a ${spec.type} chart of ${spec.series.map((s) => s.name).join(', ')}${
+        spec.xLabel ? ` by ${spec.xLabel}` : ''
+      } (${rows} ${rows === 1 ? 'point' : 'points'}${spec.truncated ? ', truncated' : ''}). The user can see it.`,
+    };
+  }
+
+  // Uploaded file by id or name; files live for the browser session, so older ids may be gone
+  requireFile(ref) {
+    const file = getFile(ref);
+    if (file) return file;
+    const known = listFiles().map((f) => `${f.id} (${f.name})`);
+    throw toolError(
+      'invalid_arguments',
+      `There is no uploaded file "${ref}". ${
+        known.length ? `Uploaded files: ${known.join(', ')}.` : 'No files are loaded; ask the user to upload the file (again).'
+      }`
+    );
+  }
+
+  // ===========================================================================
+  // Document Index
+  // ===========================================================================
+  // Uploaded text goes into the local index (src/services/documents.js), with embeddings when switched on
+  async indexUploadedDocument(record) {
+    try {
+      const { document, chunks } = await indexDocument(record);
+      await this.embedChunks(chunks);
+      this.refreshDocumentList();
+      return document;
+    } catch (err) {
+      this.showToast('warning', 'Not Indexed', `${record.name} was not added to the document index: ${err.message || err}`);
+      return null;
+    }
+  }
+
+  // Embedding model in effect ({ model, key }), or null when embeddings are off or the provider has none.
+  // key names provider and model, so vectors of different embedding spaces are never compared.
+  embeddingTarget() {
+    const { documents = DEFAULTS.documents, llm } = this.state.settings;
+    const adapter = getProvider(llm.provider);
+    if (!documents.embeddings || !adapter?.capabilities.embeddings) return null;
+    if (!llm.apiKey && adapter.requiresApiKey !== false) return null;
+    const model = documents.embeddingModel || adapter.embeddingModel;
+    return model ? { model, key: `${adapter.id}:${model}` } : null;
+  }
+
+  async embedChunks(chunks) {
+    const target = this.embeddingTarget();
+    if (!target || !chunks.length) return;
+    try {
+      for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH);
+        const { vectors } = await embedTexts(this.state.settings, batch.map((c) => c.text), { model: target.model });
+        await storeVectors(target.key, batch.map((c, j) => ({ id: c.id, vector: vectors[j] })));
+      }
+    } catch (err) {
+      this.showToast('warning', 'Embeddings Skipped', `Passages are ranked by keywords only: ${err.message || err}`);
+    }
+  }
+
+  // Best chunks for a query: BM25, fused with embedding similarity when the query can be embedded too
+  async retrieveChunks(query, { topK, signal } = {}) {
+    const target = this.embeddingTarget();
+    let vector;
+    if (target) {
+      try {
+        [vector] = (await embedTexts(this.state.settings, [query], { model: target.model, signal })).vectors;
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.warn('Could not embed the query; ranking by keywords only', err);
+      }
+    }
+    const k = topK || this.state.settings.documents?.topK || DEFAULT_TOP_K;
+    return searchDocuments(query, { topK: k, vector, model: target?.key, signal });
+  }
+
+  async searchDocumentsTool({ query, topK }, { signal } = {}) {
+    const chunks = await this.retrieveChunks(query, { topK, signal });
+    if (chunks.length) return { query, results: chunks.map(toPassage) };
+    const documents = await listDocuments();
+    return {
+      query,
+      results: [],
+      note: documents.length
+        ? `Nothing matched. Indexed documents: ${documents.map((d) => d.name).join(', ')}. Try other keywords.`
+        : 'No documents are indexed. Ask the user to upload the files (text, markdown or code).',
+    };
+  }
+
+  // Automatic retrieval: passages for the latest user message, sent as a system message on every step of the run
+  async retrieveForMessage(conversation, { signal } = {}) {
+    if (!this.state.settings.documents?.autoRetrieve) return null;
+    const user = [...conversation.messages].reverse().find((m) => m.role === 'user');
+    const query = user ? contentText(user.content) : '';
+    if (!query.trim()) return null;
+    try {
+      const found = (await this.retrieveChunks(query, { signal })).map(toPassage);
+      return found.length ? { passages: found, message: passagesMessage(found) } : null;
+    } catch (err) {
+      // Answering without passages beats not answering; a Stop is noticed by the next LLM call
+      if (!isAbortError(err)) console.warn('Automatic document retrieval failed', err);
+      return null;
+    }
   }
 
-  async processFile({ fileId, operation }) {
-    return { result: `Simulated ${operation} on file ${fileId}` };
+  async refreshDocumentList() {
+    try {
+      const [documents, stats] = await Promise.all([listDocuments(), documentIndexStats()]);
+      renderer.renderDocumentList(documents, stats);
+    } catch (err) {
+      renderer.renderDocumentList([], null, err.message || String(err));
+    }
   }
 
-  async createVisualization({ data, type, title }) {
-    return { chartUrl: `Simulated ${type} chart titled "${title}"` };
+  async removeIndexedDocument(docId) {
+    try {
+      await removeDocument(docId);
+    } catch (err) {
+      this.showToast('error', 'Remove Failed', err.message || 'Could not remove the document.');
+    }
+    this.refreshDocumentList();
+  }
+
+  async clearDocumentIndex() {
+    if (!confirm('Remove every document from the local index?')) return;
+    try {
+      await clearDocuments();
+      this.showToast('success', 'Index Cleared', 'All documents were removed from the index.');
+    } catch (err) {
+      this.showToast('error', 'Clear Failed', err.message || 'Could not clear the document index.');
+    }
+    this.refreshDocumentList();
+  }
+
+  // ===========================================================================
+  // MCP Servers
+  // ===========================================================================
+  // Connections follow settings.mcp.servers: enabled servers are connected (again, when their entry
+  // changed) and their tools registered as `server__tool`; removed or disabled ones are closed.
+  async syncMcpServers() {
+    const servers = (this.state.settings.mcp?.servers || []).filter((server) => server.enabled !== false);
+    const wanted = new Map(servers.map((server) => [server.id, server]));
+    const same = (a, b) => ['name', 'url', 'transport', 'token'].every((key) => (a[key] || '') === (b[key] || ''));
+
+    const pending = [];
+    this.mcp.forEach((entry, id) => {
+      if (!wanted.has(id)) pending.push(this.disconnectMcpServer(id));
+    });
+    servers.forEach((server) => {
+      const entry = this.mcp.get(server.id);
+      if (!entry || !same(entry.server, server) || entry.status.state === 'error') pending.push(this.connectMcpServer(server));
+    });
+    await Promise.all(pending);
+  }
+
+  async connectMcpServer(server) {
+    await this.disconnectMcpServer(server.id);
+    const entry = { server, client: null, tools: [], status: { state: 'connecting' } };
+    this.mcp.set(server.id, entry);
+    this.updateMcpStatus(server.id);
+
+    entry.client = createMcpClient(server, {
+      onNotification: (message) => this.onMcpNotification(entry, message),
+      onClose: (error) => {
+        if (this.mcp.get(server.id) !== entry) return;
+        this.unregisterMcpTools(entry);
+        entry.status = { state: 'error', error: `Connection lost: ${error?.message || 'the server closed it'}` };
+        this.updateMcpStatus(server.id);
+      },
+    });
+    try {
+      const info = await entry.client.connect();
+      const { tools, resources, prompts } = await this.listMcpCapabilities(entry.client, info.capabilities);
+      // Settings may have changed while this was connecting
+      if (this.mcp.get(server.id) !== entry) return entry.client.close();
+      entry.status = { state: 'connected', info, resources, prompts };
+      this.registerMcpTools(entry, tools);
+    } catch (err) {
+      entry.client.close();
+      if (this.mcp.get(server.id) !== entry) return;
+      entry.status = { state: 'error', error: err.message || String(err) };
+      console.warn(`MCP server ${server.name} is unavailable`, err);
+    }
+    this.updateMcpStatus(server.id);
+  }
+
+  async disconnectMcpServer(id) {
+    const entry = this.mcp.get(id);
+    if (!entry) return;
+    this.mcp.delete(id);
+    this.unregisterMcpTools(entry);
+    await entry.client?.close();
+    this.updateMcpStatus(id);
+  }
+
+  // Lists what the server declared it offers; resources and prompts are informational, so their failures are not fatal
+  async listMcpCapabilities(client, capabilities = {}) {
+    const optional = (enabled, list) => (enabled ? list().catch(() => []) : Promise.resolve([]));
+    const [tools, resources, prompts] = await Promise.all([
+      capabilities.tools ? client.listTools() : [],
+      optional(capabilities.resources, () => client.listResources()),
+      optional(capabilities.prompts, () => client.listPrompts()),
+    ]);
+    return { tools, resources, prompts };
+  }
+
+  // MCP tools go into the same registry as built-in ones; calls are forwarded to the server
+  registerMcpTools(entry, tools) {
+    this.unregisterMcpTools(entry);
+    const { server } = entry;
+    const skipped = [];
+    tools.forEach((tool) => {
+      const name = mcpToolName(server.name, tool.name);
+      const { $schema, ...schema } = tool.inputSchema || {};
+      try {
+        registerTool({
+          name,
+          description: tool.description || `${tool.title || tool.name} (from the MCP server ${server.name})`,
+          parameters: { properties: {}, ...schema, type: 'object' },
+          handler: async (args, { signal }) => mcpToolResult(await entry.client.callTool(tool.name, args, { signal })),
+          source: `MCP: ${server.name}`,
+        });
+        entry.tools.push({ name, description: tool.description });
+      } catch (err) {
+        skipped.push(`${tool.name} (${err.message})`);
+      }
+    });
+    entry.status = { ...entry.status, tools: entry.tools, skipped };
+    this.updateMcpStatus(server.id);
+    renderer.renderToolPolicies(listTools(), this.state.settings.tools, TOOL_POLICIES);
+  }
+
+  unregisterMcpTools(entry) {
+    entry.tools.forEach(({ name }) => unregisterTool(name));
+    entry.tools = [];
+  }
+
+  async onMcpNotification(entry, { method }) {
+    if (this.mcp.get(entry.server.id) !== entry || entry.status.state !== 'connected') return;
+    try {
+      if (method === 'notifications/tools/list_changed') this.registerMcpTools(entry, await entry.client.listTools());
+      if (method === 'notifications/resources/list_changed') entry.status.resources = await entry.client.listResources();
+      if (method === 'notifications/prompts/list_changed') entry.status.prompts = await entry.client.listPrompts();
+    } catch (err) {
+      console.warn(`Could not refresh the lists of MCP server ${entry.server.name}`, err);
+    }
+    this.updateMcpStatus(entry.server.id);
+  }
+
+  updateMcpStatus(id) {
+    renderer.renderMcpStatus(id, this.mcp.get(id)?.status);
+  }
+
+  // Reconnect button: uses the saved entry, not unsaved edits in the form
+  reconnectMcpServer(id) {
+    const server = (this.state.settings.mcp?.servers || []).find((s) => s.id === id);
+    if (!server) {
+      this.showToast('info', 'Not Saved', 'Save your settings to connect to this server.');
+      return;
+    }
+    if (server.enabled === false) {
+      this.showToast('info', 'Server Disabled', `Enable ${server.name} and save to connect.`);
+      return;
+    }
+    this.connectMcpServer(server);
+  }
+
+  // Server entries as currently edited in the MCP settings tab
+  readMcpServerForm() {
+    return Array.from(document.querySelectorAll('#mcp-servers .mcp-server')).map((row) => {
+      const field = (key) => row.querySelector(`[data-mcp-field="${key}"]`);
+      return {
+        id: row.dataset.mcpId,
+        name: field('name')?.value.trim() || '',
+        url: field('url')?.value.trim() || '',
+        transport: field('transport')?.value || 'auto',
+        token: field('token')?.value.trim() || '',
+        enabled: !!field('enabled')?.checked,
+      };
+    });
+  }
+
+  // Blank rows are dropped; names must give distinct tool name prefixes
+  validateMcpServers(servers) {
+    const kept = servers.filter((server) => server.name || server.url);
+    const prefixes = new Set();
+    kept.forEach((server) => {
+      if (!server.name) throw new Error(`MCP server ${server.url} needs a name.`);
+      let url;
+      try {
+        url = new URL(server.url);
+      } catch (_) {
+        throw new Error(`MCP server ${server.name}: "${server.url}" is not a valid URL.`);
+      }
+      if (!/^https?:$/.test(url.protocol)) throw new Error(`MCP server ${server.name}: the URL must start with http:// or https://.`);
+      const prefix = mcpToolName(server.name, '');
+      if (prefixes.has(prefix)) throw new Error(`Two MCP servers are named "${server.name}"; tool names would clash.`);
+      prefixes.add(prefix);
+    });
+    return kept;
+  }
+
+  addMcpServerRow() {
+    const servers = this.readMcpServerForm();
+    servers.push({ id: uniqueId('mcp'), name: '', url: '', transport: 'auto', token: '', enabled: true });
+    renderer.renderMcpServers(servers, (id) => this.mcp.get(id)?.status, MCP_TRANSPORTS);
+    document.querySelector('#mcp-servers .mcp-server:last-child [data-mcp-field="name"]')?.focus();
+  }
+
+  removeMcpServerRow(id) {
+    const servers = this.readMcpServerForm().filter((server) => server.id !== id);
+    renderer.renderMcpServers(servers, (serverId) => this.mcp.get(serverId)?.status, MCP_TRANSPORTS);
+  }
+
+  // ===========================================================================
+  // Charts
+  // ===========================================================================
+  async downloadChart(messageId, format) {
+    const conversation = this.state.conversations.get(this.state.currentConversationId);
+    const spec = conversation?.messages.find((m) => m.id === messageId)?.chart;
+    const svg = this.elements.messages?.querySelector(`.message[data-message-id="${messageId}"] .chart-svg`);
+    if (!spec || !svg) return this.showToast('error', 'Download Failed', 'This message has no chart.');
+
+    const name = (spec.title || `${spec.type}-chart`).replace(/[^\w-]+/g, '_');
+    const markup = chartSVGMarkup(svg, spec);
+    try {
+      if (format === 'png') downloadFile(await svgToPNG(markup), `${name}.png`, 'image/png');
+      else downloadFile(markup, `${name}.svg`, 'image/svg+xml');
+    } catch (e) {
+      this.showToast('error', 'Download Failed', e.message || 'Could not export the chart.');
+    }
   }
 
   // ===========================================================================
   // Messages in UI
   // ===========================================================================
-  addMessage(role, content, conversationId) {
+  addMessage(role, content, conversationId, extra = {}) {
     try {
       const convId = conversationId || this.state.currentConversationId;
       if (!convId) return;
@@ -520,28 +1837,78 @@ class GyaanSetu {
       if (!conversation) return;
       if (content === null || content === undefined) return;
 
-      const message = { id: `msg_${Date.now()}`, role, content, timestamp: Date.now() };
+      const message = { id: uniqueId('msg'), role, content, timestamp: Date.now(), ...extra };
       conversation.messages.push(message);
 
-      if (role !== 'system' && typeof content === 'string') {
-        conversation.preview = content.substring(0, 100);
-        if (!conversation.title || conversation.title === 'New Conversation')
-          conversation.title = content.substring(0, 30) || 'Conversation';
-        conversation.updatedAt = Date.now();
-        this.updateConversationList();
-      }
+      const text = contentText(content) || (contentImages(content).length ? 'Image' : '');
+      if (role !== 'system' && text) this.touchConversation(conversation, text);
 
-      this.displayMessage(message);
-      this.scrollToBottom();
+      if (convId === this.state.currentConversationId) {
+        this.displayMessage(message);
+        this.scrollToBottom();
+      }
+      return message;
     } catch (e) {
       console.error('addMessage error', e);
     }
   }
 
+  touchConversation(conversation, content) {
+    conversation.preview = content.substring(0, 100);
+    if (!conversation.title || conversation.title === 'New Conversation')
+      conversation.title = content.substring(0, 30) || 'Conversation';
+    conversation.updatedAt = Date.now();
+    this.updateConversationList();
+  }
+
   displayMessage(message) {
     return renderer.displayMessage(this, message);
   }
 
+  // Coalesce re-renders of streaming messages to one per animation frame
+  scheduleRender(message) {
+    this.renderQueue.add(message);
+    if (this.renderFrame) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      const queued = Array.from(this.renderQueue);
+      this.renderQueue.clear();
+      queued.filter((msg) => this.isMessageVisible(msg)).forEach((msg) => this.displayMessage(msg));
+      this.scrollToBottom();
+    });
+  }
+
+  isMessageVisible(message) {
+    const current = this.state.conversations.get(this.state.currentConversationId);
+    return !!current && current.messages.includes(message);
+  }
+
+  // Returns the finished message, or null when it was dropped
+  finalizeStreamedMessage(message, response, conversationId) {
+    const conversation = this.state.conversations.get(conversationId);
+    if (!conversation) return null;
+
+    this.renderQueue.delete(message);
+    delete message.streaming;
+    if (response && typeof response.content === 'string' && response.content) message.content = response.content;
+    if (response && response.tool_calls && response.tool_calls.length) message.tool_calls = response.tool_calls;
+
+    // Interrupted streams that produced nothing leave no empty bubble behind
+    if (!message.content && !message.tool_calls) {
+      conversation.messages = conversation.messages.filter((m) => m !== message);
+      this.elements.messages?.querySelector(`.message[data-message-id="${message.id}"]`)?.remove();
+      return null;
+    }
+
+    if (message.content) this.touchConversation(conversation, message.content);
+    if (this.isMessageVisible(message)) {
+      this.displayMessage(message);
+      this.scrollToBottom();
+    }
+    return message;
+  }
+
   // ===========================================================================
   // Conversations
   // ===========================================================================
@@ -571,6 +1938,12 @@ class GyaanSetu {
 
     this.updateConversationList();
     this.updateChatHeader();
+    this.updateContextMeter();
+    this.updateUsageDisplay();
+    this.updateHealthDisplay();
+    this.updateSchemaChip();
+    this.updateStepBudget();
+    this.renderPendingApprovals();
   }
 
   clearConversationMessages() {
@@ -581,6 +1954,7 @@ class GyaanSetu {
     if (!conv) return;
 
     conv.messages = [];
+    delete conv.summary;
     conv.preview = 'Cleared';
     conv.updatedAt = Date.now();
 
@@ -599,10 +1973,20 @@ class GyaanSetu {
         else if (typeof parsed === 'object') entries = Object.entries(parsed);
 
         this.state.conversations = new Map(entries.map(([k, v]) => [k, v]));
+        const missing = await loadImages(Array.from(this.state.conversations.values()));
+        if (missing) {
+          this.showToast('warning', 'Images Missing', `${missing} attached image(s) could not be restored from browser storage.`);
+        }
 
         Array.from(this.state.conversations.values()).forEach((conv) => {
           conv.updatedAt = conv.updatedAt || conv.createdAt || Date.now();
           conv.messages = conv.messages || [];
+          // Compare columns interrupted by a reload will never finish
+          conv.messages.forEach((m) =>
+            m.compare?.candidates.forEach((c) => {
+              if (c.status === 'pending') Object.assign(c, { status: 'stopped', error: c.content ? undefined : 'Stopped.' });
+            })
+          );
         });
 
         const recent = Array.from(this.state.conversations.values()).sort((a, b) => b.updatedAt - a.updatedAt)[0];
@@ -619,15 +2003,34 @@ class GyaanSetu {
   }
 
   saveCurrentConversation() {
+    if (!this.state.settings.advanced.autoSave) return;
+    const entries = Array.from(this.state.conversations.entries());
+    // Image data goes to IndexedDB; localStorage keeps each image's id, type and name
+    saveImages(entries.map(([, conv]) => conv)).then(
+      () => this.saveFailures.delete('images'),
+      (e) => this.reportSaveFailure('images', e)
+    );
     try {
-      if (this.state.settings.advanced.autoSave) {
-        localStorage.setItem('agentflow_conversations', JSON.stringify(Array.from(this.state.conversations.entries())));
-      }
+      localStorage.setItem('agentflow_conversations', JSON.stringify(entries, withoutImageData));
+      this.saveFailures.delete('conversations');
     } catch (e) {
-      console.warn('Could not save conversation', e);
+      this.reportSaveFailure('conversations', e);
     }
   }
 
+  // Saves run after every message, so a failure is shown once until that kind of save works again
+  reportSaveFailure(kind, error) {
+    console.warn(`Could not save ${kind}`, error);
+    if (this.saveFailures.has(kind)) return;
+    this.saveFailures.add(kind);
+    const what = kind === 'images' ? 'Attached images' : 'Conversations';
+    this.showToast(
+      'error',
+      'Save Failed',
+      `${what} could not be saved (${error?.message || error}). Browser storage may be full; delete old conversations to free space.`
+    );
+  }
+
   // ===========================================================================
   // Settings Modal
   // ===========================================================================
@@ -643,12 +2046,20 @@ class GyaanSetu {
   populateSettingsForm() {
     const s = this.state.settings || this.getDefaultSettings();
     const llmProv = document.getElementById('llm-provider');
+    const fallbackEl = document.getElementById('fallback-chain');
     const apiKeyEl = document.getElementById('api-key');
     const maxTokensEl = document.getElementById('max-tokens');
     const tempEl = document.getElementById('temperature');
 
     if (llmProv) llmProv.value = s.llm.provider || 'aipipe';
     if (apiKeyEl) apiKeyEl.value = s.llm.apiKey || '';
+    listProviders().forEach((adapter) =>
+      (adapter.settingsFields || []).forEach((field) => {
+        const el = document.getElementById(renderer.providerFieldId(adapter.id, field.key));
+        if (el) el.value = s.llm[field.key] ?? field.default ?? '';
+      })
+    );
+    if (fallbackEl) fallbackEl.value = this.formatFallbackChain(s.llm.fallbackChain);
     if (maxTokensEl) maxTokensEl.value = s.llm.maxTokens || 2000;
     if (tempEl) tempEl.value = s.llm.temperature || 0.7;
 
@@ -666,18 +2077,56 @@ class GyaanSetu {
     document.getElementById('auto-save').checked = !!s.advanced.autoSave;
     document.getElementById('analytics-enabled').checked = !!s.advanced.analyticsEnabled;
     document.getElementById('max-history').value = s.advanced.maxHistory || 100;
+    document.getElementById('request-timeout').value = s.advanced.requestTimeout || 60;
+    document.getElementById('max-retries').value = s.advanced.maxRetries ?? 2;
+    document.getElementById('max-steps').value = s.advanced.maxSteps || DEFAULTS.advanced.maxSteps;
+    document.getElementById('record-fixtures').checked = !!s.advanced.recordFixtures;
+    document.getElementById('tool-concurrency').value = s.tools.maxConcurrent || DEFAULTS.tools.maxConcurrent;
+    document.getElementById('tool-timeout').value = s.tools.timeoutSeconds || DEFAULTS.tools.timeoutSeconds;
+    renderer.renderToolPolicies(listTools(), s.tools, TOOL_POLICIES);
+    const search = s.search || DEFAULTS.search;
+    const searchBackendEl = document.getElementById('search-backend');
+    if (searchBackendEl) searchBackendEl.value = getSearchBackend(search.backend) ? search.backend : DEFAULTS.search.backend;
+    listSearchBackends().forEach((backend) =>
+      (backend.settingsFields || []).forEach((field) => {
+        const el = document.getElementById(renderer.searchFieldId(field.key));
+        if (el) el.value = search[field.key] ?? field.default ?? '';
+      })
+    );
+
+    const documents = s.documents || DEFAULTS.documents;
+    document.getElementById('documents-auto').checked = !!documents.autoRetrieve;
+    document.getElementById('documents-top-k').value = documents.topK || DEFAULTS.documents.topK;
+    document.getElementById('documents-embeddings').checked = !!documents.embeddings;
+    document.getElementById('documents-embedding-model').value = documents.embeddingModel || '';
+    this.refreshDocumentList();
+    renderer.renderMcpServers(s.mcp?.servers || [], (id) => this.mcp.get(id)?.status, MCP_TRANSPORTS);
 
+    this.updateProviderFields();
+    this.updateSearchFields();
     this.updateModelOptions().catch(() => { });
   }
 
   updateSettingsFromForm() {
     const s = this.state.settings || this.getDefaultSettings();
 
+    // Validated first so a bad entry leaves the saved settings untouched
+    const fallbackChain = this.parseFallbackChain(document.getElementById('fallback-chain')?.value);
+    const unknown = fallbackChain.filter((entry) => !getProvider(entry.provider)).map((entry) => entry.provider);
+    if (unknown.length) throw new Error(`Unknown provider in fallback chain: ${unknown.join(', ')}`);
+    const mcpServers = this.validateMcpServers(this.readMcpServerForm());
+
     s.llm.provider = document.getElementById('llm-provider')?.value || s.llm.provider;
-    s.llm.apiKey = document.getElementById('api-key')?.value || s.llm.apiKey;
+    s.llm.apiKey = document.getElementById('api-key')?.value.trim() ?? s.llm.apiKey;
+    const fields = this.readProviderFields(s.llm.provider);
+    Object.assign(s.llm, fields);
+    // Remember credentials per provider so switching back (or comparing) doesn't need them re-entered
+    s.llm.profiles = { ...(s.llm.profiles || {}), [s.llm.provider]: { apiKey: s.llm.apiKey, ...fields } };
+
     s.llm.model = document.getElementById('model-name')?.value || s.llm.model;
     s.llm.maxTokens = parseInt(document.getElementById('max-tokens')?.value || s.llm.maxTokens, 10);
     s.llm.temperature = parseFloat(document.getElementById('temperature')?.value || s.llm.temperature);
+    s.llm.fallbackChain = fallbackChain;
 
     s.ui.theme = document.querySelector('input[name="theme"]:checked')?.value || s.ui.theme;
     s.ui.animationsEnabled = document.getElementById('animations-enabled')?.checked;
@@ -692,15 +2141,67 @@ class GyaanSetu {
     s.advanced.autoSave = document.getElementById('auto-save')?.checked;
     s.advanced.analyticsEnabled = document.getElementById('analytics-enabled')?.checked;
     s.advanced.maxHistory = parseInt(document.getElementById('max-history')?.value || s.advanced.maxHistory, 10);
+    s.advanced.requestTimeout = parseInt(document.getElementById('request-timeout')?.value || s.advanced.requestTimeout, 10);
+    s.advanced.maxRetries = parseInt(document.getElementById('max-retries')?.value, 10) || 0;
+    s.advanced.maxSteps = Math.min(
+      parseInt(document.getElementById('max-steps')?.value, 10) || DEFAULTS.advanced.maxSteps,
+      MAX_STEP_BUDGET
+    );
+    s.advanced.recordFixtures = !!document.getElementById('record-fixtures')?.checked;
+    document.querySelectorAll('#tool-policies [data-tool-policy]').forEach((select) => {
+      s.tools.policies[select.dataset.toolPolicy] = select.value;
+    });
+    s.tools.maxConcurrent = parseInt(document.getElementById('tool-concurrency')?.value, 10) || DEFAULTS.tools.maxConcurrent;
+    s.tools.timeoutSeconds = parseInt(document.getElementById('tool-timeout')?.value, 10) || DEFAULTS.tools.timeoutSeconds;
+    // Settings of tools not registered right now (e.g. a plugin not loaded yet) are kept
+    const unlisted = (name) => !getTool(name);
+    s.tools.disabled = (s.tools.disabled || []).filter(unlisted);
+    document.querySelectorAll('#tool-policies [data-tool-enabled]').forEach((input) => {
+      if (!input.checked) s.tools.disabled.push(input.dataset.toolEnabled);
+    });
+    // An empty per-tool timeout means "use the default"
+    s.tools.timeouts = Object.fromEntries(Object.entries(s.tools.timeouts || {}).filter(([name]) => unlisted(name)));
+    document.querySelectorAll('#tool-policies [data-tool-timeout]').forEach((input) => {
+      const seconds = parseInt(input.value, 10);
+      if (seconds > 0) s.tools.timeouts[input.dataset.toolTimeout] = seconds;
+    });
+    s.documents = {
+      autoRetrieve: !!document.getElementById('documents-auto')?.checked,
+      topK: Math.min(parseInt(document.getElementById('documents-top-k')?.value, 10) || DEFAULTS.documents.topK, 10),
+      embeddings: !!document.getElementById('documents-embeddings')?.checked,
+      embeddingModel: document.getElementById('documents-embedding-model')?.value.trim() || '',
+    };
+    // Fields of every backend are kept, so switching backends back and forth loses nothing
+    s.search = { ...(s.search || DEFAULTS.search) };
+    s.search.backend = document.getElementById('search-backend')?.value || s.search.backend;
+    listSearchBackends().forEach((backend) =>
+      (backend.settingsFields || []).forEach((field) => {
+        const el = document.getElementById(renderer.searchFieldId(field.key));
+        if (el) s.search[field.key] = el.value.trim() || field.default || '';
+      })
+    );
+    s.mcp = { ...(s.mcp || DEFAULTS.mcp), servers: mcpServers };
 
     this.state.settings = s;
+
+    // Saved anyway (the key may be added later), but such entries are skipped until then
+    const keyless = fallbackChain.filter(({ provider, model }) => !hasCredentials(this.llmSettingsFor(provider, model)));
+    if (keyless.length) {
+      this.showToast(
+        'warning',
+        'Fallback Skipped',
+        `No API key saved for ${keyless.map((entry) => this.providerLabel(entry)).join(', ')}; these fallbacks are skipped until one is.`
+      );
+    }
   }
 
   saveAndApplySettings() {
     try {
       this.updateSettingsFromForm();
       this.applySettings();
+      this.updateContextMeter();
       localStorage.setItem('agentflow_settings', JSON.stringify(this.state.settings));
+      this.syncMcpServers();
       this.showToast('success', 'Settings Saved', 'Your settings have been updated.');
       this.closeSettings();
     } catch (e) {
@@ -713,6 +2214,7 @@ class GyaanSetu {
       this.updateTheme();
       const font = { small: '0.875rem', medium: '1rem', large: '1.125rem' }[this.state.settings.ui.fontSize] || '1rem';
       document.documentElement.style.setProperty('--font-size-base', font);
+      setRecording(!!this.state.settings.advanced.recordFixtures);
     } catch (e) { }
   }
 
@@ -728,6 +2230,15 @@ class GyaanSetu {
           ui: { ...this.getDefaultSettings().ui, ...(loaded.ui || {}) },
           voice: { ...this.getDefaultSettings().voice, ...(loaded.voice || {}) },
           advanced: { ...this.getDefaultSettings().advanced, ...(loaded.advanced || {}) },
+          tools: {
+            ...this.getDefaultSettings().tools,
+            ...(loaded.tools || {}),
+            policies: { ...this.getDefaultSettings().tools.policies, ...(loaded.tools?.policies || {}) },
+            timeouts: { ...this.getDefaultSettings().tools.timeouts, ...(loaded.tools?.timeouts || {}) },
+          },
+          search: { ...this.getDefaultSettings().search, ...(loaded.search || {}) },
+          documents: { ...this.getDefaultSettings().documents, ...(loaded.documents || {}) },
+          mcp: { ...this.getDefaultSettings().mcp, ...(loaded.mcp || {}) },
         };
       }
     } catch (e) {
@@ -738,13 +2249,101 @@ class GyaanSetu {
   clearAllData() {
     if (confirm('DANGER: This will delete ALL data. Are you sure?')) {
       localStorage.clear();
-      window.location.reload();
+      clearImages()
+        .catch(() => {})
+        .finally(() => window.location.reload());
     }
   }
 
+  // Show settings fields that only apply to the selected provider
+  updateProviderFields() {
+    const provider = document.getElementById('llm-provider')?.value;
+    document.querySelectorAll('#api-tab [data-provider]').forEach((group) => {
+      group.style.display = group.dataset.provider.split(' ').includes(provider) ? '' : 'none';
+    });
+
+    const apiKeyEl = document.getElementById('api-key');
+    if (apiKeyEl) apiKeyEl.placeholder = getProvider(provider)?.apiKeyPlaceholder || 'Enter your API key or AI Pipe token';
+  }
+
+  // Only the selected search backend's fields are shown
+  updateSearchFields() {
+    const backend = document.getElementById('search-backend')?.value;
+    document.querySelectorAll('#search-fields [data-search-backend]').forEach((group) => {
+      group.style.display = group.dataset.searchBackend === backend ? '' : 'none';
+    });
+  }
+
+  // Fill the API key and adapter fields with what was saved for the provider picked in the form
+  loadProviderProfile() {
+    const provider = document.getElementById('llm-provider')?.value;
+    const llm = this.llmSettingsFor(provider);
+
+    const apiKeyEl = document.getElementById('api-key');
+    if (apiKeyEl) apiKeyEl.value = llm.apiKey || '';
+    (getProvider(provider)?.settingsFields || []).forEach((field) => {
+      const el = document.getElementById(renderer.providerFieldId(provider, field.key));
+      if (el) el.value = llm[field.key] ?? field.default ?? '';
+    });
+  }
+
+  // settings.llm as it applies to a provider: its saved credentials and fields plus the shared
+  // sampling settings. Keys never leak from the configured provider to another one.
+  llmSettingsFor(provider, model) {
+    const { llm } = this.state.settings;
+    const profile = provider === llm.provider ? {} : { apiKey: '', ...(llm.profiles?.[provider] || {}) };
+    return { ...llm, ...profile, provider, model: model ?? llm.model };
+  }
+
+  // Current form values of the fields an adapter declares, keyed by settings.llm property
+  readProviderFields(provider) {
+    const values = {};
+    (getProvider(provider)?.settingsFields || []).forEach((field) => {
+      const el = document.getElementById(renderer.providerFieldId(provider, field.key));
+      if (el) values[field.key] = el.value.trim() || field.default || '';
+    });
+    return values;
+  }
+
+  /**
+   * Register a provider adapter at runtime (e.g. from the console or a plugin script)
+   * and refresh the settings form so it can be selected.
+   * @param {Object} adapter - see ProviderAdapter in src/services/providers/registry.js
+   */
+  registerProvider(adapter) {
+    const registered = registerProvider(adapter);
+    renderer.renderProviderSettings(listProviders());
+    this.populateSettingsForm();
+    return registered;
+  }
+
+  /**
+   * Register a web_search backend at runtime; it becomes selectable in the Tools settings tab.
+   * @param {Object} backend - see SearchBackend in src/services/search/registry.js
+   */
+  registerSearchBackend(backend) {
+    const registered = registerSearchBackend(backend);
+    renderer.renderSearchSettings(listSearchBackends());
+    this.populateSettingsForm();
+    return registered;
+  }
+
   // ===========================================================================
   // Model List Fetching
   // ===========================================================================
+  // Cached per provider and the field values that change the listing (e.g. local server URL)
+  async getModels(provider, llm) {
+    const fieldValues = (getProvider(provider)?.settingsFields || []).map((field) => llm[field.key] ?? '');
+    const cacheKey = `models_${provider}${fieldValues.map((v) => `_${v}`).join('')}`;
+
+    let models = this.cache.get(cacheKey);
+    if (!models) {
+      models = await listModels(provider, llm);
+      this.cache.set(cacheKey, models);
+    }
+    return models;
+  }
+
   async updateModelOptions() {
     const providerEl = document.getElementById('llm-provider');
     const modelSelect = document.getElementById('model-name');
@@ -752,31 +2351,14 @@ class GyaanSetu {
 
     const provider = providerEl.value;
     const currentModel = this.state.settings.llm.model || '';
+    const fields = this.readProviderFields(provider);
+    const apiKey = document.getElementById('api-key')?.value;
 
     modelSelect.innerHTML = '<option>Loading...</option>';
     modelSelect.disabled = true;
 
     try {
-      let models = this.cache.get(`models_${provider}`);
-      if (!models) {
-        switch (provider) {
-          case 'openai':
-            models = await this.fetchOpenAIModels();
-            break;
-          case 'anthropic':
-            models = await this.fetchAnthropicModels();
-            break;
-          case 'google':
-            models = await this.fetchGoogleModels();
-            break;
-          case 'aipipe':
-            models = await this.fetchAIpipeModels();
-            break;
-          default:
-            models = ['default-local-model'];
-        }
-        this.cache.set(`models_${provider}`, models);
-      }
+      const models = await this.getModels(provider, { ...this.state.settings.llm, ...fields, provider, apiKey });
 
       modelSelect.innerHTML = '';
 
@@ -804,82 +2386,6 @@ class GyaanSetu {
     }
   }
 
-  async fetchOpenAIModels() {
-    const apiKey = document.getElementById('api-key')?.value;
-    if (!apiKey) throw new Error('API Key required for OpenAI');
-
-    const response = await fetch('https://api.openai.com/v1/models', {
-      headers: { Authorization: `Bearer ${apiKey}` },
-    });
-
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      throw new Error(err.error?.message || 'Invalid OpenAI Key');
-    }
-
-    const data = await response.json();
-    return data.data
-      .filter((m) => m.id && m.id.includes('gpt'))
-      .map((model) => model.id)
-      .sort()
-      .reverse();
-  }
-
-  async fetchAnthropicModels() {
-    return ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307'];
-  }
-
-  async fetchGoogleModels() {
-    const apiKey = document.getElementById('api-key')?.value;
-    if (!apiKey) throw new Error('API Key required for Google');
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      throw new Error(err.error?.message || 'Invalid Google Key');
-    }
-
-    const data = await response.json();
-    return (data.models || [])
-      .filter((m) => (m.supportedGenerationMethods || []).includes('generateContent'))
-      .map((m) => m.name.replace('models/', ''));
-  }
-
-  async fetchAIpipeModels() {
-    const token = document.getElementById('api-key')?.value;
-    if (!token) throw new Error('AI Pipe token required');
-
-    const candidateSets = [];
-
-    try {
-      const r1 = await fetch('https://aipipe.org/openrouter/v1/models', { headers: { Authorization: `Bearer ${token}` } });
-      if (r1.ok) {
-        const d1 = await r1.json();
-        if (Array.isArray(d1.models)) candidateSets.push(d1.models.map((m) => m.name || m.id));
-        else if (Array.isArray(d1)) candidateSets.push(d1.map((m) => m.name || m.id));
-      }
-    } catch (e) { }
-
-    try {
-      const r2 = await fetch('https://aipipe.org/openai/v1/models', { headers: { Authorization: `Bearer ${token}` } });
-      if (r2.ok) {
-        const d2 = await r2.json();
-        if (Array.isArray(d2.data)) candidateSets.push(d2.data.map((m) => m.id || m.name));
-      }
-    } catch (e) { }
-
-    const fallback = [
-      'openai/gpt-4o-mini',
-      'openai/gpt-4o',
-      'openai/gpt-4.1',
-      'openai/gpt-4o-realtime-preview',
-      'openai/gpt-3.5-turbo',
-    ];
-
-    const combined = Array.from(new Set([].concat(...candidateSets.filter(Boolean), fallback)));
-    return combined;
-  }
-
   // ===========================================================================
   // Conversation List & Header
   // ===========================================================================
@@ -932,11 +2438,16 @@ class GyaanSetu {
   // UI State
   // ===========================================================================
   updateUIState() {
-    if (!this.elements.sendButton) return;
-    this.elements.sendButton.disabled = this.state.isProcessing;
-    this.elements.sendButton.innerHTML = this.state.isProcessing
-      ? '<i class="fas fa-spinner fa-spin"></i>'
-      : '<i class="fas fa-paper-plane"></i>';
+    const button = this.elements.sendButton;
+    if (!button) return;
+
+    // While processing, the send button becomes a Stop control
+    const busy = this.state.isProcessing;
+    button.disabled = false;
+    button.classList.toggle('stop', busy);
+    button.title = busy ? 'Stop generating (Esc)' : 'Send Message';
+    button.setAttribute('aria-label', busy ? 'Stop generating' : 'Send Message');
+    button.innerHTML = busy ? '<i class="fas fa-stop"></i>' : '<i class="fas fa-paper-plane"></i>';
   }
 
   updateSidebarState() {
@@ -1088,16 +2599,57 @@ class GyaanSetu {
   }
 
   handleFiles(files) {
-    files.forEach((file) => {
+    const images = files.filter(isImageFile);
+    if (images.length) this.attachImages(images);
+
+    files.filter((file) => !isImageFile(file)).forEach((file) => {
       if (this.supportedFileTypes.some((type) => file.name.toLowerCase().endsWith(type))) {
         const convId = this.state.currentConversationId || this.createNewConversation();
-        this.addMessage('system', `File uploaded: ${file.name} (size: ${file.size} bytes). Processing placeholder added.`, convId);
+        // The model sees the text of this message; the chat shows the attachment chip
+        ingestFile(file, { conversationId: convId })
+          .then((record) => {
+            const indexed = isIndexable(record);
+            this.addMessage(
+              'system',
+              `File uploaded: ${record.name} (file id: ${record.id}, ${record.kind}, ${record.size} bytes). Read it with the process_file tool${
+                indexed ? ' or find passages in it with search_documents' : ''
+              }.`,
+              convId,
+              { attachments: [fileInfo(record)] }
+            );
+            if (indexed) this.indexUploadedDocument(record);
+          })
+          .catch((error) => this.showToast('error', 'Upload Failed', error.message || `Could not read ${file.name}.`));
       } else {
         this.showToast('warning', 'Unsupported File', `${file.name} is not a supported file type.`);
       }
     });
   }
 
+  // ===========================================================================
+  // Image Attachments
+  // ===========================================================================
+  async attachImages(files) {
+    for (const file of files) {
+      try {
+        this.pendingImages.push(await readImageFile(file));
+      } catch (error) {
+        this.showToast('warning', 'Image Not Attached', error.message || `Could not read ${file.name}.`);
+      }
+    }
+    renderer.renderAttachmentTray(this.pendingImages);
+
+    const { provider, model } = this.state.settings.llm;
+    if (this.pendingImages.length && !supportsVision(provider, model)) {
+      this.showToast('info', 'Vision Needed', `${this.providerLabel({ provider, model })} cannot read images; pick a vision model before sending.`);
+    }
+  }
+
+  removePendingImage(index) {
+    this.pendingImages.splice(index, 1);
+    renderer.renderAttachmentTray(this.pendingImages);
+  }
+
   exportConversation() {
     try {
       const conv = this.state.conversations.get(this.state.currentConversationId);
@@ -1106,21 +2658,11 @@ class GyaanSetu {
       let content = `# ${conv.title}\n\n`;
       conv.messages.forEach((msg) => {
         const sender = (msg.role || 'unknown').charAt(0).toUpperCase() + (msg.role || 'unknown').slice(1);
-        content += `**${sender}**: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}\n\n`;
+        const images = contentImages(msg.content).map((img) => `[image: ${img.name || img.mimeType}]`);
+        content += `**${sender}**: ${[contentText(msg.content), ...images].filter(Boolean).join('\n\n')}\n\n`;
       });
 
-      const blob = new Blob([content], { type: 'text/markdown' });
-      const url = URL.createObjectURL(blob);
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${(conv.title || 'conversation').replace(/\s+/g, '_')}.md`;
-
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-
-      URL.revokeObjectURL(url);
+      downloadFile(content, `${(conv.title || 'conversation').replace(/\s+/g, '_')}.md`, 'text/markdown');
     } catch (e) {
       this.showToast('error', 'Export Failed', e.message || 'Could not export conversation');
     }
@@ -1180,13 +2722,15 @@ class GyaanSetu {
 
     switch (action) {
       case 'copy':
-        navigator.clipboard?.writeText(typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content));
+        navigator.clipboard?.writeText(contentText(msg.content));
         this.showToast('success', 'Copied', 'Message copied to clipboard.');
         break;
 
       case 'edit':
-        if (typeof msg.content === 'string') {
-          this.elements.userInput.value = msg.content;
+        if (typeof msg.content === 'string' || Array.isArray(msg.content)) {
+          this.elements.userInput.value = contentText(msg.content);
+          this.pendingImages = contentImages(msg.content);
+          renderer.renderAttachmentTray(this.pendingImages);
           this.updateCharCount();
           this.showToast('info', 'Edit', 'Message loaded into input for editing.');
         } else {
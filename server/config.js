@@ -0,0 +1,90 @@
+/**
+ * server/config.js
+ * Proxy settings: an optional JSON file (PROXY_CONFIG, default server/config.json)
+ * overridden by environment variables. Provider keys only ever live here.
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/** Repository root, served as the static app */
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Environment variable holding each provider's key (first one set wins)
+const KEY_VARS = {
+  aipipe: ['AIPIPE_TOKEN'],
+  openai: ['OPENAI_API_KEY'],
+  anthropic: ['ANTHROPIC_API_KEY'],
+  google: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+  local: ['LOCAL_API_KEY'],
+};
+
+function readConfigFile(file) {
+  if (!existsSync(file)) return {};
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read proxy config ${file}: ${err.message}`);
+  }
+}
+
+// First candidate that is set and numeric
+function number(...candidates) {
+  return Number(candidates.find((c) => c !== undefined && c !== null && c !== '' && Number.isFinite(Number(c))));
+}
+
+function list(value) {
+  return value ? String(value).split(',').map((s) => s.trim()).filter(Boolean) : null;
+}
+
+// Relative log paths are taken from server/, which is never served (the repository root is the web root)
+function logPath(value) {
+  return value ? path.resolve(ROOT, 'server', String(value)) : null;
+}
+
+/**
+ * @typedef {Object} ProxyConfig
+ * @property {string} host
+ * @property {number} port
+ * @property {Object<string, string>} keys - provider id -> API key
+ * @property {string} localBaseUrl - where the `local` provider is reached from the server
+ * @property {Array<string>} tokens - accepted access tokens; empty means open access
+ * @property {{ requests: number, windowMs: number }} rateLimit - per user (token, or IP without one)
+ * @property {string|null} logFile - request log (JSON lines), absolute; stdout only when null
+ * @property {string|null} corsOrigin - allowed cross-origin caller, e.g. a separately hosted app
+ * @property {boolean} trustProxy - take the client IP from X-Forwarded-For
+ * @property {number} maxBodyBytes
+ * @property {number} upstreamTimeoutMs - wait for the provider to start responding
+ */
+
+/**
+ * Build the proxy configuration
+ * @param {Object} [env=process.env]
+ * @returns {ProxyConfig}
+ */
+export function loadConfig(env = process.env) {
+  const file = readConfigFile(env.PROXY_CONFIG || path.join(ROOT, 'server', 'config.json'));
+
+  const keys = { ...(file.keys || {}) };
+  Object.entries(KEY_VARS).forEach(([provider, vars]) => {
+    const value = vars.map((name) => env[name]).find(Boolean);
+    if (value) keys[provider] = value;
+  });
+
+  return {
+    host: env.HOST || file.host || '127.0.0.1',
+    port: number(env.PORT, file.port, 8787),
+    keys,
+    localBaseUrl: env.LOCAL_BASE_URL || file.localBaseUrl || 'http://localhost:11434',
+    tokens: list(env.PROXY_TOKENS) || file.tokens || [],
+    rateLimit: {
+      requests: number(env.RATE_LIMIT_REQUESTS, file.rateLimit?.requests, 30),
+      windowMs: number(env.RATE_LIMIT_WINDOW, file.rateLimit?.windowSeconds, 60) * 1000,
+    },
+    logFile: logPath(env.PROXY_LOG_FILE || file.logFile),
+    corsOrigin: env.CORS_ORIGIN || file.corsOrigin || null,
+    trustProxy: env.TRUST_PROXY === '1' || !!file.trustProxy,
+    maxBodyBytes: number(env.MAX_BODY_MB, file.maxBodyMb, 25) * 1024 * 1024,
+    upstreamTimeoutMs: number(env.UPSTREAM_TIMEOUT, file.upstreamTimeoutSeconds, 120) * 1000,
+  };
+}
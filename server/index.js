@@ -0,0 +1,309 @@
+/**
+ * server/index.js
+ * Optional Node proxy (no dependencies): serves the app and forwards LLM calls so
+ * provider keys stay on the server. Requests are built and replies parsed by the same
+ * provider adapters the browser uses; streams are passed through as they arrive.
+ *
+ *   POST /api/chat    { provider, model, messages, tools?, stream?, responseSchema?, temperature?, maxTokens? }
+ *   GET  /api/models  ?provider=openai
+ *
+ * Start with `npm start`; see server/config.js for the settings.
+ */
+import http from 'node:http';
+import { createReadStream } from 'node:fs';
+import { appendFile, stat } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getProvider } from '../src/services/providers/index.js';
+import { PROXY_PROVIDER_HEADER, wrapProxyResponse } from '../src/services/providers/proxy.js';
+import { withSchemaInstruction } from '../src/services/structured.js';
+import { ROOT, loadConfig } from './config.js';
+import { createRateLimiter } from './rate-limit.js';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+};
+
+// Provider ids as clients may send them
+const ID = /^[\w.:-]+$/;
+// Model ids may be namespaced ("openai/gpt-4o-mini", "hf.co/user/model"); adapters that put
+// them in upstream URLs encode them, ".." and empty segments are refused all the same
+const MODEL_ID = /^[\w.:-]+(?:\/[\w.:-]+)*$/;
+const isModelId = (value) => MODEL_ID.test(value) && !value.includes('..');
+
+// The app's files; nothing else under the repository root is served (server code, logs, package files)
+const PUBLIC_FILES = ['index.html', 'style.css', 'agent.js', 'manifest.json'];
+const PUBLIC_DIRS = ['src', 'fixtures'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Same shape as provider errors, so the client's error handling reads it unchanged
+function sendError(res, status, message, headers) {
+  sendJSON(res, status, { error: { message } }, headers);
+}
+
+async function readJSON(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw httpError(413, `Request body is larger than ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (err) {
+    throw httpError(400, 'Request body is not valid JSON.');
+  }
+}
+
+// Providers the proxy forwards to: HTTP adapters other than itself
+function forwardable(id) {
+  const adapter = ID.test(String(id ?? '')) ? getProvider(id) : null;
+  if (!adapter || id === 'proxy' || typeof adapter.buildRequest !== 'function') {
+    throw httpError(400, `Unknown provider "${id}".`);
+  }
+  return adapter;
+}
+
+// Pull a readable message out of an upstream error body
+function upstreamMessage(text, fallback) {
+  try {
+    const json = JSON.parse(text);
+    const error = Array.isArray(json) ? json[0]?.error : json.error;
+    return error?.message || (typeof error === 'string' ? error : fallback);
+  } catch (_) {
+    return text.slice(0, 500) || fallback;
+  }
+}
+
+/**
+ * Create the proxy HTTP server (not yet listening)
+ * @param {import('./config.js').ProxyConfig} config
+ * @returns {http.Server}
+ */
+export function createProxyServer(config) {
+  const limiter = createRateLimiter(config.rateLimit);
+
+  function log(entry) {
+    const line = JSON.stringify(entry);
+    console.log(line);
+    if (config.logFile) appendFile(config.logFile, `${line}\n`).catch((err) => console.error('Log write failed:', err.message));
+  }
+
+  // Token holders are told apart by a hash of their token (never logged in full), everyone else by IP
+  function identify(req) {
+    const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+    if (config.tokens.length && !config.tokens.includes(token)) throw httpError(401, 'Missing or unknown proxy access token.');
+    if (token) return `token:${createHash('sha256').update(token).digest('hex').slice(0, 12)}`;
+    const forwarded = config.trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+    return `ip:${forwarded || req.socket.remoteAddress}`;
+  }
+
+  function limit(user, res) {
+    const { allowed, remaining, retryAfter } = limiter.take(user);
+    res.setHeader('X-RateLimit-Limit', config.rateLimit.requests);
+    res.setHeader('X-RateLimit-Remaining', remaining);
+    if (!allowed) {
+      res.setHeader('Retry-After', retryAfter);
+      throw httpError(429, `Rate limit reached: ${config.rateLimit.requests} requests per ${config.rateLimit.windowMs / 1000}s.`);
+    }
+  }
+
+  function requireKey(adapter) {
+    const apiKey = config.keys[adapter.id] || '';
+    if (!apiKey && adapter.requiresApiKey !== false) {
+      throw httpError(503, `No ${adapter.label} key is configured on the proxy server.`);
+    }
+    return apiKey;
+  }
+
+  async function proxyChat(req, res, entry) {
+    const body = await readJSON(req, config.maxBodyBytes);
+    const adapter = forwardable(body.provider);
+    entry.provider = adapter.id;
+    if (!isModelId(String(body.model ?? ''))) {
+      throw httpError(400, 'model must be a model id (letters, digits, ".", ":", "_", "-", with "/" between segments).');
+    }
+    entry.model = body.model;
+    if (!Array.isArray(body.messages) || !body.messages.length) throw httpError(400, 'messages must be a non-empty array.');
+
+    const stream = !!body.stream;
+    if (stream && !(adapter.capabilities.streaming && typeof adapter.readStream === 'function')) {
+      throw httpError(400, `${adapter.label} does not support streaming.`);
+    }
+    entry.stream = stream;
+
+    // Same decisions callLLM makes in the browser, against the upstream adapter
+    const tools = adapter.capabilities.tools && Array.isArray(body.tools) && body.tools.length ? body.tools : null;
+    const schema = body.responseSchema || null;
+    const responseSchema = schema && adapter.capabilities.structuredOutput ? schema : null;
+    const messages = schema && !responseSchema ? withSchemaInstruction(body.messages, schema) : body.messages;
+    const llm = {
+      provider: adapter.id,
+      model: String(body.model || ''),
+      temperature: body.temperature,
+      maxTokens: body.maxTokens,
+      apiKey: requireKey(adapter),
+      // Clients cannot point the server elsewhere; the local server address is configuration
+      baseUrl: config.localBaseUrl,
+    };
+    const request = adapter.buildRequest({ llm, messages, tools, stream, responseSchema });
+
+    // Give up when the client disconnects or the provider does not start answering in time
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const timer = setTimeout(() => controller.abort(), config.upstreamTimeoutMs);
+
+    let upstream;
+    try {
+      upstream = await fetch(request.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(request.headers || {}) },
+        body: JSON.stringify(request.body),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (res.destroyed) return;
+      throw httpError(controller.signal.aborted ? 504 : 502, `${adapter.label} could not be reached: ${err.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    entry.upstreamStatus = upstream.status;
+
+    if (!upstream.ok) {
+      const message = upstreamMessage(await upstream.text(), upstream.statusText);
+      const retryAfter = upstream.headers.get('retry-after');
+      // A rejected server key is the operator's problem, not something the user can fix in settings
+      if (upstream.status === 401 || upstream.status === 403) {
+        throw httpError(502, `${adapter.label} rejected the proxy server's API key (${message}).`);
+      }
+      return sendError(res, upstream.status, message, retryAfter ? { 'Retry-After': retryAfter } : {});
+    }
+
+    if (!stream) return sendJSON(res, 200, wrapProxyResponse(adapter.id, await upstream.json()));
+
+    res.writeHead(200, {
+      'Content-Type': upstream.headers.get('content-type') || 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      [PROXY_PROVIDER_HEADER]: adapter.id,
+    });
+    try {
+      for await (const chunk of upstream.body) res.write(chunk);
+    } catch (err) {
+      entry.error = `stream interrupted: ${err.message}`;
+    }
+    res.end();
+  }
+
+  async function proxyModels(url, res, entry) {
+    const adapter = forwardable(url.searchParams.get('provider'));
+    entry.provider = adapter.id;
+    try {
+      const models = await adapter.listModels({ apiKey: requireKey(adapter), baseUrl: config.localBaseUrl });
+      sendJSON(res, 200, { provider: adapter.id, models });
+    } catch (err) {
+      throw err.status ? err : httpError(502, err.message || `${adapter.label} did not list its models.`);
+    }
+  }
+
+  async function serveStatic(req, res, pathname) {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    } catch (_) {
+      throw httpError(400, 'Malformed URL.');
+    }
+    const segments = relative.split('/');
+    const file = path.join(ROOT, relative);
+    const listed = segments.length === 1 ? PUBLIC_FILES.includes(relative) : PUBLIC_DIRS.includes(segments[0]);
+    if (!listed || segments.some((s) => s.startsWith('.')) || !file.startsWith(ROOT + path.sep) || file === config.logFile) {
+      throw httpError(404, 'Not found.');
+    }
+
+    const info = await stat(file).catch(() => null);
+    if (!info || !info.isFile()) throw httpError(404, 'Not found.');
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': info.size,
+    });
+    if (req.method === 'HEAD') return res.end();
+    createReadStream(file).pipe(res);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const started = Date.now();
+    const entry = { time: new Date(started).toISOString(), method: req.method, path: url.pathname };
+    const api = url.pathname.startsWith('/api/');
+
+    if (config.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.setHeader('Access-Control-Expose-Headers', `${PROXY_PROVIDER_HEADER}, Retry-After`);
+    }
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+      }
+      if (!api) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, 'Method not allowed.');
+        return await serveStatic(req, res, url.pathname);
+      }
+
+      entry.user = identify(req);
+      limit(entry.user, res);
+      if (url.pathname === '/api/chat' && req.method === 'POST') return await proxyChat(req, res, entry);
+      if (url.pathname === '/api/models' && req.method === 'GET') return await proxyModels(url, res, entry);
+      throw httpError(404, 'Not found.');
+    } catch (err) {
+      entry.error = err.message;
+      if (res.headersSent) return res.end();
+      sendError(res, err.status || 500, err.status ? err.message : 'Proxy error.');
+      if (!err.status) console.error(err);
+    } finally {
+      // Static files are only logged when they fail
+      if (api || entry.error) log({ ...entry, status: res.statusCode, ms: Date.now() - started });
+    }
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res);
+  });
+}
+
+// `node server/index.js`
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const config = loadConfig();
+  createProxyServer(config).listen(config.port, config.host, () => {
+    const providers = Object.keys(config.keys).filter((id) => config.keys[id]);
+    console.log(`Proxy listening on http://${config.host}:${config.port}`);
+    console.log(`Provider keys: ${providers.length ? providers.join(', ') : 'none (set OPENAI_API_KEY, ANTHROPIC_API_KEY, ...)'}`);
+    if (!config.tokens.length) console.log('No PROXY_TOKENS set: anyone who can reach this server can use it.');
+  });
+}
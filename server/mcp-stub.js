@@ -0,0 +1,280 @@
+/**
+ * server/mcp-stub.js
+ * Small MCP server (no dependencies) for trying out and testing the MCP client. It speaks
+ * both transports the client supports and offers a few tools, resources and a prompt:
+ *
+ *   POST/GET/DELETE /mcp           Streamable HTTP (protocol 2025-03-26)
+ *   GET /sse, POST /messages       HTTP+SSE (protocol 2024-11-05)
+ *
+ * Start with `npm run mcp-stub` (MCP_STUB_PORT, default 8788; MCP_STUB_TOKEN to require a
+ * bearer token) and add http://localhost:8788/mcp under Settings > MCP.
+ */
+import http from 'node:http';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'leafai-mcp-stub', version: '1.0.0' };
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Return the given text unchanged.',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers.',
+    inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+  },
+  {
+    name: 'get_time',
+    description: "The server's current time as ISO 8601 and Unix milliseconds.",
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'slow_count',
+    description: 'Count to n, one number every 200 ms, sending progress notifications (answers over SSE).',
+    inputSchema: { type: 'object', properties: { n: { type: 'integer', minimum: 1, maximum: 20 } }, required: ['n'] },
+  },
+  {
+    name: 'fail',
+    description: 'Always fails; for testing how tool errors are reported.',
+    inputSchema: { type: 'object', properties: {} },
+  },
+];
+
+const RESOURCES = [
+  { uri: 'stub://readme', name: 'README', mimeType: 'text/plain', text: 'This is the LeafAI MCP stub server.' },
+  { uri: 'stub://config.json', name: 'config.json', mimeType: 'application/json', text: JSON.stringify({ answer: 42 }) },
+];
+
+const PROMPTS = [
+  {
+    name: 'summarize',
+    description: 'Ask for a short summary of a text.',
+    arguments: [{ name: 'text', description: 'Text to summarize', required: true }],
+  },
+];
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+const textResult = (text, extra = {}) => ({ content: [{ type: 'text', text }], ...extra });
+
+/**
+ * Create the stub MCP server
+ * @param {{ token?: string }} [options] - token: required as "Authorization: Bearer <token>"
+ * @returns {http.Server}
+ */
+export function createMcpStubServer({ token } = {}) {
+  const sessions = new Set(); // Streamable HTTP session ids
+  const streams = new Map(); // HTTP+SSE session id -> response of its GET stream
+
+  // Result of a request; `progress` sends notifications while a call runs
+  async function dispatch({ method, params = {} }, progress) {
+    switch (method) {
+      case 'initialize': {
+        const asked = params.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(asked) ? asked : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false }, resources: {}, prompts: {} },
+          serverInfo: SERVER_INFO,
+          instructions: 'Test server: echo, add, get_time, slow_count and fail.',
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS };
+      case 'resources/list':
+        return { resources: RESOURCES.map(({ text, ...rest }) => rest) };
+      case 'prompts/list':
+        return { prompts: PROMPTS };
+      case 'resources/read': {
+        const resource = RESOURCES.find((r) => r.uri === params.uri);
+        if (!resource) throw rpcError(-32002, `Resource not found: ${params.uri}`);
+        return { contents: [{ uri: resource.uri, mimeType: resource.mimeType, text: resource.text }] };
+      }
+      case 'prompts/get': {
+        if (params.name !== 'summarize') throw rpcError(-32602, `Unknown prompt: ${params.name}`);
+        const text = params.arguments?.text || '';
+        return { messages: [{ role: 'user', content: { type: 'text', text: `Summarize in one sentence:\n\n${text}` } }] };
+      }
+      case 'tools/call':
+        return callTool(params.name, params.arguments || {}, progress, params._meta?.progressToken);
+      default:
+        throw rpcError(-32601, `Method not found: ${method}`);
+    }
+  }
+
+  async function callTool(name, args, progress, progressToken) {
+    switch (name) {
+      case 'echo':
+        return textResult(String(args.text ?? ''));
+      case 'add': {
+        const sum = Number(args.a) + Number(args.b);
+        return textResult(String(sum), { structuredContent: { sum } });
+      }
+      case 'get_time': {
+        const now = new Date();
+        return textResult(now.toISOString(), { structuredContent: { iso: now.toISOString(), unixMs: now.getTime() } });
+      }
+      case 'slow_count': {
+        const n = Math.min(Math.max(1, Math.floor(args.n) || 1), 20);
+        for (let i = 1; i <= n; i += 1) {
+          await new Promise((resolve) => setTimeout(resolve, 200));
+          progress?.({ method: 'notifications/progress', params: { progressToken: progressToken ?? 'slow_count', progress: i, total: n } });
+        }
+        return textResult(Array.from({ length: n }, (_, i) => i + 1).join(' '));
+      }
+      case 'fail':
+        return textResult('The stub tool failed on purpose.', { isError: true });
+      default:
+        throw rpcError(-32602, `Unknown tool: ${name}`);
+    }
+  }
+
+  // Response message for a request (errors become JSON-RPC errors)
+  async function respond(message, progress) {
+    try {
+      return { jsonrpc: '2.0', id: message.id, result: await dispatch(message, progress) };
+    } catch (err) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: err.code ?? -32603, message: err.message } };
+    }
+  }
+
+  function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  const sseEvent = (data, event) => `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+
+  async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  }
+
+  // --- Streamable HTTP -------------------------------------------------------
+
+  async function handleMcp(req, res) {
+    const session = req.headers['mcp-session-id'];
+    if (req.method === 'DELETE') {
+      sessions.delete(session);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method !== 'POST') {
+      // No server-initiated stream in this stub
+      res.writeHead(405, { Allow: 'POST, DELETE' });
+      return res.end();
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (_) {
+      return sendJSON(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    const messages = Array.isArray(body) ? body : [body];
+    const initializing = messages.some((m) => m.method === 'initialize');
+
+    const headers = {};
+    if (initializing) {
+      const id = randomUUID();
+      sessions.add(id);
+      headers['Mcp-Session-Id'] = id;
+    } else if (!sessions.has(session)) {
+      return sendJSON(res, session ? 404 : 400, { jsonrpc: '2.0', id: null, error: { code: -32000, message: 'Unknown or missing session.' } });
+    }
+
+    const requests = messages.filter((m) => m.id !== undefined && m.method);
+    if (!requests.length) {
+      res.writeHead(202, headers);
+      return res.end();
+    }
+
+    // slow_count answers over SSE so its progress notifications can go first
+    if (requests.some((m) => m.method === 'tools/call' && m.params?.name === 'slow_count')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...headers });
+      for (const m of requests) {
+        res.write(sseEvent(await respond(m, (note) => res.write(sseEvent({ jsonrpc: '2.0', ...note })))));
+      }
+      return res.end();
+    }
+
+    const responses = await Promise.all(requests.map((m) => respond(m)));
+    sendJSON(res, 200, Array.isArray(body) ? responses : responses[0], headers);
+  }
+
+  // --- HTTP+SSE ----------------------------------------------------------------
+
+  function openStream(req, res) {
+    const id = randomUUID();
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(sseEvent(`/messages?sessionId=${id}`, 'endpoint'));
+    streams.set(id, res);
+    req.on('close', () => streams.delete(id));
+  }
+
+  async function handleMessage(req, res, url) {
+    const stream = streams.get(url.searchParams.get('sessionId'));
+    if (!stream) return sendJSON(res, 404, { error: { message: 'Unknown session.' } });
+    let message;
+    try {
+      message = await readBody(req);
+    } catch (_) {
+      return sendJSON(res, 400, { error: { message: 'Request body is not valid JSON.' } });
+    }
+    // Accepted here, answered on the stream
+    res.writeHead(202);
+    res.end();
+    if (message.id === undefined || !message.method) return;
+    const write = (m) => stream.writableEnded || stream.write(sseEvent(m, 'message'));
+    write(await respond(message, (note) => write({ jsonrpc: '2.0', ...note })));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, Mcp-Session-Id, MCP-Protocol-Version');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return sendJSON(res, 401, { error: { message: 'Missing or wrong bearer token.' } });
+    }
+
+    try {
+      if (url.pathname === '/mcp') return await handleMcp(req, res);
+      if (url.pathname === '/sse' && req.method === 'GET') return openStream(req, res);
+      if (url.pathname === '/messages' && req.method === 'POST') return await handleMessage(req, res, url);
+      sendJSON(res, 404, { error: { message: 'Not found.' } });
+    } catch (err) {
+      console.error(err);
+      if (res.headersSent) return res.end();
+      sendJSON(res, 500, { error: { message: 'Stub server error.' } });
+    }
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res);
+  });
+}
+
+// `node server/mcp-stub.js`
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MCP_STUB_PORT) || 8788;
+  const token = process.env.MCP_STUB_TOKEN || '';
+  createMcpStubServer({ token }).listen(port, '127.0.0.1', () => {
+    console.log(`MCP stub listening on http://127.0.0.1:${port}/mcp (Streamable HTTP) and /sse (HTTP+SSE)`);
+    if (token) console.log('Requests need "Authorization: Bearer $MCP_STUB_TOKEN".');
+  });
+}
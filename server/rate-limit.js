@@ -0,0 +1,40 @@
+/**
+ * server/rate-limit.js
+ * Fixed-window request limits per user, kept in memory.
+ */
+
+/**
+ * Create a limiter allowing `requests` per `windowMs` for each user key
+ * @param {{ requests: number, windowMs: number }} options
+ * @returns {{ take: (user: string, now?: number) => { allowed: boolean, remaining: number, retryAfter: number } }}
+ *   retryAfter is in seconds (0 when allowed)
+ */
+export function createRateLimiter({ requests, windowMs }) {
+  const windows = new Map();
+  let lastSweep = 0;
+
+  // Forget users whose window has ended, at most once per window
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    windows.forEach((w, user) => {
+      if (w.resetAt <= now) windows.delete(user);
+    });
+  }
+
+  return {
+    take(user, now = Date.now()) {
+      sweep(now);
+      let w = windows.get(user);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(user, w);
+      }
+      if (w.count >= requests) {
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((w.resetAt - now) / 1000) };
+      }
+      w.count += 1;
+      return { allowed: true, remaining: requests - w.count, retryAfter: 0 };
+    },
+  };
+}
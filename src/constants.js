@@ -11,9 +11,17 @@ export const DEFAULTS = {
   llm: {
     provider: 'aipipe',
     apiKey: '',
+    baseUrl: 'http://localhost:11434',
     model: 'default',
     maxTokens: 2000,
     temperature: 0.7,
+    safetyThreshold: 'default',
+    // Saved credentials/fields per provider id: { apiKey, baseUrl, ... }
+    profiles: {},
+    // Compare mode columns: [{ provider, model }]
+    compareTargets: [],
+    // Tried in order when the configured provider fails with a retryable error: [{ provider, model }]
+    fallbackChain: [],
   },
   ui: {
     theme: 'auto',
@@ -31,6 +39,55 @@ export const DEFAULTS = {
     autoSave: true,
     analyticsEnabled: false,
     maxHistory: 100,
+    requestTimeout: 60,
+    maxRetries: 2,
+    // LLM calls one agent run may make (conversations can override it)
+    maxSteps: 5,
+    // Capture real LLM exchanges so they can be exported as a mock provider fixture
+    recordFixtures: false,
+  },
+  tools: {
+    // Per tool: 'allow' runs it, 'ask' shows an approval card first, 'deny' refuses it
+    policies: {
+      web_search: 'ask',
+      execute_code: 'ask',
+      process_file: 'allow',
+      create_visualization: 'allow',
+      search_documents: 'allow',
+    },
+    // For tools without a policy of their own
+    defaultPolicy: 'ask',
+    // Tool calls of one reply that run at the same time
+    maxConcurrent: 3,
+    // Seconds a call may run before it is cancelled; per tool in `timeouts`
+    timeoutSeconds: 30,
+    timeouts: {},
+    // Tools not offered to the model, by name
+    disabled: [],
+  },
+  documents: {
+    // Send the best passages of indexed documents with every request (search_documents works either way)
+    autoRetrieve: false,
+    // Passages per search
+    topK: 4,
+    // Also rank by embedding similarity when the provider offers embeddings
+    embeddings: false,
+    // Empty: the provider's default embedding model
+    embeddingModel: '',
+  },
+  search: {
+    // web_search backend id (src/services/search/); each backend's own fields live alongside
+    backend: 'fixture',
+    searxngUrl: '',
+    endpointUrl: '',
+    endpointKey: '',
+    endpointResultsPath: '',
+    searchFixtureUrl: 'fixtures/search.json',
+  },
+  mcp: {
+    // MCP servers whose tools are offered to the model (src/services/mcp.js):
+    // { id, name, url, transport: 'auto'|'http'|'sse', token, enabled }
+    servers: [],
   },
 };
 
@@ -38,17 +95,20 @@ export const DEFAULTS = {
 // Tools
 // -----------------------------------------------------------------------------
 
+// Built-in tool schemas; the app registers them with their handlers (src/services/tool-registry.js)
 export const TOOLS = [
   {
     type: 'function',
     function: {
       name: 'web_search',
-      description: 'Search the web for current information',
+      description:
+        'Search the web for current information. Results come back numbered; cite the ones you use as [n] ' +
+        'right after the statement they support',
       parameters: {
         type: 'object',
         properties: {
-          query: { type: 'string' },
-          results: { type: 'integer', default: 5 },
+          query: { type: 'string', minLength: 1 },
+          results: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
         },
         required: ['query'],
       },
@@ -72,12 +132,15 @@ export const TOOLS = [
     type: 'function',
     function: {
       name: 'process_file',
-      description: 'Process and analyze uploaded files',
+      description:
+        'Read an uploaded file: analyze (size, line/word counts, preview), summarize (outline and opening excerpt), ' +
+        'extract (raw text, 20,000 characters at a time) or stats (CSV/JSON rows and per-column type, null and value statistics)',
       parameters: {
         type: 'object',
         properties: {
-          fileId: { type: 'string' },
-          operation: { type: 'string', default: 'analyze' },
+          fileId: { type: 'string', description: 'File id from the upload message (or the file name)' },
+          operation: { type: 'string', enum: ['analyze', 'summarize', 'extract', 'stats'], default: 'analyze' },
+          offset: { type: 'integer', minimum: 0, description: 'extract: character to start at (nextOffset of the previous call)' },
         },
         required: ['fileId'],
       },
@@ -87,18 +150,40 @@ export const TOOLS = [
     type: 'function',
     function: {
       name: 'create_visualization',
-      description: 'Create data visualizations',
+      description: 'Draw a chart in the chat from CSV or JSON data, or from an uploaded file',
       parameters: {
         type: 'object',
         properties: {
-          data: { type: 'string' },
-          type: { type: 'string', default: 'line' },
+          data: {
+            type: 'string',
+            description: 'CSV text with a header row, a JSON array of objects or numbers, or the id of an uploaded file',
+          },
+          type: { type: 'string', enum: ['line', 'bar', 'area', 'pie', 'scatter'], default: 'line' },
           title: { type: 'string' },
+          x: { type: 'string', description: 'Column for the x axis or pie labels (default: first text column)' },
+          y: { type: 'array', items: { type: 'string' }, description: 'Columns to plot (default: all numeric columns)' },
         },
         required: ['data'],
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'search_documents',
+      description:
+        'Search the documents the user uploaded (specs, logs, code, notes) and return the best-matching passages ' +
+        'with file name and line numbers',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1, description: 'Keywords or a question' },
+          topK: { type: 'integer', minimum: 1, maximum: 10, description: 'Passages to return (default: the Documents setting)' },
+        },
+        required: ['query'],
+      },
+    },
+  },
 ];
 
 // -----------------------------------------------------------------------------
@@ -0,0 +1,212 @@
+/**
+ * services/chart-data.js
+ * Data for the create_visualization tool: CSV or JSON text parsed into a table, and the
+ * table turned into a chart spec. Specs are plain JSON, saved on the tool message and
+ * drawn by ui/charts.js whenever the message is rendered.
+ */
+import { toolError } from './tool-runner.js';
+
+export const CHART_TYPES = ['line', 'bar', 'area', 'pie', 'scatter'];
+
+// Rows beyond this are dropped (and the spec marked truncated)
+const MAX_ROWS = 500;
+
+/**
+ * @typedef {Object} ChartSpec
+ * @property {1} version
+ * @property {'line'|'bar'|'area'|'pie'|'scatter'} type
+ * @property {string} title
+ * @property {string} xLabel - x column ('' when rows are numbered)
+ * @property {string} yLabel - y column when there is only one
+ * @property {'category'|'number'} xType - category: evenly spaced labels; number: linear axis
+ * @property {Array<{ name: string, points: Array<{ x: string|number, y: number|null }> }>} series
+ * @property {boolean} [truncated] - more than MAX_ROWS rows were given
+ */
+
+/**
+ * @typedef {Object} Table
+ * @property {Array<string>} columns
+ * @property {Array<Object>} rows - values are numbers, strings or null
+ */
+
+// CSV cell or JSON value -> number when it is one
+function toValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const text = String(value).trim();
+  if (!text) return null;
+  const n = Number(text);
+  return Number.isFinite(n) && /^[-+]?[\d.]/.test(text) ? n : text;
+}
+
+// Delimiter with the most occurrences in the header line (outside quotes)
+function detectDelimiter(line) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch] += 1;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Parse CSV (comma, semicolon or tab separated; quoted fields; first row is the header)
+ * @param {string} text
+ * @returns {Table}
+ */
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else cell += ch;
+  }
+  record.push(cell);
+  records.push(record);
+
+  const [header = [], ...body] = records.filter((r) => r.some((c) => c.trim() !== ''));
+  const columns = header.map((name, i) => name.trim() || `column${i + 1}`);
+  const rows = body.map((r) => Object.fromEntries(columns.map((c, i) => [c, toValue(r[i])])));
+  return { columns, rows };
+}
+
+/**
+ * Table from JSON: an array of objects, an array of numbers, or an object of equal-length arrays
+ * @param {any} json
+ * @returns {Table}
+ */
+export function tableFromJSON(json) {
+  let records = json;
+  if (json && typeof json === 'object' && !Array.isArray(json)) {
+    if (Array.isArray(json.data)) records = json.data;
+    else {
+      // { month: [...], sales: [...] }
+      const columns = Object.keys(json).filter((k) => Array.isArray(json[k]));
+      if (!columns.length) throw toolError('invalid_arguments', 'JSON data must be an array or an object of arrays.');
+      const length = Math.max(...columns.map((c) => json[c].length));
+      records = Array.from({ length }, (_, i) => Object.fromEntries(columns.map((c) => [c, json[c][i]])));
+    }
+  }
+  if (!Array.isArray(records)) throw toolError('invalid_arguments', 'JSON data must be an array or an object of arrays.');
+
+  if (records.every((r) => r === null || typeof r !== 'object')) {
+    return { columns: ['value'], rows: records.map((r) => ({ value: toValue(r) })) };
+  }
+  const columns = [];
+  records.forEach((r) => {
+    if (r && typeof r === 'object') Object.keys(r).forEach((k) => columns.includes(k) || columns.push(k));
+  });
+  const rows = records.map((r) => Object.fromEntries(columns.map((c) => [c, toValue(r?.[c])])));
+  return { columns, rows };
+}
+
+/**
+ * Parse chart data given as JSON or CSV text
+ * @param {string} text
+ * @returns {Table}
+ * @throws {Error} type 'invalid_arguments' when there is nothing to chart
+ */
+export function parseChartData(text) {
+  const source = String(text ?? '').trim();
+  if (!source) throw toolError('invalid_arguments', 'No data given.');
+  let table;
+  if (/^[[{]/.test(source)) {
+    let json;
+    try {
+      json = JSON.parse(source);
+    } catch (e) {
+      throw toolError('invalid_arguments', `Data looks like JSON but does not parse (${e.message}).`);
+    }
+    table = tableFromJSON(json);
+  } else {
+    table = parseCSV(source);
+  }
+  if (!table.rows.length) throw toolError('invalid_arguments', 'Data has no rows (CSV needs a header row and at least one data row).');
+  return table;
+}
+
+const isNumericColumn = (table, column) =>
+  table.rows.some((r) => typeof r[column] === 'number') && table.rows.every((r) => r[column] === null || typeof r[column] === 'number');
+
+/**
+ * Chart spec for a table
+ * @param {Table} table
+ * @param {{ type?: string, title?: string, x?: string, y?: string|Array<string> }} [options] - x: label/x column,
+ *   y: columns to plot; by default the first text column and every numeric column
+ * @returns {ChartSpec}
+ * @throws {Error} type 'invalid_arguments' for unknown columns or data the chart type cannot show
+ */
+export function buildChartSpec(table, { type = 'line', title = '', x, y } = {}) {
+  if (!CHART_TYPES.includes(type)) {
+    throw toolError('invalid_arguments', `Unknown chart type "${type}". Use one of: ${CHART_TYPES.join(', ')}.`);
+  }
+  const known = (column) => {
+    if (!table.columns.includes(column)) {
+      throw toolError('invalid_arguments', `There is no column "${column}". Columns: ${table.columns.join(', ')}.`);
+    }
+    return column;
+  };
+
+  const numeric = table.columns.filter((c) => isNumericColumn(table, c));
+  let xColumn = x ? known(x) : table.columns.find((c) => !numeric.includes(c));
+  // All-numeric tables: the first column is x when there is something left to plot
+  if (!xColumn && !y && numeric.length > 1) xColumn = numeric[0];
+  let yColumns = (Array.isArray(y) ? y : y ? String(y).split(',') : numeric.filter((c) => c !== xColumn))
+    .map((c) => known(String(c).trim()));
+  if (!yColumns.length) throw toolError('invalid_arguments', 'No numeric column to plot.');
+  const notNumeric = yColumns.filter((c) => !numeric.includes(c));
+  if (notNumeric.length) throw toolError('invalid_arguments', `Columns to plot must be numeric: ${notNumeric.join(', ')}.`);
+  if (type === 'pie') yColumns = yColumns.slice(0, 1);
+
+  const xNumeric = !!xColumn && numeric.includes(xColumn);
+  if (type === 'scatter' && !xNumeric) throw toolError('invalid_arguments', 'A scatter chart needs a numeric x column.');
+  const xType = xNumeric && ['line', 'area', 'scatter'].includes(type) ? 'number' : 'category';
+
+  const rows = table.rows.slice(0, MAX_ROWS);
+  const series = yColumns.map((column) => ({
+    name: column,
+    points: rows
+      .map((row, i) => {
+        const xValue = xColumn ? row[xColumn] : i + 1;
+        return { x: xType === 'number' ? xValue : String(xValue ?? ''), y: row[column] };
+      })
+      .filter((p) => xType !== 'number' || typeof p.x === 'number'),
+  }));
+
+  if (type === 'pie' && series[0].points.some((p) => p.y < 0)) {
+    throw toolError('invalid_arguments', 'A pie chart cannot show negative values.');
+  }
+
+  return {
+    version: 1,
+    type,
+    title: String(title || ''),
+    xLabel: xColumn || '',
+    yLabel: yColumns.length === 1 ? yColumns[0] : '',
+    xType,
+    series,
+    ...(table.rows.length > MAX_ROWS ? { truncated: true } : {}),
+  };
+}
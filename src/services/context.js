@@ -0,0 +1,208 @@
+/**
+ * services/context.js
+ * Context-window bookkeeping: token estimates per model, the request budget
+ * (window minus the reply's maxTokens) and which history fits into it.
+ * Messages older than the kept window are folded into conversation.summary.
+ */
+import { contentText, contentImages } from './format.js';
+
+// Context windows (tokens) by model name pattern; first match wins
+const CONTEXT_WINDOWS = [
+  [/claude/i, 200000],
+  [/gemini-(1\.5|[2-9])/i, 1048576],
+  [/gemini/i, 32768],
+  [/gpt-4\.1/i, 1047576],
+  [/gpt-4o|gpt-4-turbo|o[134](-mini)?\b/i, 128000],
+  [/gpt-4-32k/i, 32768],
+  [/gpt-4/i, 8192],
+  [/gpt-3\.5-turbo/i, 16385],
+  [/llama-?3\.[1-3]|qwen2\.5|mistral-nemo/i, 128000],
+  [/llama|mistral|qwen|phi|gemma/i, 8192],
+];
+
+// Used for models we know nothing about (e.g. custom local models)
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Average characters per token by model family (English text; code and JSON run denser)
+const CHARS_PER_TOKEN = [
+  [/claude/i, 3.5],
+  [/gemini/i, 4],
+  [/gpt|o[134]\b/i, 4],
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.8;
+
+// Per-message framing (role markers, separators) that providers add around content
+const MESSAGE_OVERHEAD = 4;
+
+// Rough cost of one attached image; providers bill roughly 250-1600 tokens depending on size
+const IMAGE_TOKENS = 1000;
+
+// Compact once history uses this share of the budget (or passes maxHistory), down to
+// the lower share of each, so a summary is not regenerated on every turn.
+const COMPACT_AT = 0.8;
+const COMPACT_TO = 0.5;
+
+// Long messages (tool output, pasted files) are clipped in the summarization request
+const SUMMARY_CHARS_PER_MESSAGE = 2000;
+
+/**
+ * Context window of a model, in tokens
+ * @param {string} model
+ * @returns {number}
+ */
+export function getContextWindow(model = '') {
+  const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Rough token count of a piece of text for the given model
+ * @param {any} text - non-strings are measured as JSON
+ * @param {string} [model]
+ * @returns {number}
+ */
+export function estimateTokens(text, model = '') {
+  if (text === null || text === undefined || text === '') return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  const match = CHARS_PER_TOKEN.find(([pattern]) => pattern.test(model));
+  return Math.ceil(str.length / (match ? match[1] : DEFAULT_CHARS_PER_TOKEN));
+}
+
+/**
+ * Estimated tokens a stored message costs when sent (content, tool calls, framing)
+ * @param {Object} message
+ * @param {string} [model]
+ * @returns {number}
+ */
+export function estimateMessageTokens(message, model = '') {
+  let tokens = MESSAGE_OVERHEAD + estimateTokens(contentText(message.content), model);
+  tokens += contentImages(message.content).length * IMAGE_TOKENS;
+  (message.tool_calls || []).forEach((tc) => {
+    tokens += estimateTokens(tc.function?.name, model) + estimateTokens(tc.function?.arguments, model);
+  });
+  return tokens;
+}
+
+// Whether a message is covered by the rolling summary
+function isSummarized(message, index, summary, summaryIndex) {
+  if (!summary) return false;
+  if (summaryIndex !== -1) return index <= summaryIndex;
+  // The last summarized message was deleted; fall back to its timestamp
+  return (message.timestamp || 0) <= (summary.uptoTimestamp || 0);
+}
+
+// Group history into turns that start at a user message, so trimming never
+// separates an assistant's tool_calls from their tool results.
+function splitTurns(messages) {
+  const turns = [];
+  messages.forEach((message) => {
+    if (message.role === 'user' || !turns.length) turns.push([message]);
+    else turns[turns.length - 1].push(message);
+  });
+  return turns;
+}
+
+/**
+ * The system message carrying the rolling summary, as sent to the model
+ * @param {{ content: string }} summary
+ * @returns {Object}
+ */
+export function summaryMessage(summary) {
+  return {
+    id: 'conversation_summary',
+    role: 'system',
+    content: `Summary of the earlier part of this conversation:\n${summary.content}`,
+  };
+}
+
+/**
+ * Work out what part of a conversation fits the model's context.
+ * System prompts and the summary are always sent; the remaining history is kept
+ * in whole turns. When history passes maxHistory messages or COMPACT_AT of the budget,
+ * the oldest turns are returned in `compact` so the caller can fold them into the summary.
+ * @param {Object} conversation - { messages, summary? }
+ * @param {Object} options
+ * @param {string} [options.model]
+ * @param {number} [options.maxTokens] - reserved for the reply
+ * @param {number} [options.maxHistory] - max history messages sent (0 = unlimited)
+ * @param {Array<Object>} [options.tools] - tool definitions, their schemas count against the budget
+ * @returns {{ messages: Array<Object>, compact: Array<Object>, usedTokens: number, budget: number, contextWindow: number }}
+ */
+export function planContext(conversation, { model = '', maxTokens = 0, maxHistory = 0, tools = null } = {}) {
+  const contextWindow = getContextWindow(model);
+  const budget = Math.max(contextWindow - (Number(maxTokens) || 0) - estimateTokens(tools, model), 0);
+
+  const all = (conversation.messages || []).filter((m) => !m.notice && !m.streaming && !m.compare);
+  // A summary without content still marks trimmed messages (summarizing failed)
+  const summary = conversation.summary || null;
+  const summaryIndex = summary ? all.findIndex((m) => m.id === summary.upto) : -1;
+
+  const system = all.filter((m) => m.role === 'system');
+  const history = all.filter((m, i) => m.role !== 'system' && !isSummarized(m, i, summary, summaryIndex));
+  if (summary && summary.content) system.push(summaryMessage(summary));
+
+  const fixedTokens = system.reduce((sum, m) => sum + estimateMessageTokens(m, model), 0);
+  const turns = splitTurns(history).map((messages) => ({
+    messages,
+    tokens: messages.reduce((sum, m) => sum + estimateMessageTokens(m, model), 0),
+  }));
+
+  let historyTokens = turns.reduce((sum, t) => sum + t.tokens, 0);
+  let historyCount = history.length;
+  const limit = maxHistory > 0 ? maxHistory : Infinity;
+  const compact = [];
+
+  // Drop whole turns from the front down to the lower share of both limits,
+  // always keeping the newest turn
+  if (fixedTokens + historyTokens > budget * COMPACT_AT || historyCount > limit) {
+    while (turns.length > 1 && (fixedTokens + historyTokens > budget * COMPACT_TO || historyCount > limit * COMPACT_TO)) {
+      const turn = turns.shift();
+      compact.push(...turn.messages);
+      historyTokens -= turn.tokens;
+      historyCount -= turn.messages.length;
+    }
+  }
+
+  return {
+    messages: [...system, ...turns.flatMap((t) => t.messages)],
+    compact,
+    usedTokens: fixedTokens + historyTokens,
+    budget,
+    contextWindow,
+  };
+}
+
+/**
+ * Request that asks the model to fold older messages into the rolling summary
+ * @param {string|undefined} previousSummary
+ * @param {Array<Object>} messages - messages leaving the context window
+ * @returns {{ messages: Array<Object> }} conversation-shaped, ready for callLLM
+ */
+export function buildSummaryRequest(previousSummary, messages) {
+  const transcript = messages
+    .map((m) => {
+      const speaker = m.role === 'tool' ? `tool ${m.name || ''}`.trim() : m.role;
+      const calls = (m.tool_calls || []).map((tc) => `[called ${tc.function?.name}(${tc.function?.arguments || ''})]`);
+      let content = contentText(m.content);
+      if (content && content.length > SUMMARY_CHARS_PER_MESSAGE) content = `${content.slice(0, SUMMARY_CHARS_PER_MESSAGE)}…`;
+      const images = contentImages(m.content).map((img) => `[image: ${img.name || 'image'}]`);
+      return `${speaker}: ${[content, ...images, ...calls].filter(Boolean).join(' ')}`;
+    })
+    .join('\n');
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You maintain a running summary of a conversation between a user and an AI assistant. ' +
+          'Merge the previous summary with the new messages into one concise summary that keeps facts, ' +
+          'decisions, open questions, user preferences and tool results needed later. Reply with the summary only.',
+      },
+      {
+        role: 'user',
+        content: `Previous summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`,
+      },
+    ],
+  };
+}
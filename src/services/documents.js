@@ -0,0 +1,216 @@
+/**
+ * services/documents.js
+ * Local document index for retrieval: uploaded text, markdown and code files are chunked,
+ * ranked with BM25 (plus embedding similarity when vectors are stored) and kept in
+ * IndexedDB by one long-lived worker (workers/docs-worker.js). This module is its
+ * promise-based front: every call posts a request and resolves with the worker's answer.
+ */
+import { abortable } from './http.js';
+
+/** Chunks returned per search unless the caller asks for another number */
+export const DEFAULT_TOP_K = 4;
+
+/** Most chunks one search may return */
+export const MAX_TOP_K = 10;
+
+/** Chunks sent per embeddings request */
+export const EMBEDDING_BATCH = 64;
+
+// Characters of a passage kept on the answer that used it
+const PREVIEW_CHARS = 280;
+
+// Spreadsheet-like data is better served by process_file stats than by text search
+const NOT_INDEXED = /\.(csv|tsv)$/i;
+
+const WORKER_URL = new URL('../workers/docs-worker.js', import.meta.url);
+
+/**
+ * @typedef {Object} IndexedDocument
+ * @property {string} id - file id of the upload it came from
+ * @property {string} name
+ * @property {string} mimeType
+ * @property {number} size - bytes
+ * @property {'markdown'|'code'|'text'} kind - decides how it is chunked
+ * @property {number} chunks
+ * @property {number} addedAt
+ * @property {string} [embeddingModel] - set once its chunks carry vectors
+ */
+
+/**
+ * @typedef {Object} DocumentChunk
+ * @property {string} id - `${docId}#${index}`
+ * @property {string} docId
+ * @property {string} docName
+ * @property {number} index - position in the document, from 0
+ * @property {string} text
+ * @property {number} startLine - 1-based, inclusive
+ * @property {number} endLine
+ * @property {string} heading - markdown section path ('' elsewhere)
+ * @property {number} [score] - search results only
+ * @property {'bm25'|'vector'|'hybrid'} [match] - search results only: which ranking found it
+ */
+
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+function failPending(error) {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+}
+
+// The worker is started on first use and kept; a crashed one is replaced on the next call
+function getWorker() {
+  if (worker) return worker;
+  if (typeof Worker === 'undefined') throw new Error('The document index needs Web Worker support.');
+  worker = new Worker(WORKER_URL);
+  worker.onmessage = ({ data }) => {
+    const entry = pending.get(data?.id);
+    if (!entry) return;
+    pending.delete(data.id);
+    if (data.ok) entry.resolve(data.result);
+    else entry.reject(Object.assign(new Error(data.error?.message || 'Document index error.'), { name: data.error?.name || 'Error' }));
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    worker.terminate();
+    worker = null;
+    failPending(new Error(event.message || 'The document index worker crashed.'));
+  };
+  return worker;
+}
+
+function call(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    try {
+      getWorker().postMessage({ id, type, ...payload });
+    } catch (err) {
+      pending.delete(id);
+      reject(err);
+    }
+  });
+}
+
+/**
+ * Whether an uploaded file goes into the document index
+ * @param {{ name: string }} file
+ * @returns {boolean}
+ */
+export function isIndexable({ name }) {
+  return !NOT_INDEXED.test(String(name || ''));
+}
+
+/**
+ * Chunk a document and add it to the index; a document with the same name is replaced
+ * @param {{ id: string, name: string, mimeType?: string, size?: number, text: string }} doc
+ * @returns {Promise<{ document: IndexedDocument, chunks: Array<{ id: string, text: string }>, replaced: Array<string> }>}
+ *   chunks: texts to embed, if embeddings are wanted
+ */
+export function indexDocument({ id, name, mimeType, size, text }) {
+  return call('add', { doc: { id, name, mimeType, size, text: String(text ?? '') } });
+}
+
+/**
+ * Store embedding vectors for chunks
+ * @param {string} model - embedding model; searches only compare vectors of the same model
+ * @param {Array<{ id: string, vector: Array<number> }>} vectors
+ * @returns {Promise<{ updated: number }>}
+ */
+export function storeVectors(model, vectors) {
+  return call('vectors', { model, vectors });
+}
+
+/**
+ * Best-matching chunks for a query
+ * @param {string} query
+ * @param {{ topK?: number, vector?: Array<number>, model?: string, signal?: AbortSignal }} [options] -
+ *   vector/model: query embedding, fused with BM25 for chunks embedded by the same model
+ * @returns {Promise<Array<DocumentChunk>>}
+ */
+export function searchDocuments(query, { topK = DEFAULT_TOP_K, vector, model, signal } = {}) {
+  const k = Math.min(Math.max(1, Math.floor(topK) || DEFAULT_TOP_K), MAX_TOP_K);
+  return abortable(call('search', { query: String(query ?? ''), topK: k, vector, model }), signal);
+}
+
+/**
+ * Documents in the index, oldest first
+ * @returns {Promise<Array<IndexedDocument>>}
+ */
+export function listDocuments() {
+  return call('list');
+}
+
+/**
+ * Remove a document and its chunks
+ * @param {string} docId
+ * @returns {Promise<{ removed: boolean }>}
+ */
+export function removeDocument(docId) {
+  return call('remove', { docId });
+}
+
+/**
+ * Empty the index
+ * @returns {Promise<{ cleared: boolean }>}
+ */
+export function clearDocuments() {
+  return call('clear');
+}
+
+/**
+ * Size of the index and whether it is saved to IndexedDB
+ * @returns {Promise<{ documents: number, chunks: number, terms: number, persistent: boolean }>}
+ */
+export function documentIndexStats() {
+  return call('stats');
+}
+
+/**
+ * @typedef {Object} Passage - a chunk as the model sees it (search_documents results, automatic retrieval)
+ * @property {string} chunkId
+ * @property {string} file
+ * @property {number} startLine
+ * @property {number} endLine
+ * @property {string} [section]
+ * @property {number} score
+ * @property {string} text
+ */
+
+/**
+ * Passage for the model from a search result
+ * @param {DocumentChunk} chunk
+ * @returns {Passage}
+ */
+export function toPassage({ id, docName, startLine, endLine, heading, score, text }) {
+  return { chunkId: id, file: docName, startLine, endLine, ...(heading ? { section: heading } : {}), score, text };
+}
+
+/**
+ * What an answer keeps of a passage it was given: where it came from and a short preview
+ * @param {Passage} passage
+ * @returns {Object}
+ */
+export function passageReference({ chunkId, file, startLine, endLine, section, score, text = '' }) {
+  const preview = text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text;
+  return { chunkId, file, startLine, endLine, section, score, preview };
+}
+
+/**
+ * System message carrying passages retrieved for the latest user message
+ * @param {Array<Passage>} passages
+ * @returns {{ id: string, role: 'system', content: string }}
+ */
+export function passagesMessage(passages) {
+  const blocks = passages.map(
+    (p) => `[${p.file}, lines ${p.startLine}-${p.endLine}${p.section ? `, ${p.section}` : ''}]\n${p.text}`
+  );
+  return {
+    id: 'document_passages',
+    role: 'system',
+    content:
+      "Passages from the user's uploaded documents that may help with the latest message, best match first. " +
+      `Use them where they are relevant and name the file and lines you rely on.\n\n${blocks.join('\n\n')}`,
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * services/files.js
+ * Uploaded file registry behind the process_file tool (and file references in
+ * create_visualization). Text files are read once with FileReader and kept for the
+ * browser session under a stable file id; conversations only store their metadata.
+ */
+import { toolError } from './tool-runner.js';
+import { parseCSV } from './chart-data.js';
+import { uniqueId } from '../utils/helpers.js';
+
+/** Largest file that is read in */
+export const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/** Operations process_file accepts */
+export const FILE_OPERATIONS = ['analyze', 'summarize', 'extract', 'stats'];
+
+// Characters of file text one tool result may carry
+const MAX_EXTRACT_CHARS = 20000;
+const MAX_EXCERPT_CHARS = 6000;
+
+/**
+ * @typedef {Object} FileRecord
+ * @property {string} id - stable file id the model refers to
+ * @property {string} name
+ * @property {number} size - bytes
+ * @property {string} mimeType
+ * @property {'csv'|'json'|'text'} kind
+ * @property {string} conversationId - conversation it was uploaded to
+ * @property {number} uploadedAt
+ * @property {string} text
+ */
+
+const files = new Map();
+
+/**
+ * Metadata of a file (what messages and tool results carry; no text)
+ * @param {FileRecord} record
+ * @returns {{ id: string, name: string, size: number, mimeType: string, kind: string }}
+ */
+export function fileInfo({ id, name, size, mimeType, kind }) {
+  return { id, name, size, mimeType, kind };
+}
+
+function detectKind(name, mimeType) {
+  const lower = name.toLowerCase();
+  if (lower.endsWith('.csv') || mimeType === 'text/csv') return 'csv';
+  if (lower.endsWith('.json') || mimeType === 'application/json') return 'json';
+  return 'text';
+}
+
+/**
+ * Read an uploaded file as text and add it to the registry
+ * @param {File} file
+ * @param {{ conversationId: string }} options
+ * @returns {Promise<FileRecord>}
+ * @throws {Error} when the file is too large or cannot be read
+ */
+export function ingestFile(file, { conversationId }) {
+  if (file.size > MAX_FILE_BYTES) {
+    return Promise.reject(new Error(`${file.name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.`));
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const record = {
+        id: uniqueId('file'),
+        name: file.name,
+        size: file.size,
+        mimeType: file.type || 'text/plain',
+        kind: detectKind(file.name, file.type),
+        conversationId,
+        uploadedAt: Date.now(),
+        text: String(reader.result ?? ''),
+      };
+      files.set(record.id, record);
+      resolve(record);
+    };
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}.`));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Look up a file by id, or by name (most recent upload wins)
+ * @param {string} ref
+ * @returns {FileRecord|undefined}
+ */
+export function getFile(ref) {
+  const key = String(ref ?? '').trim();
+  if (files.has(key)) return files.get(key);
+  return Array.from(files.values())
+    .reverse()
+    .find((f) => f.name === key);
+}
+
+/**
+ * Files in the registry, oldest first
+ * @param {string} [conversationId] - only the ones uploaded to this conversation
+ * @returns {Array<FileRecord>}
+ */
+export function listFiles(conversationId) {
+  const all = Array.from(files.values());
+  return conversationId ? all.filter((f) => f.conversationId === conversationId) : all;
+}
+
+/**
+ * Forget a file
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function removeFile(id) {
+  return files.delete(id);
+}
+
+// ---------------------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------------------
+
+function textCounts(text) {
+  return {
+    lines: text ? text.split(/\r?\n/).length : 0,
+    words: (text.match(/\S+/g) || []).length,
+    characters: text.length,
+  };
+}
+
+// Records of a JSON file: the array itself, an array under `data`, or the single value
+function jsonRecords(record) {
+  let json;
+  try {
+    json = JSON.parse(record.text);
+  } catch (e) {
+    throw toolError('invalid_arguments', `${record.name} is not valid JSON (${e.message}).`);
+  }
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.data)) return json.data;
+  return [json];
+}
+
+// Rows as objects, for CSV and for JSON arrays of objects
+function tableOf(record) {
+  if (record.kind === 'csv') return parseCSV(record.text);
+  if (record.kind === 'json') {
+    const rows = jsonRecords(record).map((r) => (r && typeof r === 'object' && !Array.isArray(r) ? r : { value: r }));
+    const columns = [];
+    rows.forEach((r) => Object.keys(r).forEach((k) => columns.includes(k) || columns.push(k)));
+    return { columns, rows };
+  }
+  throw toolError('invalid_arguments', `Stats need a CSV or JSON file; ${record.name} is plain text. Use analyze or extract.`);
+}
+
+const DATE = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function valueType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean' || value === 'true' || value === 'false') return 'boolean';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  return DATE.test(value) ? 'date' : 'string';
+}
+
+/**
+ * Column statistics of a table
+ * @param {{ columns: Array<string>, rows: Array<Object> }} table
+ * @returns {Array<Object>} per column: name, type (number|string|boolean|date|object|array|mixed|empty),
+ *   nulls, distinct, and min/max/mean for numbers or a few sample values otherwise
+ */
+export function columnStats({ columns, rows }) {
+  return columns.map((name) => {
+    const values = rows.map((r) => r[name]).filter((v) => v !== null && v !== undefined && v !== '');
+    const types = new Set(values.map(valueType));
+    const type = types.size === 0 ? 'empty' : types.size === 1 ? [...types][0] : 'mixed';
+    const stats = { name, type, nulls: rows.length - values.length, distinct: new Set(values.map((v) => JSON.stringify(v))).size };
+    if (type === 'number') {
+      stats.min = values.reduce((a, b) => Math.min(a, b));
+      stats.max = values.reduce((a, b) => Math.max(a, b));
+      stats.mean = +(values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(4);
+    } else if (type !== 'empty') {
+      stats.sample = Array.from(new Set(values.map((v) => (typeof v === 'object' ? JSON.stringify(v) : String(v))))).slice(0, 5);
+    }
+    return stats;
+  });
+}
+
+// Headings of Markdown, top-level keys of JSON, columns of CSV
+function outlineOf(record) {
+  if (record.kind === 'csv') return tableOf(record).columns;
+  if (record.kind === 'json') {
+    try {
+      const json = JSON.parse(record.text);
+      return Array.isArray(json) ? [`array of ${json.length} items`] : Object.keys(json || {}).slice(0, 50);
+    } catch (_) {
+      return [];
+    }
+  }
+  return record.text
+    .split(/\r?\n/)
+    .filter((line) => /^#{1,6}\s/.test(line))
+    .slice(0, 50);
+}
+
+/**
+ * Run a process_file operation
+ * @param {FileRecord} record
+ * @param {string} [operation='analyze']
+ * @param {{ offset?: number }} [options] - extract: character to start at
+ * @returns {Object} JSON-safe result for the model
+ * @throws {Error} type 'invalid_arguments' for unknown operations or stats on plain text
+ */
+export function runFileOperation(record, operation = 'analyze', { offset = 0 } = {}) {
+  const file = fileInfo(record);
+  const { text } = record;
+
+  switch (operation) {
+    case 'analyze': {
+      const result = { file, ...textCounts(text), preview: text.split(/\r?\n/).slice(0, 20).join('\n').slice(0, 2000) };
+      if (record.kind !== 'text') {
+        try {
+          const table = tableOf(record);
+          result.rows = table.rows.length;
+          result.columns = table.columns;
+        } catch (e) {
+          result.parseError = e.message;
+        }
+      }
+      return result;
+    }
+    case 'summarize':
+      return {
+        file,
+        ...textCounts(text),
+        outline: outlineOf(record),
+        excerpt: text.slice(0, MAX_EXCERPT_CHARS),
+        truncated: text.length > MAX_EXCERPT_CHARS,
+        note: text.length > MAX_EXCERPT_CHARS ? 'Only the beginning is included; use extract with an offset to read further.' : undefined,
+      };
+    case 'extract': {
+      const start = Math.min(Math.max(0, Math.floor(offset) || 0), text.length);
+      const end = Math.min(start + MAX_EXTRACT_CHARS, text.length);
+      return { file, offset: start, text: text.slice(start, end), nextOffset: end < text.length ? end : null, totalCharacters: text.length };
+    }
+    case 'stats': {
+      const table = tableOf(record);
+      return { file, rows: table.rows.length, columns: columnStats(table) };
+    }
+    default:
+      throw toolError('invalid_arguments', `Unknown operation "${operation}". Use one of: ${FILE_OPERATIONS.join(', ')}.`);
+  }
+}
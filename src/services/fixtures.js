@@ -0,0 +1,197 @@
+/**
+ * services/fixtures.js
+ * Fixtures for the mock provider: loading fixture files, picking the entry that
+ * answers a request, and record mode, which captures real request/response pairs
+ * (including streamed chunks) so they can be exported and replayed exactly.
+ */
+
+// Used when no API key is set and by the mock provider by default
+export const DEMO_FIXTURE_URL = 'fixtures/demo.json';
+
+// Answers anything when the demo fixture cannot be fetched (e.g. the page was opened from file://)
+const FALLBACK_FIXTURE = {
+  name: 'builtin',
+  entries: [{ response: { content: 'Demo response: provide an API key in settings to use real models.' } }],
+};
+
+/**
+ * @typedef {Object} FixtureEntry
+ * @property {string} [key] - requestKey of a recorded request; replayed only for that exact request
+ * @property {{ user?: string, afterTool?: string }} [match] - scripted rules: `user` is a case-insensitive
+ *   regex tested against the last message when the user sent it, `afterTool` the name of the tool whose
+ *   result is the last message
+ * @property {{ content?: string, tool_calls?: Array<Object>, usage?: Object, finish_reason?: string }} [response] -
+ *   scripted reply (tool call arguments may be objects)
+ * @property {string} [provider] - recorded entries: provider whose parser reads `data`
+ * @property {any} [data] - recorded entries: raw provider response
+ * @property {Array<string>} [chunks] - text deltas streamed before the reply completes
+ * @property {number} [delayMs] - wait before answering
+ */
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} name
+ * @property {number} [chunkDelayMs] - pause between streamed chunks
+ * @property {Array<FixtureEntry>} entries - entries with neither key nor match answer in turn
+ */
+
+const cache = new Map();
+// Position of the next unkeyed, unmatched entry per fixture
+const cursors = new Map();
+
+let recording = null;
+
+/**
+ * Stable hash of a request: roles, contents and tool calls (ids excluded, they differ per run)
+ * plus the offered tool names. Equal keys mean the same conversation state.
+ * @param {Array<Object>} messages - OpenAI chat format
+ * @param {Array<Object>|null} [tools]
+ * @returns {string}
+ */
+export function requestKey(messages, tools) {
+  const shape = {
+    messages: messages.map((m) => [
+      m.role,
+      m.content ?? null,
+      (m.tool_calls || []).map((tc) => [tc.function?.name, tc.function?.arguments]),
+    ]),
+    tools: (tools || []).map((t) => t.function?.name).sort(),
+  };
+  // FNV-1a, 32 bit
+  const str = JSON.stringify(shape);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Load a fixture: 'recording' is this session's recording, anything else a URL or path
+ * relative to the page. Files are cached; the demo fixture falls back to a built-in reply.
+ * @param {string} [source=DEMO_FIXTURE_URL]
+ * @returns {Promise<Fixture>}
+ */
+export async function loadFixture(source = DEMO_FIXTURE_URL) {
+  if (source === 'recording') {
+    if (!recording || !recording.entries.length) throw new Error('Nothing has been recorded yet.');
+    return recording;
+  }
+  if (cache.has(source)) return cache.get(source);
+
+  let fixture;
+  try {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    fixture = await response.json();
+    if (!fixture || !Array.isArray(fixture.entries)) throw new Error('expected an object with an "entries" array');
+  } catch (err) {
+    if (source === DEMO_FIXTURE_URL) return FALLBACK_FIXTURE;
+    throw new Error(`Could not load fixture "${source}": ${err.message || err}`);
+  }
+  cache.set(source, fixture);
+  return fixture;
+}
+
+// Name of the tool whose result is the last message, if the last message is a tool result
+function lastToolName(messages) {
+  const last = messages[messages.length - 1];
+  if (!last || last.role !== 'tool') return null;
+  const call = messages
+    .flatMap((m) => m.tool_calls || [])
+    .find((tc) => tc.id === last.tool_call_id);
+  return call?.function?.name || null;
+}
+
+// Text of a user message; multimodal content is an array of OpenAI parts
+function userText(content) {
+  if (Array.isArray(content)) return content.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
+  return String(content ?? '');
+}
+
+function matches(rule, messages) {
+  if (rule.user !== undefined) {
+    const last = messages[messages.length - 1];
+    if (last?.role !== 'user' || !new RegExp(rule.user, 'i').test(userText(last.content))) return false;
+  }
+  if (rule.afterTool !== undefined && lastToolName(messages) !== rule.afterTool) return false;
+  return true;
+}
+
+/**
+ * Pick the entry that answers a request: an exact recorded match first, then the first
+ * scripted rule that matches, then the unconditional entries in turn.
+ * @param {Fixture} fixture
+ * @param {Array<Object>} messages - OpenAI chat format
+ * @param {Array<Object>|null} [tools]
+ * @returns {FixtureEntry}
+ */
+export function selectEntry(fixture, messages, tools) {
+  const key = requestKey(messages, tools);
+  const exact = fixture.entries.find((e) => e.key === key);
+  if (exact) return exact;
+
+  const matched = fixture.entries.find((e) => !e.key && e.match && matches(e.match, messages));
+  if (matched) return matched;
+
+  const sequence = fixture.entries.filter((e) => !e.key && !e.match);
+  if (!sequence.length) throw new Error(`No entry in fixture "${fixture.name}" matches this request (key ${key}).`);
+  const index = (cursors.get(fixture) || 0) % sequence.length;
+  cursors.set(fixture, index + 1);
+  return sequence[index];
+}
+
+/**
+ * Turn record mode on or off; turning it on keeps what was recorded so far
+ * @param {boolean} on
+ */
+export function setRecording(on) {
+  if (on && !recording) recording = { name: 'recording', recordedAt: new Date().toISOString(), entries: [] };
+  if (recording) recording.active = !!on;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isRecording() {
+  return !!recording?.active;
+}
+
+/**
+ * Capture one real exchange (no-op unless recording)
+ * @param {Object} exchange
+ * @param {string} exchange.provider
+ * @param {string} exchange.model
+ * @param {Array<Object>} exchange.messages - OpenAI chat format, as sent
+ * @param {Array<Object>|null} exchange.tools
+ * @param {any} exchange.data - raw provider response (assembled, for streams)
+ * @param {Array<string>|null} [exchange.chunks] - streamed text deltas
+ */
+export function recordExchange({ provider, model, messages, tools, data, chunks }) {
+  if (!isRecording()) return;
+  const entry = { key: requestKey(messages, tools), request: { model, messages }, provider, data };
+  if (chunks && chunks.length) entry.chunks = chunks;
+  // The latest answer to a request replaces an earlier one
+  recording.entries = recording.entries.filter((e) => e.key !== entry.key);
+  recording.entries.push(entry);
+}
+
+/**
+ * This session's recording as a fixture file
+ * @returns {Fixture|null}
+ */
+export function getRecording() {
+  if (!recording) return null;
+  const { active, ...fixture } = recording;
+  return fixture;
+}
+
+/**
+ * Drop everything recorded so far (record mode stays as it was)
+ */
+export function clearRecording() {
+  if (!recording) return;
+  recording.entries = [];
+  cursors.delete(recording);
+}
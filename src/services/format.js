@@ -0,0 +1,395 @@
+/**
+ * services/format.js
+ * Wire-format helpers shared by the LLM providers: conversation serialization,
+ * tool schema conversion and tool-call normalization.
+ */
+import { uniqueId } from '../utils/helpers.js';
+
+/**
+ * @typedef {{ type: 'text', text: string } | { type: 'image', mimeType: string, data: string, name?: string }} ContentPart
+ * Stored message content is a string, or an array of parts when images are attached (data is base64).
+ */
+
+/**
+ * Text of a message's content, whether a string or content parts
+ * @param {string|Array<ContentPart>|any} content
+ * @returns {string}
+ */
+export function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((p) => p && p.type === 'text')
+      .map((p) => p.text)
+      .join('\n');
+  }
+  return content === null || content === undefined ? '' : JSON.stringify(content);
+}
+
+/**
+ * Image parts of a message's content
+ * @param {any} content
+ * @returns {Array<ContentPart>}
+ */
+export function contentImages(content) {
+  return Array.isArray(content) ? content.filter((p) => p && p.type === 'image' && p.data) : [];
+}
+
+/**
+ * data: URL of an image part
+ * @param {{ mimeType: string, data: string }} part
+ * @returns {string}
+ */
+export function toDataUrl({ mimeType, data }) {
+  return `data:${mimeType};base64,${data}`;
+}
+
+/**
+ * Split a base64 data: URL into its MIME type and payload (null for other URLs)
+ * @param {string} url
+ * @returns {{ mimeType: string, data: string }|null}
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(String(url || ''));
+  return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+// Stored content parts -> OpenAI user content parts; without vision, images become a text note
+function toOpenAIParts(parts, images) {
+  const out = parts
+    .map((p) => {
+      if (p.type === 'text') return p.text ? { type: 'text', text: p.text } : null;
+      if (p.type !== 'image' || !p.data) return null;
+      if (!images) return { type: 'text', text: `[image omitted: ${p.name || 'image'}; the current model cannot see images]` };
+      return { type: 'image_url', image_url: { url: toDataUrl(p) } };
+    })
+    .filter(Boolean);
+  // Text-only content stays a plain string, which every provider accepts
+  return out.every((p) => p.type === 'text') ? out.map((p) => p.text).join('\n') : out;
+}
+
+/**
+ * Serialize conversation messages into OpenAI chat format.
+ * UI-only notices and undecided compare messages are skipped, assistant
+ * tool_calls and tool results are kept verbatim, and tool calls without a
+ * matching result (or results without a matching call) are dropped so the
+ * provider never sees a broken pairing. User messages with images become
+ * OpenAI content parts (text + image_url with a data: URL).
+ * @param {Array<Object>} messages - conversation.messages
+ * @param {{ images?: boolean }} [options] - images: false replaces images with a text note (non-vision models)
+ * @returns {Array<Object>}
+ */
+export function toChatMessages(messages = [], { images = true } = {}) {
+  const stringify = (content) => (typeof content === 'string' ? content : JSON.stringify(content));
+  const source = messages.filter((m) => m && !m.notice && !m.compare);
+
+  const answeredIds = new Set(source.filter((m) => m.role === 'tool' && m.tool_call_id).map((m) => m.tool_call_id));
+  const requestedIds = new Set();
+
+  return source
+    .map((m) => {
+      if (m.role === 'tool') {
+        // Legacy display-only copies carry no tool_call_id and cannot be paired
+        if (!m.tool_call_id || !requestedIds.has(m.tool_call_id)) return null;
+        return { role: 'tool', tool_call_id: m.tool_call_id, content: stringify(m.content) };
+      }
+
+      if (m.role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length) {
+        const toolCalls = m.tool_calls.map(normalizeToolCall).filter((tc) => answeredIds.has(tc.id));
+        toolCalls.forEach((tc) => requestedIds.add(tc.id));
+        const content = m.content === null || m.content === undefined ? '' : stringify(m.content);
+        if (!toolCalls.length) return content ? { role: 'assistant', content } : null;
+        return { role: 'assistant', content: content || null, tool_calls: toolCalls };
+      }
+
+      if (m.content === null || m.content === undefined) return null;
+      if (m.role === 'user' && Array.isArray(m.content)) return { role: 'user', content: toOpenAIParts(m.content, images) };
+      return { role: m.role, content: stringify(m.content) };
+    })
+    .filter((m) => m && (m.content || m.tool_calls));
+}
+
+/**
+ * Convert OpenAI-format chat messages into a Gemini generateContent payload.
+ * System messages become `systemInstruction`, tool calls become functionCall parts
+ * and tool results functionResponse parts. Consecutive same-role turns are merged
+ * (Gemini expects user/model to alternate) and leading model turns are dropped.
+ * @param {Array<Object>} chatMessages - output of toChatMessages
+ * @returns {{ contents: Array<Object>, systemInstruction?: Object }}
+ */
+export function toGeminiRequest(chatMessages) {
+  const toolNames = new Map();
+  const systemParts = [];
+  const contents = [];
+
+  const push = (role, parts) => {
+    if (!parts.length) return;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  };
+
+  chatMessages.forEach((m) => {
+    if (m.role === 'system') {
+      systemParts.push({ text: m.content });
+    } else if (m.role === 'assistant') {
+      const parts = [];
+      if (m.content) parts.push({ text: m.content });
+      (m.tool_calls || []).forEach((tc) => {
+        toolNames.set(tc.id, tc.function.name);
+        parts.push({ functionCall: { name: tc.function.name, args: parseArguments(tc.function.arguments) } });
+      });
+      push('model', parts);
+    } else if (m.role === 'tool') {
+      push('user', [
+        { functionResponse: { name: toolNames.get(m.tool_call_id) || 'tool', response: toResponseObject(m.content) } },
+      ]);
+    } else if (Array.isArray(m.content)) {
+      push('user', m.content.map(toGeminiPart));
+    } else {
+      push('user', [{ text: m.content }]);
+    }
+  });
+
+  while (contents.length && contents[0].role !== 'user') contents.shift();
+
+  const request = { contents };
+  if (systemParts.length) request.systemInstruction = { parts: systemParts };
+  return request;
+}
+
+// Harm categories covered by the safety threshold setting
+const GEMINI_HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+
+/**
+ * Gemini safetySettings for a single threshold (e.g. BLOCK_ONLY_HIGH).
+ * Returns undefined for 'default' so the model's own defaults apply.
+ * @param {string} threshold
+ * @returns {Array<Object>|undefined}
+ */
+export function toGeminiSafetySettings(threshold) {
+  if (!threshold || threshold === 'default') return undefined;
+  return GEMINI_HARM_CATEGORIES.map((category) => ({ category, threshold }));
+}
+
+/**
+ * Convert OpenAI-format chat messages into an Anthropic Messages API payload.
+ * System messages are lifted into the top-level `system` string, consecutive
+ * same-role turns are merged so user/assistant strictly alternate, and the
+ * conversation is made to start with a user turn.
+ * @param {Array<Object>} chatMessages - output of toChatMessages
+ * @returns {{ system: string, messages: Array<Object> }}
+ */
+export function toAnthropicMessages(chatMessages) {
+  const system = [];
+  const messages = [];
+
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else messages.push({ role, content: blocks });
+  };
+
+  chatMessages.forEach((m) => {
+    if (m.role === 'system') {
+      system.push(m.content);
+    } else if (m.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content }]);
+    } else if (m.role === 'assistant') {
+      const blocks = [];
+      if (m.content) blocks.push({ type: 'text', text: m.content });
+      (m.tool_calls || []).forEach((tc) =>
+        blocks.push({ type: 'tool_use', id: tc.id, name: tc.function.name, input: parseArguments(tc.function.arguments) })
+      );
+      push('assistant', blocks);
+    } else if (Array.isArray(m.content)) {
+      push('user', m.content.map(toAnthropicBlock));
+    } else {
+      push('user', [{ type: 'text', text: m.content }]);
+    }
+  });
+
+  // e.g. the welcome message: Anthropic rejects a leading assistant turn
+  while (messages.length && messages[0].role !== 'user') messages.shift();
+
+  return { system: system.join('\n\n'), messages };
+}
+
+/**
+ * OpenAI `tools` entries (already the native TOOLS shape)
+ * @param {Array<Object>} tools
+ * @returns {Array<Object>}
+ */
+export function toOpenAITools(tools = []) {
+  return tools.map((t) => ({
+    type: 'function',
+    function: { name: t.function.name, description: t.function.description, parameters: t.function.parameters },
+  }));
+}
+
+/**
+ * Gemini `tools` entry with functionDeclarations
+ * @param {Array<Object>} tools
+ * @returns {Array<Object>}
+ */
+export function toGeminiTools(tools = []) {
+  return [
+    {
+      functionDeclarations: tools.map((t) => ({
+        name: t.function.name,
+        description: t.function.description,
+        parameters: toGeminiSchema(t.function.parameters),
+      })),
+    },
+  ];
+}
+
+/**
+ * Anthropic `tools` entries
+ * @param {Array<Object>} tools
+ * @returns {Array<Object>}
+ */
+export function toAnthropicTools(tools = []) {
+  return tools.map((t) => ({
+    name: t.function.name,
+    description: t.function.description,
+    input_schema: t.function.parameters || { type: 'object', properties: {} },
+  }));
+}
+
+// Gemini accepts an OpenAPI subset; keywords such as `default` are rejected outright.
+const GEMINI_SCHEMA_KEYS = [
+  'type',
+  'format',
+  'description',
+  'nullable',
+  'enum',
+  'properties',
+  'required',
+  'items',
+  'anyOf',
+  'minItems',
+  'maxItems',
+  'minimum',
+  'maximum',
+  'minLength',
+  'maxLength',
+  'pattern',
+];
+
+/**
+ * Strip JSON Schema keywords Gemini does not understand
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  GEMINI_SCHEMA_KEYS.forEach((key) => {
+    if (schema[key] === undefined) return;
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else if (key === 'items') {
+      out.items = toGeminiSchema(schema.items);
+    } else if (key === 'anyOf') {
+      out.anyOf = schema.anyOf.map(toGeminiSchema);
+    } else if (key === 'type' && Array.isArray(schema.type)) {
+      // ['string', 'null'] is spelled type + nullable in OpenAPI
+      const types = schema.type.filter((t) => t !== 'null');
+      if (types.length === 1) out.type = types[0];
+      else if (types.length > 1) out.anyOf = types.map((t) => ({ type: t }));
+      if (types.length < schema.type.length) out.nullable = true;
+    } else {
+      out[key] = schema[key];
+    }
+  });
+  // A single allowed value is a one-entry enum (Gemini has no const)
+  if (schema.const !== undefined && typeof schema.const === 'string') out.enum = [schema.const];
+  // Gemini only takes string enums, and requires the type next to them
+  if (out.enum && !out.type && out.enum.every((v) => typeof v === 'string')) out.type = 'string';
+  return out;
+}
+
+/**
+ * Normalize a tool call into { id, type: 'function', function: { name, arguments: string } }
+ * @param {Object} toolCall
+ * @returns {Object}
+ */
+export function normalizeToolCall(toolCall = {}) {
+  const fn = toolCall.function || {};
+  const args = fn.arguments ?? toolCall.arguments ?? {};
+  return {
+    id: toolCall.id || uniqueId('call'),
+    type: 'function',
+    function: {
+      name: fn.name || toolCall.name || 'unknown',
+      arguments: typeof args === 'string' ? args : JSON.stringify(args),
+    },
+  };
+}
+
+/**
+ * Build a normalized parse result, attaching tool_calls only when there are any
+ * @param {string} content
+ * @param {Array<Object>} toolCalls - provider tool calls (arguments as string or object)
+ * @returns {{ content: string, tool_calls?: Array<Object> }}
+ */
+export function withToolCalls(content, toolCalls) {
+  const normalized = (toolCalls || []).map((tc) =>
+    normalizeToolCall({ ...tc, function: { ...tc.function, arguments: tc.function?.arguments ?? tc.arguments } })
+  );
+  return normalized.length ? { content, tool_calls: normalized } : { content };
+}
+
+/**
+ * Normalized token usage, OpenAI naming
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {{ prompt_tokens: number, completion_tokens: number, total_tokens: number }}
+ */
+export function toUsage(promptTokens, completionTokens) {
+  const prompt = Number(promptTokens) || 0;
+  const completion = Number(completionTokens) || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// OpenAI content part -> Gemini part (images inline, base64)
+function toGeminiPart(part) {
+  if (part.type !== 'image_url') return { text: part.text || '' };
+  const image = parseDataUrl(part.image_url?.url);
+  return image ? { inline_data: { mime_type: image.mimeType, data: image.data } } : { text: `[image: ${part.image_url?.url}]` };
+}
+
+// OpenAI content part -> Anthropic content block
+function toAnthropicBlock(part) {
+  if (part.type !== 'image_url') return { type: 'text', text: part.text || '' };
+  const image = parseDataUrl(part.image_url?.url);
+  return image
+    ? { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } }
+    : { type: 'image', source: { type: 'url', url: part.image_url?.url } };
+}
+
+function parseArguments(args) {
+  if (!args) return {};
+  if (typeof args !== 'string') return args;
+  try {
+    return JSON.parse(args);
+  } catch (_) {
+    return {};
+  }
+}
+
+// functionResponse.response must be a JSON object
+function toResponseObject(content) {
+  let value = content;
+  try {
+    value = JSON.parse(content);
+  } catch (_) {}
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+}
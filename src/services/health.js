@@ -0,0 +1,126 @@
+/**
+ * services/health.js
+ * Per-provider health: recent error rate, latency and last failure, persisted in
+ * localStorage. Providers that keep failing cool down so fallback chains skip them.
+ */
+
+const STORAGE_KEY = 'agentflow_provider_health';
+
+// Outcomes kept per provider for the error rate / latency averages
+const WINDOW = 20;
+
+// A provider cools down after this many failures in a row, for COOLDOWN_MS after the last one
+const COOLDOWN_FAILURES = 3;
+const COOLDOWN_MS = 60000;
+
+let providers = null;
+
+function load() {
+  if (providers) return providers;
+  try {
+    providers = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+  } catch (e) {
+    providers = {};
+  }
+  return providers;
+}
+
+function save() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(providers));
+  } catch (e) {}
+}
+
+function emptyRecord() {
+  return { requests: 0, failures: 0, consecutiveFailures: 0, recent: [], lastFailure: null, lastSuccess: null };
+}
+
+function entry(provider) {
+  const all = load();
+  if (!all[provider]) all[provider] = emptyRecord();
+  return all[provider];
+}
+
+function pushOutcome(record, outcome) {
+  record.recent.push(outcome);
+  if (record.recent.length > WINDOW) record.recent.shift();
+}
+
+/**
+ * Record a successful request
+ * @param {string} provider
+ * @param {number} [latencyMs]
+ */
+export function recordSuccess(provider, latencyMs) {
+  const record = entry(provider);
+  record.requests += 1;
+  record.consecutiveFailures = 0;
+  record.lastSuccess = Date.now();
+  pushOutcome(record, { ok: true, latencyMs });
+  save();
+}
+
+/**
+ * Record a failed request (cancellations should not be recorded)
+ * @param {string} provider
+ * @param {Error} error
+ */
+export function recordFailure(provider, error) {
+  const record = entry(provider);
+  record.requests += 1;
+  record.failures += 1;
+  record.consecutiveFailures += 1;
+  record.lastFailure = { at: Date.now(), status: error?.status || null, message: error?.message || String(error) };
+  pushOutcome(record, { ok: false });
+  save();
+}
+
+/**
+ * Whether a provider failed repeatedly just now and should be tried last
+ * @param {string} provider
+ * @returns {boolean}
+ */
+export function isCoolingDown(provider) {
+  const record = load()[provider];
+  if (!record || record.consecutiveFailures < COOLDOWN_FAILURES || !record.lastFailure) return false;
+  return Date.now() - record.lastFailure.at < COOLDOWN_MS;
+}
+
+/**
+ * Health summary of one provider
+ * @param {string} provider
+ * @returns {{ provider: string, requests: number, failures: number, errorRate: number, avgLatencyMs: number|null,
+ *   consecutiveFailures: number, lastFailure: Object|null, lastSuccess: number|null, status: 'ok'|'degraded'|'down' }}
+ */
+export function getProviderHealth(provider) {
+  const record = load()[provider] || emptyRecord();
+  const failed = record.recent.filter((o) => !o.ok).length;
+  const latencies = record.recent.filter((o) => o.ok && typeof o.latencyMs === 'number').map((o) => o.latencyMs);
+  const errorRate = record.recent.length ? failed / record.recent.length : 0;
+
+  let status = 'ok';
+  if (isCoolingDown(provider)) status = 'down';
+  else if (errorRate >= 0.25 || record.consecutiveFailures > 0) status = 'degraded';
+
+  return {
+    provider,
+    requests: record.requests,
+    failures: record.failures,
+    errorRate,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    consecutiveFailures: record.consecutiveFailures,
+    lastFailure: record.lastFailure,
+    lastSuccess: record.lastSuccess,
+    status,
+  };
+}
+
+/**
+ * Health of every provider that has served at least one request
+ * @returns {Array<Object>} see getProviderHealth
+ */
+export function listProviderHealth() {
+  return Object.keys(load())
+    .filter((provider) => load()[provider].requests > 0)
+    .map(getProviderHealth);
+}
@@ -0,0 +1,180 @@
+/**
+ * services/http.js
+ * fetch wrapper for LLM requests: cancellation, timeouts and retry with
+ * jittered exponential backoff (honouring Retry-After).
+ */
+
+// Longest Retry-After we are willing to wait for before giving up on a retry
+const MAX_RETRY_AFTER_MS = 60000;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 20000;
+
+/**
+ * Whether an HTTP status is worth retrying (timeouts, rate limits, server errors)
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * True for errors caused by the user cancelling (AbortController.abort())
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
+
+/**
+ * Build the error thrown when a request or tool is cancelled
+ * @returns {Error}
+ */
+export function abortError() {
+  const err = new Error('Request cancelled.');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the window is fixed, half random
+ * @param {number} attempt - zero-based retry number
+ * @returns {number} delay in ms
+ */
+export function backoffDelay(attempt) {
+  const window = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(window / 2 + Math.random() * (window / 2));
+}
+
+/**
+ * Resolve after ms, or reject early with an abort error
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Race a promise against an AbortSignal (for work that cannot itself be cancelled)
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * fetch with a per-attempt timeout, user cancellation and automatic retries.
+ * Network errors, timeouts, 408/429 and 5xx responses are retried up to `retries`
+ * times; the timeout covers the wait for response headers, while the caller's
+ * signal can also cancel reading the body (e.g. a stream in progress).
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {Object} [options]
+ * @param {number} [options.retries=2]
+ * @param {number} [options.timeout=60000] - ms, 0 disables the timeout
+ * @param {AbortSignal} [options.signal]
+ * @param {(info: { attempt: number, retries: number, delay: number, status?: number, reason: string }) => void} [options.onRetry]
+ * @returns {Promise<Response>} the last response (ok or not); throws on network failure/cancel
+ */
+export async function fetchWithRetry(url, init = {}, { retries = 2, timeout = 60000, signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError();
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    let timedOut = false;
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout)
+        : null;
+
+    let resp;
+    try {
+      resp = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      signal?.removeEventListener('abort', forwardAbort);
+      if (signal?.aborted) throw abortError();
+
+      const failure = timedOut
+        ? Object.assign(new Error(`Request timed out after ${Math.round(timeout / 1000)}s.`), { name: 'TimeoutError' })
+        : new Error(err.message || 'Network error');
+      failure.retryable = true;
+
+      if (attempt >= retries) throw failure;
+      const delay = backoffDelay(attempt);
+      onRetry?.({ attempt: attempt + 1, retries, delay, reason: failure.message });
+      await sleep(delay, signal);
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (resp.ok || !isRetryableStatus(resp.status) || attempt >= retries) return resp;
+
+    const retryAfter = parseRetryAfter(resp.headers.get('retry-after'));
+    if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) return resp;
+
+    signal?.removeEventListener('abort', forwardAbort);
+    resp.body?.cancel?.().catch(() => {});
+
+    const delay = retryAfter ?? backoffDelay(attempt);
+    onRetry?.({
+      attempt: attempt + 1,
+      retries,
+      delay,
+      status: resp.status,
+      reason: `${resp.status} ${resp.statusText || ''}`.trim(),
+    });
+    await sleep(delay, signal);
+  }
+}
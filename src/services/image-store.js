@@ -0,0 +1,133 @@
+/**
+ * services/image-store.js
+ * Attached images are kept in IndexedDB rather than in the conversations saved to localStorage,
+ * whose few-MB quota a handful of images would fill. Saved messages keep each image part's
+ * id, type and name; the data is put back when conversations are loaded.
+ */
+import { uniqueId } from '../utils/helpers.js';
+
+const DB_NAME = 'leafai-images';
+const DB_VERSION = 1;
+const STORE = 'images';
+
+let opening = null;
+// Ids saved in IndexedDB, so each save only writes new images and deletes unused ones
+let stored = null;
+// Saves run one after the other
+let queue = Promise.resolve();
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+function openDatabase() {
+  if (!opening) {
+    opening = (async () => {
+      if (typeof indexedDB === 'undefined') throw new Error('This browser cannot store images (no IndexedDB).');
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        if (!open.result.objectStoreNames.contains(STORE)) open.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      const db = await request(open);
+      stored = new Set(await request(db.transaction(STORE).objectStore(STORE).getAllKeys()));
+      return db;
+    })();
+    // A failed open (private window, blocked storage) is retried on the next save
+    opening.catch(() => {
+      opening = null;
+    });
+  }
+  return opening;
+}
+
+// Image parts of every message, in place
+function imageParts(conversations) {
+  return conversations.flatMap((conv) =>
+    (conv?.messages || []).flatMap((m) => (Array.isArray(m.content) ? m.content.filter((p) => p && p.type === 'image') : []))
+  );
+}
+
+/**
+ * JSON.stringify replacer that leaves the data out of image parts (it lives in IndexedDB)
+ * @param {string} key
+ * @param {any} value
+ * @returns {any}
+ */
+export function withoutImageData(key, value) {
+  if (!value || value.type !== 'image' || typeof value.data !== 'string') return value;
+  const { data, ...part } = value;
+  return part;
+}
+
+/**
+ * Save the images of the given conversations and delete those no conversation uses any more.
+ * Parts without an id get one right away (before the returned promise settles), so a
+ * following withoutImageData save refers to them.
+ * @param {Array<Object>} conversations
+ * @returns {Promise<void>}
+ * @throws {Error} when IndexedDB is unavailable or full
+ */
+export function saveImages(conversations) {
+  const parts = imageParts(conversations).filter((p) => p.id || p.data);
+  parts.forEach((p) => {
+    if (!p.id) p.id = uniqueId('img');
+  });
+  const used = new Set(parts.map((p) => p.id));
+
+  queue = queue
+    .catch(() => {})
+    .then(async () => {
+      const db = await openDatabase();
+      const added = parts.filter((p) => p.data && !stored.has(p.id));
+      const removed = [...stored].filter((id) => !used.has(id));
+      if (!added.length && !removed.length) return;
+
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        added.forEach((p) => store.put({ id: p.id, mimeType: p.mimeType, data: p.data }));
+        removed.forEach((id) => store.delete(id));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Saving images was aborted (storage full?).'));
+      });
+      added.forEach((p) => stored.add(p.id));
+      removed.forEach((id) => stored.delete(id));
+    });
+  return queue;
+}
+
+/**
+ * Put the saved data back into the image parts of loaded conversations.
+ * Images that cannot be found stay without data (shown as unavailable, never sent).
+ * @param {Array<Object>} conversations
+ * @returns {Promise<number>} how many images are missing
+ */
+export async function loadImages(conversations) {
+  const parts = imageParts(conversations).filter((p) => !p.data && p.id);
+  if (!parts.length) return 0;
+
+  const db = await openDatabase().catch(() => null);
+  if (!db) return parts.length;
+  // All reads are queued at once so the transaction stays open until they finish
+  const store = db.transaction(STORE).objectStore(STORE);
+  const records = await Promise.all(parts.map((p) => request(store.get(p.id)).catch(() => null)));
+  let missing = 0;
+  parts.forEach((part, i) => {
+    if (records[i]) part.data = records[i].data;
+    else missing++;
+  });
+  return missing;
+}
+
+/**
+ * Delete every saved image
+ * @returns {Promise<void>}
+ */
+export async function clearImages() {
+  const db = await openDatabase();
+  await request(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+  stored.clear();
+}
@@ -1,139 +1,259 @@
 /**
  * services/llm.js
  * Extracted LLM network calls and response parsing.
- * No behavior changes from original agent.js implementations.
+ * Provider-specific details live in the adapters under services/providers/.
  */
+import { fetchWithRetry, isRetryableStatus, isAbortError } from './http.js';
+import { toChatMessages } from './format.js';
+import { getProvider, supportsVision } from './providers/index.js';
+import { recordSuccess, recordFailure, isCoolingDown } from './health.js';
+import { withSchemaInstruction } from './structured.js';
+import { DEMO_FIXTURE_URL, isRecording, recordExchange } from './fixtures.js';
+import { isMockResponse } from './providers/mock.js';
+
+// Resolve the adapter for a provider id, failing loudly for unknown ids
+function requireProvider(provider) {
+  if (!provider) throw new Error('No LLM provider configured.');
+  const adapter = getProvider(provider);
+  if (!adapter) throw new Error(`Unsupported provider: ${provider}`);
+  return adapter;
+}
+
+/**
+ * Whether settings.llm can reach its provider for real: it has an API key, or the adapter needs none.
+ * Without credentials callLLM answers from the offline demo fixture instead.
+ * @param {Object} llm - settings.llm
+ * @returns {boolean}
+ */
+export function hasCredentials(llm) {
+  const adapter = llm && getProvider(llm.provider);
+  return !!adapter && (!!llm.apiKey || adapter.requiresApiKey === false);
+}
 
 /**
  * Call the configured LLM provider.
+ * When options.onDelta is given and the provider supports it, the reply is streamed
+ * and the assembled result is returned in the same shape as a non-streamed response.
  * @param {Object} conversation - { id, title, messages: [...] }
  * @param {Object} settings - full settings object, expects settings.llm { provider, apiKey, model, maxTokens, temperature }
+ * @param {Object} [options]
+ * @param {(delta: string, text: string) => void} [options.onDelta] - receives each streamed text fragment
+ * @param {Array<Object>} [options.tools] - tool definitions in TOOLS shape, sent in the provider's native format
+ * @param {AbortSignal} [options.signal] - cancels the request (and any stream in progress)
+ * @param {Function} [options.onRetry] - notified before each automatic retry, see fetchWithRetry
+ * @param {{ name: string, schema: Object }} [options.responseSchema] - JSON Schema the reply should follow;
+ *   sent natively where the provider supports it, otherwise as a system instruction
+ * @param {boolean} [options.demo=true] - false fails without credentials instead of answering from the demo fixture
  * @returns {Promise<any>} provider response JSON
  */
-export async function callLLM(conversation, settings) {
-  // Build messages in provider-agnostic shape (OpenAI chat style)
-  const messagesForApi = (conversation.messages || [])
-    .map((m) => {
-      if (m.role === 'tool') {
-        return {
-          role: 'system',
-          content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
-        };
+export async function callLLM(conversation, settings, options = {}) {
+  const llm = (settings && settings.llm) || {};
+  const adapter = requireProvider(llm.provider);
+
+  // No key: answer from the offline demo fixture (mock replies parse whichever provider is selected)
+  if (!hasCredentials(llm)) {
+    if (options.demo === false) throw new Error(`No API key for ${adapter.label}.`);
+    return callLLM(conversation, { ...settings, llm: { ...llm, provider: 'mock', fixture: DEMO_FIXTURE_URL } }, options);
+  }
+
+  // Build messages in provider-agnostic shape (OpenAI chat style); adapters convert from there.
+  // Images in the history are replaced by a note for models that cannot see them.
+  const chatMessages = toChatMessages(conversation.messages, { images: supportsVision(adapter.id, llm.model) });
+  const tools =
+    adapter.capabilities.tools && Array.isArray(options.tools) && options.tools.length ? options.tools : null;
+  const local = typeof adapter.complete === 'function';
+  const stream =
+    typeof options.onDelta === 'function' &&
+    adapter.capabilities.streaming &&
+    (local || typeof adapter.readStream === 'function');
+
+  const responseSchema = options.responseSchema && adapter.capabilities.structuredOutput ? options.responseSchema : null;
+  const messages =
+    options.responseSchema && !responseSchema ? withSchemaInstruction(chatMessages, options.responseSchema) : chatMessages;
+
+  // In record mode streamed deltas are kept so the reply can be replayed chunk by chunk
+  const chunks = stream && isRecording() && !local ? [] : null;
+  const onDelta = chunks
+    ? (delta, text) => {
+        chunks.push(delta);
+        options.onDelta(delta, text);
       }
-      return {
-        role: m.role,
-        content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
-      };
-    })
-    .filter((m) => !!m.content);
-
-  const { provider, apiKey, model, maxTokens, temperature } = (settings && settings.llm) || {};
-  if (!provider) throw new Error('No LLM provider configured.');
+    : options.onDelta;
 
-  // Demo mode fallback
-  if (!apiKey) {
-    // return a local mock response
-    return { choices: [{ message: { content: 'Demo response: provide an API key in settings to use real models.' } }] };
+  const started = Date.now();
+  try {
+    const ctx = { llm, messages, tools, stream, responseSchema };
+    const data = local
+      ? await adapter.complete({ ...ctx, onDelta: stream ? onDelta : null, signal: options.signal })
+      : await sendRequest(adapter, ctx, settings, { ...options, onDelta });
+    recordSuccess(adapter.id, Date.now() - started);
+    // Keyed on the messages before any schema instruction, so replays match whatever the provider
+    if (!local) recordExchange({ provider: adapter.id, model: llm.model, messages: chatMessages, tools, data, chunks });
+    return data;
+  } catch (err) {
+    // bubble up to caller, keeping name/status so cancellations and retryable failures stay recognizable
+    if (!isAbortError(err)) recordFailure(adapter.id, err);
+    if (err instanceof Error || err?.name === 'AbortError') throw err;
+    throw new Error((err && err.message) || 'Network error');
   }
+}
+
+// POST the adapter's request with timeout, retry/backoff and readable errors; returns the
+// response JSON (assembled from the stream when ctx.stream)
+async function sendRequest(adapter, ctx, settings, options) {
+  const request = adapter.buildRequest(ctx);
+  const headers = { 'Content-Type': 'application/json', ...(request.headers || {}) };
+
+  // Timeout (seconds) and retry budget come from the Advanced settings
+  const { requestTimeout = 60, maxRetries = 2 } = (settings && settings.advanced) || {};
 
-  let apiUrl;
-  const headers = { 'Content-Type': 'application/json' };
-  let body;
-
-  switch (provider) {
-    case 'openai':
-      apiUrl = 'https://api.openai.com/v1/chat/completions';
-      headers.Authorization = `Bearer ${apiKey}`;
-      body = { model, messages: messagesForApi, max_tokens: maxTokens, temperature };
-      break;
-
-    case 'google':
-      // maps to Google Generative API
-      apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-      // google uses API key in query string; keep content
-      body = {
-        messages: messagesForApi.map((m) => ({
-          role: m.role === 'assistant' ? 'model' : 'user',
-          content: m.content,
-        })),
-        temperature,
-        maxOutputTokens: maxTokens,
-      };
-      break;
-
-    case 'aipipe':
-      // AI Pipe acts as a proxy. We'll send to its OpenRouter-compatible endpoint by default.
-      // AI Pipe docs: https://aipipe.org/ — supports endpoints like /openrouter/v1/chat/completions and /openai/v1/...
-      apiUrl = 'https://aipipe.org/openrouter/v1/chat/completions';
-      headers.Authorization = `Bearer ${apiKey}`;
-      body = {
-        model: model || 'openai/gpt-4o-mini', // fallback
-        messages: messagesForApi.map((m) => ({ role: m.role, content: m.content })),
-        max_tokens: maxTokens,
-        temperature,
-      };
-      break;
-
-    default:
-      throw new Error(`Unsupported provider: ${provider}`);
+  const resp = await fetchWithRetry(
+    request.url,
+    { method: 'POST', headers, body: JSON.stringify(request.body) },
+    { retries: maxRetries, timeout: requestTimeout * 1000, signal: options.signal, onRetry: options.onRetry }
+  );
+  if (!resp.ok) throw await httpError(resp, adapter, ctx.llm.model);
+
+  if (!ctx.stream) return resp.json();
+  try {
+    return await adapter.readStream(resp, options.onDelta);
+  } catch (err) {
+    // A stream cut off midway (dropped connection, provider overload event) is worth another try elsewhere
+    if (!isAbortError(err) && err instanceof Error && err.retryable === undefined) err.retryable = true;
+    throw err;
   }
+}
 
-  // POST request with simple error handling
+// Error for a failed response, with the provider's own message when its body has one
+async function httpError(resp, adapter, model) {
+  let errText = `${resp.status} ${resp.statusText}`;
   try {
-    const resp = await fetch(apiUrl, { method: 'POST', headers, body: JSON.stringify(body) });
-    if (!resp.ok) {
-      // attempt to parse error body
-      let errText = `${resp.status} ${resp.statusText}`;
-      try {
-        const errJson = await resp.json();
-        errText = errJson.error?.message || JSON.stringify(errJson);
-      } catch (_) {}
-      throw new Error(
-        `Model not supported for your API key — change model in settings. (Status: ${resp.status}, Details: ${errText})`
-      );
+    const errJson = await resp.json();
+    errText = errJson.error?.message || JSON.stringify(errJson);
+  } catch (_) {}
+  const error = new Error(describeHttpError(resp.status, errText, adapter, model));
+  error.status = resp.status;
+  error.retryable = isRetryableStatus(resp.status);
+  return error;
+}
+
+// Turn an HTTP failure into a message that says what went wrong and what to do about it
+function describeHttpError(status, details, adapter, model) {
+  const name = adapter.label;
+  let summary;
+  if (status === 401 || status === 403) summary = `${name} rejected the API key. Check it in settings.`;
+  else if (status === 404) summary = `${name} does not know the model "${model}". Pick another model in settings.`;
+  else if (status === 408) summary = `${name} timed out.`;
+  else if (status === 413) summary = `The request is too large for ${name}. Try a shorter conversation.`;
+  else if (status === 429) summary = `${name} rate limit or quota exceeded.`;
+  else if (status >= 500) summary = `${name} is unavailable right now.`;
+  else summary = `${name} rejected the request.`;
+  return `${summary} (Status: ${status}, Details: ${details})`;
+}
+
+/**
+ * Call a chain of providers in order: the first entry is tried first and each
+ * retryable failure (timeouts, network errors, 408/429/5xx, broken streams) falls
+ * through to the next. Providers that are cooling down after repeated failures are
+ * tried last. Non-retryable errors (bad key, unknown model...) stop the chain.
+ * Only the first entry may answer from the demo fixture; a later entry without credentials fails.
+ * @param {Object} conversation
+ * @param {Array<Object>} chain - full settings objects, one per provider/model to try
+ * @param {Object} [options] - as callLLM, plus:
+ * @param {(info: { from: Object, to: Object, error: Error }) => void} [options.onFallback] - from/to are settings.llm
+ * @returns {Promise<{ data: any, settings: Object, fallback: boolean, provider: string, model: string }>} settings is
+ *   the entry that answered; provider/model name who produced the reply (mock for a demo-fixture answer)
+ */
+export async function callLLMWithFallback(conversation, chain, options = {}) {
+  if (!chain.length) throw new Error('No LLM provider configured.');
+  const { onFallback, ...callOptions } = options;
+
+  const healthy = chain.filter((s) => !isCoolingDown(s.llm.provider));
+  const ordered = [...healthy, ...chain.filter((s) => !healthy.includes(s))];
+
+  let lastError;
+  for (let i = 0; i < ordered.length; i++) {
+    try {
+      const data = await callLLM(conversation, ordered[i], { ...callOptions, demo: ordered[i] === chain[0] });
+      return { data, settings: ordered[i], fallback: ordered[i] !== chain[0], ...answeredBy(data, ordered[i].llm) };
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      lastError = err;
+      const next = ordered[i + 1];
+      if (!next || !err.retryable) throw err;
+      onFallback?.({ from: ordered[i].llm, to: next.llm, error: err });
     }
-    const data = await resp.json();
-    return data;
-  } catch (err) {
-    // bubble up to caller
-    throw new Error(err.message || 'Network error');
   }
+  throw lastError;
+}
+
+/**
+ * The provider and model that produced a response: replies from the demo fixture (no credentials)
+ * come from the mock provider, whichever provider was asked, so they are never billed to it.
+ * @param {any} data - response from callLLM
+ * @param {Object} llm - settings.llm it was called with
+ * @returns {{ provider: string, model: string }}
+ */
+export function answeredBy(data, llm) {
+  if (isMockResponse(data) && llm.provider !== 'mock') return { provider: 'mock', model: 'demo' };
+  return { provider: llm.provider, model: llm.model };
 }
 
 /**
- * Parse the provider response into a normalized shape { content, tool_calls? }
+ * Parse the provider response into a normalized shape { content, tool_calls? }.
+ * tool_calls always come back as [{ id, type: 'function', function: { name, arguments } }]
+ * with arguments as a JSON string, whatever the provider's native representation.
  * @param {any} data
  * @param {string} provider
- * @returns {{ content: string } | any}
+ * @returns {{ content: string, tool_calls?: Array<Object> }}
  */
 export function parseAPIResponse(data, provider) {
+  const adapter = getProvider(isMockResponse(data) ? 'mock' : provider);
+  if (!adapter) return { content: 'Response format not recognized.' };
   try {
-    switch (provider) {
-      case 'openai':
-      case 'aipipe':
-        // OpenAI-style responses (or AI Pipe proxying OpenAI/OpenRouter)
-        if (data.choices && data.choices.length > 0) {
-          return data.choices[0].message || { content: data.choices[0].text || '' };
-        }
-        // openrouter style sometimes returns 'content' or 'candidates'
-        if (data.candidates && data.candidates.length > 0) {
-          const parts = data.candidates[0].content?.parts || data.candidates[0].content || [];
-          const text = Array.isArray(parts) ? parts.map((p) => p.text || p).join('') : parts;
-          return { content: text };
-        }
-        return { content: JSON.stringify(data) };
-
-      case 'google':
-        if (data.candidates && data.candidates.length) {
-          return { content: data.candidates[0].content.parts[0].text };
-        }
-        return { content: JSON.stringify(data) };
-
-      default:
-        return { content: 'Response format not recognized.' };
-    }
+    return adapter.parseResponse(data);
   } catch (e) {
     // Keep behavior identical to original (throw on parse errors)
     throw new Error('Could not parse the API response.');
   }
 }
+
+/**
+ * Embed texts with the configured provider (adapters with capabilities.embeddings)
+ * @param {Object} settings - full settings object; settings.llm picks the provider and credentials
+ * @param {Array<string>} texts
+ * @param {{ model?: string, signal?: AbortSignal }} [options] - model defaults to the adapter's embeddingModel
+ * @returns {Promise<{ model: string, vectors: Array<Array<number>> }>} one vector per text, in order
+ * @throws {Error} when the provider has no embeddings or no key, or the request fails
+ */
+export async function embedTexts(settings, texts, { model, signal } = {}) {
+  const llm = (settings && settings.llm) || {};
+  const adapter = requireProvider(llm.provider);
+  if (!adapter.capabilities.embeddings || typeof adapter.buildEmbeddingRequest !== 'function') {
+    throw new Error(`${adapter.label} does not offer embeddings.`);
+  }
+  if (!llm.apiKey && adapter.requiresApiKey !== false) throw new Error(`${adapter.label} needs an API key for embeddings.`);
+
+  const embeddingModel = model || adapter.embeddingModel;
+  const request = adapter.buildEmbeddingRequest({ llm, input: texts, model: embeddingModel });
+  const { requestTimeout = 60, maxRetries = 2 } = (settings && settings.advanced) || {};
+  const resp = await fetchWithRetry(
+    request.url,
+    { method: 'POST', headers: { 'Content-Type': 'application/json', ...(request.headers || {}) }, body: JSON.stringify(request.body) },
+    { retries: maxRetries, timeout: requestTimeout * 1000, signal }
+  );
+  if (!resp.ok) throw await httpError(resp, adapter, embeddingModel);
+  const vectors = adapter.parseEmbeddingResponse(await resp.json());
+  if (vectors.length !== texts.length) throw new Error(`${adapter.label} returned ${vectors.length} embeddings for ${texts.length} texts.`);
+  return { model: embeddingModel, vectors };
+}
+
+/**
+ * List the models a provider offers for the given credentials
+ * @param {string} provider
+ * @param {Object} llm - settings.llm shaped values (usually the unsaved form values)
+ * @returns {Promise<Array<string>>}
+ */
+export async function listModels(provider, llm) {
+  return requireProvider(provider).listModels(llm || {});
+}
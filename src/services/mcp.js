@@ -0,0 +1,416 @@
+/**
+ * services/mcp.js
+ * Model Context Protocol client for external tool servers. One client per server speaks
+ * JSON-RPC over Streamable HTTP (POST, answered with JSON or an SSE stream) or over the
+ * older HTTP+SSE transport (a GET event stream plus a POST endpoint it announces), runs
+ * the initialize handshake and lists/calls tools, resources and prompts. The app maps
+ * the listed tools into the tool registry (see agent.js, "MCP Servers").
+ */
+import { fetchWithRetry, abortError, isAbortError } from './http.js';
+import { readSSE } from './stream.js';
+import { toolError } from './tool-runner.js';
+
+/** Protocol revision offered in initialize; servers may answer with an older one they support */
+export const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+/** Transports a server entry can name; 'auto' tries Streamable HTTP and falls back to HTTP+SSE */
+export const MCP_TRANSPORTS = ['auto', 'http', 'sse'];
+
+const CLIENT_INFO = { name: 'LeafAI', version: '2.8.0' };
+
+// How long to wait for a response (tool calls get the tool timeout on top through their signal)
+const REQUEST_TIMEOUT_MS = 30000;
+// list requests follow nextCursor at most this many pages
+const MAX_PAGES = 20;
+// Characters of server text one tool result may carry (results come from third-party servers)
+const MAX_RESULT_CHARS = 20000;
+
+/**
+ * @typedef {Object} McpServerConfig
+ * @property {string} id
+ * @property {string} name - shown in the UI and used as the tool name prefix
+ * @property {string} url - Streamable HTTP endpoint (or the SSE endpoint for 'sse')
+ * @property {'auto'|'http'|'sse'} [transport='auto']
+ * @property {string} [token] - sent as "Authorization: Bearer <token>"
+ * @property {boolean} [enabled=true]
+ */
+
+/**
+ * @typedef {Object} McpServerInfo
+ * @property {string} protocolVersion
+ * @property {{ name: string, version?: string }} serverInfo
+ * @property {Object} capabilities - tools / resources / prompts / logging, as the server declared them
+ * @property {string} [instructions]
+ * @property {'http'|'sse'} transport - the one in use
+ */
+
+// JSON-RPC error (or transport failure) as an Error with the server's code
+function mcpError(message, { code, data, status } = {}) {
+  return Object.assign(new Error(message), { name: 'McpError', code, data, status });
+}
+
+const isResponse = (message) => message && message.id !== undefined && (message.result !== undefined || message.error !== undefined);
+
+/**
+ * Create a client for one MCP server. Nothing is sent before connect().
+ * @param {McpServerConfig} server
+ * @param {{ onNotification?: (message: { method: string, params?: Object }) => void,
+ *   onClose?: (error: Error|null) => void }} [hooks] - onNotification receives server notifications
+ *   (e.g. notifications/tools/list_changed); onClose fires when an SSE connection drops
+ * @returns {Object} client: connect, request, notify, listTools, listResources, listPrompts, callTool,
+ *   readResource, getPrompt, close and the info of the connected server
+ */
+export function createMcpClient(server, { onNotification, onClose } = {}) {
+  const baseHeaders = server.token ? { Authorization: `Bearer ${server.token}` } : {};
+  let transport = null; // 'http' | 'sse'
+  let sessionId = null;
+  let protocolVersion = null;
+  let nextId = 1;
+  let info = null;
+  let closed = false;
+
+  // HTTP+SSE transport state
+  let stream = null; // AbortController of the GET stream
+  let postUrl = null;
+  const pending = new Map(); // request id -> { resolve, reject }
+
+  const headers = (extra = {}) => ({
+    ...baseHeaders,
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...(protocolVersion && transport === 'http' ? { 'MCP-Protocol-Version': protocolVersion } : {}),
+    ...extra,
+  });
+
+  async function failedResponse(resp) {
+    let detail = `${resp.status} ${resp.statusText}`.trim();
+    try {
+      const body = await resp.text();
+      const json = body ? JSON.parse(body) : null;
+      detail = json?.error?.message || body || detail;
+    } catch (_) {}
+    return mcpError(`${server.name}: ${detail}`, { status: resp.status });
+  }
+
+  // Requests the server sends us: ping is answered, everything else is declined
+  function handleIncoming(message) {
+    if (!message || typeof message.method !== 'string') return;
+    if (message.id === undefined) {
+      onNotification?.(message);
+      return;
+    }
+    const reply =
+      message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported by this client: ${message.method}` } };
+    send(reply).catch(() => {});
+  }
+
+  // --- Streamable HTTP -----------------------------------------------------
+
+  // POST one message; for requests, resolves with the matching response (JSON body or SSE stream)
+  async function postHttp(message, { signal } = {}) {
+    try {
+      const resp = await fetchWithRetry(
+        server.url,
+        {
+          method: 'POST',
+          headers: headers({ 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' }),
+          body: JSON.stringify(message),
+        },
+        { retries: 0, timeout: REQUEST_TIMEOUT_MS, signal }
+      );
+      if (!resp.ok) throw await failedResponse(resp);
+      const session = resp.headers.get('mcp-session-id');
+      if (session) sessionId = session;
+      if (message.id === undefined || resp.status === 202) return null;
+
+      const type = resp.headers.get('content-type') || '';
+      if (type.includes('text/event-stream')) {
+        // Resolves on the response; anything the server sends after it is still read and handled
+        return await new Promise((resolve, reject) => {
+          readSSE(resp, (data) => {
+            (Array.isArray(data) ? data : [data]).forEach((m) => {
+              if (isResponse(m) && m.id === message.id) resolve(m);
+              else handleIncoming(m);
+            });
+          }).then(
+            () => reject(mcpError(`${server.name} closed the stream without answering ${message.method}.`)),
+            (err) => reject(signal?.aborted ? abortError() : err)
+          );
+        });
+      }
+      const body = await resp.json();
+      const messages = Array.isArray(body) ? body : [body];
+      messages.filter((m) => !(isResponse(m) && m.id === message.id)).forEach(handleIncoming);
+      const response = messages.find((m) => isResponse(m) && m.id === message.id);
+      if (!response) throw mcpError(`${server.name} did not answer ${message.method}.`);
+      return response;
+    } catch (err) {
+      if (signal?.aborted) throw abortError();
+      // Network failures and timeouts; in browsers a missing CORS header looks the same
+      if (err.retryable) throw mcpError(`Could not reach ${server.name} (${err.message}). Check the URL and that the server allows this origin.`);
+      throw err;
+    }
+  }
+
+  // --- HTTP+SSE (protocol 2024-11-05) ----------------------------------------
+
+  function openStream() {
+    return new Promise((resolve, reject) => {
+      stream = new AbortController();
+      let announced = false;
+      const timer = setTimeout(() => {
+        if (announced) return;
+        stream.abort();
+        reject(mcpError(`${server.name} did not announce a message endpoint.`));
+      }, REQUEST_TIMEOUT_MS);
+
+      const onEvent = (data, event) => {
+        if (event === 'endpoint') {
+          postUrl = new URL(String(data), server.url).href;
+          announced = true;
+          clearTimeout(timer);
+          resolve();
+          return;
+        }
+        (Array.isArray(data) ? data : [data]).forEach((m) => {
+          if (isResponse(m) && pending.has(m.id)) {
+            pending.get(m.id).resolve(m);
+            pending.delete(m.id);
+          } else handleIncoming(m);
+        });
+      };
+
+      fetch(server.url, { headers: headers({ Accept: 'text/event-stream' }), signal: stream.signal })
+        .then(async (resp) => {
+          if (!resp.ok) throw await failedResponse(resp);
+          await readSSE(resp, onEvent);
+          throw mcpError(`${server.name} closed the event stream.`);
+        })
+        .catch((err) => {
+          clearTimeout(timer);
+          const error = isAbortError(err) ? mcpError(`Disconnected from ${server.name}.`) : err;
+          pending.forEach(({ reject: fail }) => fail(error));
+          pending.clear();
+          if (!announced) reject(error);
+          else if (!closed) onClose?.(error);
+        });
+    });
+  }
+
+  async function postSse(message, { signal } = {}) {
+    let waiting = null;
+    if (message.id !== undefined) {
+      waiting = new Promise((resolve, reject) => pending.set(message.id, { resolve, reject }));
+    }
+    const resp = await fetchWithRetry(
+      postUrl,
+      { method: 'POST', headers: headers({ 'Content-Type': 'application/json' }), body: JSON.stringify(message) },
+      { retries: 0, timeout: REQUEST_TIMEOUT_MS, signal }
+    ).catch((err) => {
+      pending.delete(message.id);
+      throw err;
+    });
+    if (!resp.ok) {
+      pending.delete(message.id);
+      throw await failedResponse(resp);
+    }
+    if (!waiting) return null;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(message.id);
+        reject(mcpError(`${server.name} did not answer ${message.method} in time.`));
+      }, REQUEST_TIMEOUT_MS);
+      const onAbort = () => {
+        pending.delete(message.id);
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiting.then(resolve, reject).finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  // --- Messages ----------------------------------------------------------------
+
+  function send(message, options) {
+    if (closed) return Promise.reject(mcpError(`The connection to ${server.name} is closed.`));
+    return transport === 'sse' ? postSse(message, options) : postHttp(message, options);
+  }
+
+  /**
+   * Send a JSON-RPC request and resolve with its result
+   * @param {string} method
+   * @param {Object} [params]
+   * @param {{ signal?: AbortSignal }} [options] - aborting also tells the server to cancel
+   * @returns {Promise<any>}
+   * @throws {Error} McpError with the server's code for JSON-RPC errors; AbortError when cancelled
+   */
+  async function request(method, params, { signal } = {}) {
+    const id = nextId++;
+    const message = { jsonrpc: '2.0', id, method, ...(params ? { params } : {}) };
+    let response;
+    try {
+      response = await send(message, { signal });
+    } catch (err) {
+      if (isAbortError(err) && method !== 'initialize') {
+        notify('notifications/cancelled', { requestId: id, reason: 'Cancelled by the user or timed out.' }).catch(() => {});
+      }
+      throw err;
+    }
+    if (response.error) {
+      throw mcpError(`${server.name}: ${response.error.message || 'request failed'}`, response.error);
+    }
+    return response.result;
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response)
+   * @param {string} method
+   * @param {Object} [params]
+   * @returns {Promise<void>}
+   */
+  async function notify(method, params) {
+    await send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  async function initialize(signal) {
+    const result = await request(
+      'initialize',
+      { protocolVersion: MCP_PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO },
+      { signal }
+    );
+    protocolVersion = result.protocolVersion || MCP_PROTOCOL_VERSION;
+    await notify('notifications/initialized');
+    return {
+      protocolVersion,
+      serverInfo: result.serverInfo || { name: server.name },
+      capabilities: result.capabilities || {},
+      instructions: result.instructions,
+      transport,
+    };
+  }
+
+  /**
+   * Open the transport and run the initialize handshake
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<McpServerInfo>}
+   */
+  async function connect({ signal } = {}) {
+    const mode = server.transport || 'auto';
+    if (mode !== 'sse') {
+      transport = 'http';
+      try {
+        info = await initialize(signal);
+        return info;
+      } catch (err) {
+        // Servers that only speak the older transport reject the POST (usually 404/405)
+        if (mode === 'http' || !(err.status >= 400 && err.status < 500)) throw err;
+      }
+      sessionId = null;
+    }
+    transport = 'sse';
+    await openStream();
+    info = await initialize(signal);
+    return info;
+  }
+
+  // Follows nextCursor until the list is complete (or MAX_PAGES)
+  async function listAll(method, key, signal) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_PAGES; page += 1) {
+      const result = await request(method, cursor ? { cursor } : undefined, { signal });
+      items.push(...(result?.[key] || []));
+      cursor = result?.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  return {
+    connect,
+    request,
+    notify,
+
+    /** @returns {Promise<Array<{ name: string, description?: string, inputSchema: Object }>>} */
+    listTools: ({ signal } = {}) => listAll('tools/list', 'tools', signal),
+
+    /** @returns {Promise<Array<{ uri: string, name: string, description?: string, mimeType?: string }>>} */
+    listResources: ({ signal } = {}) => listAll('resources/list', 'resources', signal),
+
+    /** @returns {Promise<Array<{ name: string, description?: string, arguments?: Array<Object> }>>} */
+    listPrompts: ({ signal } = {}) => listAll('prompts/list', 'prompts', signal),
+
+    callTool: (name, args, { signal } = {}) => request('tools/call', { name, arguments: args || {} }, { signal }),
+    readResource: (uri, { signal } = {}) => request('resources/read', { uri }, { signal }),
+    getPrompt: (name, args, { signal } = {}) => request('prompts/get', { name, arguments: args || {} }, { signal }),
+
+    /** Close the connection (ends the HTTP session where the server keeps one) */
+    async close() {
+      if (closed) return;
+      closed = true;
+      stream?.abort();
+      pending.clear();
+      if (transport === 'http' && sessionId) {
+        await fetch(server.url, { method: 'DELETE', headers: headers() }).catch(() => {});
+      }
+    },
+
+    get info() {
+      return info;
+    },
+  };
+}
+
+/**
+ * Tool name for an MCP tool: server name and tool name, limited to what providers accept
+ * @param {string} serverName
+ * @param {string} toolName
+ * @returns {string} e.g. 'files__read_file'
+ */
+export function mcpToolName(serverName, toolName) {
+  const clean = (s) => String(s || '').replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${clean(serverName) || 'mcp'}__${clean(toolName)}`.slice(0, 64);
+}
+
+/**
+ * Tool result for the model from an MCP tools/call result. Server text is untrusted: it is capped
+ * here, and the app shows tool results as escaped text only.
+ * @param {{ content?: Array<Object>, structuredContent?: Object, isError?: boolean }} result
+ * @returns {{ text?: string, structuredContent?: Object, attachments?: Array<Object> }}
+ * @throws {Error} type 'exception' when the server flagged the call as failed
+ */
+export function mcpToolResult(result) {
+  const clip = (value) => {
+    const str = String(value ?? '');
+    return str.length > MAX_RESULT_CHARS ? `${str.slice(0, MAX_RESULT_CHARS)}… [truncated]` : str;
+  };
+  const parts = Array.isArray(result?.content) ? result.content.filter((p) => p && typeof p === 'object') : [];
+  const text = clip(
+    parts
+      .filter((p) => p.type === 'text')
+      .map((p) => p.text)
+      .join('\n')
+  );
+  if (result?.isError) throw toolError('exception', text || 'The MCP tool reported an error.');
+
+  // Images, audio and embedded resources are described rather than passed on as base64
+  const attachments = parts
+    .filter((p) => p.type !== 'text')
+    .map((p) =>
+      p.type === 'resource'
+        ? { type: 'resource', uri: p.resource?.uri, mimeType: p.resource?.mimeType, text: p.resource?.text && clip(p.resource.text) }
+        : p.type === 'resource_link'
+          ? { type: 'resource_link', uri: p.uri, name: p.name }
+          : { type: p.type, mimeType: p.mimeType }
+    );
+  return {
+    ...(text ? { text } : {}),
+    ...(result?.structuredContent ? { structuredContent: result.structuredContent } : {}),
+    ...(attachments.length ? { attachments } : {}),
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * services/pricing.js
+ * Per-model list prices used to turn token usage into cost estimates.
+ * Prices are USD per million tokens; estimates ignore batch/caching discounts.
+ */
+
+// First match wins, so specific variants come before their family
+export const PRICING = [
+  // OpenAI
+  [/gpt-4o-mini/i, { input: 0.15, output: 0.6 }],
+  [/gpt-4o/i, { input: 2.5, output: 10 }],
+  [/gpt-4\.1-nano/i, { input: 0.1, output: 0.4 }],
+  [/gpt-4\.1-mini/i, { input: 0.4, output: 1.6 }],
+  [/gpt-4\.1/i, { input: 2, output: 8 }],
+  [/gpt-4-turbo/i, { input: 10, output: 30 }],
+  [/gpt-4/i, { input: 30, output: 60 }],
+  [/gpt-3\.5-turbo/i, { input: 0.5, output: 1.5 }],
+  [/\bo[134]-mini/i, { input: 1.1, output: 4.4 }],
+  [/\bo3\b/i, { input: 2, output: 8 }],
+  [/\bo1\b/i, { input: 15, output: 60 }],
+  // Anthropic
+  [/claude.*opus/i, { input: 15, output: 75 }],
+  [/claude.*sonnet/i, { input: 3, output: 15 }],
+  [/claude-3-5-haiku|claude-haiku/i, { input: 0.8, output: 4 }],
+  [/claude-3-haiku/i, { input: 0.25, output: 1.25 }],
+  // Google
+  [/gemini-2\.5-pro/i, { input: 1.25, output: 10 }],
+  [/gemini-2\.5-flash-lite/i, { input: 0.1, output: 0.4 }],
+  [/gemini-2\.5-flash/i, { input: 0.3, output: 2.5 }],
+  [/gemini-2\.0-flash-lite/i, { input: 0.075, output: 0.3 }],
+  [/gemini-2\.0-flash/i, { input: 0.1, output: 0.4 }],
+  [/gemini-1\.5-pro/i, { input: 1.25, output: 5 }],
+  [/gemini-1\.5-flash/i, { input: 0.075, output: 0.3 }],
+];
+
+// Providers that never bill per token
+const FREE_PROVIDERS = ['local', 'mock'];
+
+/**
+ * Price of a model, or null when unknown
+ * @param {string} model
+ * @param {string} [provider]
+ * @returns {{ input: number, output: number }|null}
+ */
+export function getPricing(model = '', provider = '') {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  const match = PRICING.find(([pattern]) => pattern.test(model));
+  return match ? match[1] : null;
+}
+
+/**
+ * Estimated cost of a request in USD, or null when the model has no known price
+ * @param {{ prompt_tokens: number, completion_tokens: number }} usage
+ * @param {string} model
+ * @param {string} [provider]
+ * @returns {number|null}
+ */
+export function estimateCost(usage, model, provider) {
+  const price = getPricing(model, provider);
+  if (!price || !usage) return null;
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
@@ -0,0 +1,77 @@
+/**
+ * services/providers/aipipe.js
+ * AI Pipe adapter. AI Pipe acts as a proxy; we send to its OpenRouter-compatible endpoint.
+ * AI Pipe docs: https://aipipe.org/ — supports endpoints like /openrouter/v1/chat/completions and /openai/v1/...
+ */
+import {
+  openAIChatBody,
+  parseOpenAIResponse,
+  readOpenAIStream,
+  openAIEmbeddingBody,
+  parseOpenAIEmbeddings,
+} from './openai-compatible.js';
+import { isHostedVisionModel } from './vision.js';
+
+export default {
+  id: 'aipipe',
+  label: 'AI Pipe (aipipe.org)',
+  capabilities: { tools: true, vision: true, streaming: true, structuredOutput: true, embeddings: true },
+  visionModel: isHostedVisionModel,
+  apiKeyPlaceholder: 'AI Pipe token',
+  embeddingModel: 'text-embedding-3-small',
+
+  buildRequest(ctx) {
+    return {
+      url: 'https://aipipe.org/openrouter/v1/chat/completions',
+      headers: { Authorization: `Bearer ${ctx.llm.apiKey}` },
+      body: openAIChatBody(ctx, ctx.llm.model || 'openai/gpt-4o-mini'), // fallback model
+    };
+  },
+
+  parseResponse: parseOpenAIResponse,
+  readStream: readOpenAIStream,
+
+  // Embeddings go through AI Pipe's OpenAI endpoint
+  buildEmbeddingRequest({ llm, input, model }) {
+    return {
+      url: 'https://aipipe.org/openai/v1/embeddings',
+      headers: { Authorization: `Bearer ${llm.apiKey}` },
+      body: openAIEmbeddingBody(input, model),
+    };
+  },
+
+  parseEmbeddingResponse: parseOpenAIEmbeddings,
+
+  async listModels({ apiKey: token }) {
+    if (!token) throw new Error('AI Pipe token required');
+
+    const candidateSets = [];
+
+    try {
+      const r1 = await fetch('https://aipipe.org/openrouter/v1/models', { headers: { Authorization: `Bearer ${token}` } });
+      if (r1.ok) {
+        const d1 = await r1.json();
+        if (Array.isArray(d1.models)) candidateSets.push(d1.models.map((m) => m.name || m.id));
+        else if (Array.isArray(d1)) candidateSets.push(d1.map((m) => m.name || m.id));
+      }
+    } catch (e) {}
+
+    try {
+      const r2 = await fetch('https://aipipe.org/openai/v1/models', { headers: { Authorization: `Bearer ${token}` } });
+      if (r2.ok) {
+        const d2 = await r2.json();
+        if (Array.isArray(d2.data)) candidateSets.push(d2.data.map((m) => m.id || m.name));
+      }
+    } catch (e) {}
+
+    const fallback = [
+      'openai/gpt-4o-mini',
+      'openai/gpt-4o',
+      'openai/gpt-4.1',
+      'openai/gpt-4o-realtime-preview',
+      'openai/gpt-3.5-turbo',
+    ];
+
+    return Array.from(new Set([].concat(...candidateSets.filter(Boolean), fallback)));
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * services/providers/anthropic.js
+ * Anthropic Messages API adapter.
+ */
+import { readSSE } from '../stream.js';
+import { toAnthropicMessages, toAnthropicTools, withToolCalls, toUsage } from '../format.js';
+import { fetchModelList } from './openai-compatible.js';
+import { isHostedVisionModel } from './vision.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Request headers for the Anthropic API (browser access must be opted into explicitly)
+ * @param {string} apiKey
+ * @returns {Object}
+ */
+export function anthropicHeaders(apiKey) {
+  return {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+    'anthropic-dangerous-direct-browser-access': 'true',
+  };
+}
+
+// Messages API: content is a list of text / tool_use blocks
+function parseAnthropicResponse(data) {
+  const blocks = Array.isArray(data.content) ? data.content : [];
+  const text = blocks.filter((b) => b.type === 'text').map((b) => b.text).join('');
+  const calls = blocks
+    .filter((b) => b.type === 'tool_use')
+    .map((b) => ({ id: b.id, function: { name: b.name }, arguments: b.input || {} }));
+
+  const parsed = withToolCalls(text, calls);
+  if (data.stop_reason) parsed.finish_reason = data.stop_reason;
+  if (data.usage) {
+    // Cached prompt tokens are billed separately but still count as input
+    const { input_tokens = 0, cache_creation_input_tokens = 0, cache_read_input_tokens = 0 } = data.usage;
+    parsed.usage = toUsage(input_tokens + cache_creation_input_tokens + cache_read_input_tokens, data.usage.output_tokens);
+  }
+  return parsed;
+}
+
+// Messages API events: blocks are opened, filled by deltas and closed; usage arrives
+// in message_start (input) and message_delta (output).
+async function readAnthropicStream(resp, onDelta) {
+  const message = { role: 'assistant', content: [], stop_reason: null, usage: {} };
+  const toolJson = {};
+
+  await readSSE(resp, (event, name) => {
+    const type = event?.type || name;
+    switch (type) {
+      case 'message_start':
+        Object.assign(message, event.message, { content: [] });
+        message.usage = { ...(event.message?.usage || {}) };
+        break;
+      case 'content_block_start':
+        message.content[event.index] = { ...event.content_block };
+        if (event.content_block?.type === 'tool_use') toolJson[event.index] = '';
+        break;
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (!block) break;
+        if (event.delta?.type === 'text_delta') {
+          block.text = (block.text || '') + event.delta.text;
+          const text = message.content.filter((b) => b && b.type === 'text').map((b) => b.text).join('');
+          onDelta(event.delta.text, text);
+        } else if (event.delta?.type === 'input_json_delta') {
+          toolJson[event.index] += event.delta.partial_json || '';
+        }
+        break;
+      }
+      case 'message_delta':
+        if (event.delta?.stop_reason) message.stop_reason = event.delta.stop_reason;
+        Object.assign(message.usage, event.usage || {});
+        break;
+      case 'error':
+        throw new Error(event.error?.message || 'Anthropic stream error');
+      default:
+        break;
+    }
+  });
+
+  Object.entries(toolJson).forEach(([index, json]) => {
+    try {
+      message.content[index].input = json ? JSON.parse(json) : {};
+    } catch (_) {
+      message.content[index].input = {};
+    }
+  });
+  message.content = message.content.filter(Boolean);
+  return message;
+}
+
+export default {
+  id: 'anthropic',
+  label: 'Anthropic Claude',
+  capabilities: { tools: true, vision: true, streaming: true },
+  visionModel: isHostedVisionModel,
+  apiKeyPlaceholder: 'sk-ant-...',
+
+  buildRequest({ llm, messages: chatMessages, tools, stream }) {
+    const { system, messages } = toAnthropicMessages(chatMessages);
+    const body = {
+      model: llm.model,
+      messages,
+      max_tokens: llm.maxTokens,
+      // Anthropic caps temperature at 1 while the settings slider goes to 2
+      temperature: Math.min(Number(llm.temperature) || 0, 1),
+    };
+    if (system) body.system = system;
+    if (tools) body.tools = toAnthropicTools(tools);
+    if (stream) body.stream = true;
+
+    return { url: 'https://api.anthropic.com/v1/messages', headers: anthropicHeaders(llm.apiKey), body };
+  },
+
+  parseResponse: parseAnthropicResponse,
+  readStream: readAnthropicStream,
+
+  async listModels({ apiKey }) {
+    if (!apiKey) throw new Error('API Key required for Anthropic');
+
+    // The models endpoint is paginated; follow last_id until has_more is false
+    const models = [];
+    let afterId = null;
+    do {
+      const params = new URLSearchParams({ limit: '100' });
+      if (afterId) params.set('after_id', afterId);
+
+      const data = await fetchModelList(
+        `https://api.anthropic.com/v1/models?${params}`,
+        anthropicHeaders(apiKey),
+        'Invalid Anthropic Key'
+      );
+      models.push(...(data.data || []).map((m) => m.id));
+      afterId = data.has_more ? data.last_id : null;
+    } while (afterId);
+
+    return models;
+  },
+};
@@ -0,0 +1,161 @@
+/**
+ * services/providers/google.js
+ * Google Gemini adapter (generateContent / streamGenerateContent).
+ */
+import { readSSE } from '../stream.js';
+import { toGeminiRequest, toGeminiSafetySettings, toGeminiTools, toGeminiSchema, withToolCalls, toUsage } from '../format.js';
+import { withSchemaInstruction } from '../structured.js';
+import { inlineRefs } from '../../utils/json-schema.js';
+import { fetchModelList } from './openai-compatible.js';
+import { isHostedVisionModel } from './vision.js';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Gemini finishReason values mapped onto OpenAI-style finish_reason
+const GEMINI_FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter',
+  MALFORMED_FUNCTION_CALL: 'error',
+};
+
+function parseGeminiResponse(data) {
+  const parsed = parseGeminiCandidate(data);
+  const meta = data.usageMetadata;
+  // Thinking tokens are billed as output
+  if (meta) parsed.usage = toUsage(meta.promptTokenCount, (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0));
+  return parsed;
+}
+
+// Join every text part of the first candidate, collect functionCall parts and
+// explain blocked prompts/replies instead of returning an empty message.
+function parseGeminiCandidate(data) {
+  const candidate = data.candidates?.[0];
+  if (!candidate) {
+    const blockReason = data.promptFeedback?.blockReason;
+    if (blockReason) return { content: `_Gemini blocked this prompt (${blockReason})._`, finish_reason: 'content_filter' };
+    return { content: JSON.stringify(data) };
+  }
+
+  const parts = candidate.content?.parts || [];
+  const text = parts
+    .filter((p) => !p.thought && typeof p.text === 'string')
+    .map((p) => p.text)
+    .join('');
+  const calls = parts
+    .filter((p) => p.functionCall)
+    .map((p) => ({ id: p.functionCall.id, function: p.functionCall, arguments: p.functionCall.args }));
+
+  const parsed = withToolCalls(text, calls);
+  const reason = candidate.finishReason;
+  if (calls.length) parsed.finish_reason = 'tool_calls';
+  else if (reason) parsed.finish_reason = GEMINI_FINISH_REASONS[reason] || reason.toLowerCase();
+
+  if (!parsed.content && !calls.length && parsed.finish_reason === 'content_filter') {
+    parsed.content = `_Gemini stopped this reply (${reason})._`;
+  }
+  return parsed;
+}
+
+// Each event is a partial GenerateContentResponse; text parts are concatenated,
+// everything else (e.g. functionCall parts) is kept as-is.
+async function readGeminiStream(resp, onDelta) {
+  let text = '';
+  const otherParts = [];
+  let finishReason;
+  let usageMetadata;
+  let promptFeedback;
+
+  await readSSE(resp, (chunk) => {
+    if (!chunk || typeof chunk !== 'object') return;
+    if (chunk.error) throw new Error(chunk.error.message || 'Gemini stream error');
+    const candidate = chunk.candidates?.[0];
+    (candidate?.content?.parts || []).forEach((part) => {
+      if (part.thought) return; // thinking summaries are not part of the answer
+      if (typeof part.text === 'string') {
+        if (!part.text) return;
+        text += part.text;
+        onDelta(part.text, text);
+      } else {
+        otherParts.push(part);
+      }
+    });
+    if (candidate?.finishReason) finishReason = candidate.finishReason;
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    if (chunk.promptFeedback) promptFeedback = chunk.promptFeedback;
+  });
+
+  const parts = text ? [{ text }, ...otherParts] : otherParts;
+  const candidates = parts.length || finishReason ? [{ content: { role: 'model', parts }, finishReason }] : [];
+  return { candidates, usageMetadata, promptFeedback };
+}
+
+export default {
+  id: 'google',
+  label: 'Google Gemini',
+  capabilities: { tools: true, vision: true, streaming: true, structuredOutput: true },
+  visionModel: isHostedVisionModel,
+  apiKeyPlaceholder: 'Gemini API key',
+  settingsFields: [
+    {
+      key: 'safetyThreshold',
+      label: 'Safety Filter',
+      type: 'select',
+      default: 'default',
+      options: [
+        { value: 'default', label: 'Model default' },
+        { value: 'BLOCK_NONE', label: 'Block none' },
+        { value: 'BLOCK_ONLY_HIGH', label: 'Block only high' },
+        { value: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block medium and above' },
+        { value: 'BLOCK_LOW_AND_ABOVE', label: 'Block low and above' },
+      ],
+    },
+  ],
+
+  buildRequest({ llm, messages, tools, stream, responseSchema }) {
+    // The key goes in a header, not the query string, so it stays out of URLs and logs;
+    // system prompt and sampling live in dedicated fields
+    const model = encodeURIComponent(llm.model);
+    const url = stream
+      ? `${API_BASE}/models/${model}:streamGenerateContent?alt=sse`
+      : `${API_BASE}/models/${model}:generateContent`;
+
+    // Gemini rejects function declarations combined with a JSON response type, so with tools
+    // the schema is described in the system instruction instead
+    const nativeSchema = responseSchema && !tools;
+    const { contents, systemInstruction } = toGeminiRequest(
+      responseSchema && !nativeSchema ? withSchemaInstruction(messages, responseSchema) : messages
+    );
+    const body = {
+      contents,
+      generationConfig: { temperature: llm.temperature, maxOutputTokens: llm.maxTokens, candidateCount: 1 },
+    };
+    if (nativeSchema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(inlineRefs(responseSchema.schema));
+    }
+    if (systemInstruction) body.systemInstruction = systemInstruction;
+    const safetySettings = toGeminiSafetySettings(llm.safetyThreshold);
+    if (safetySettings) body.safetySettings = safetySettings;
+    if (tools) body.tools = toGeminiTools(tools);
+
+    return { url, headers: { 'x-goog-api-key': llm.apiKey }, body };
+  },
+
+  parseResponse: parseGeminiResponse,
+  readStream: readGeminiStream,
+
+  async listModels({ apiKey }) {
+    if (!apiKey) throw new Error('API Key required for Google');
+
+    const data = await fetchModelList(`${API_BASE}/models`, { 'x-goog-api-key': apiKey }, 'Invalid Google Key');
+    return (data.models || [])
+      .filter((m) => (m.supportedGenerationMethods || []).includes('generateContent'))
+      .map((m) => m.name.replace('models/', ''));
+  },
+};
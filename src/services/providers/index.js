@@ -0,0 +1,18 @@
+/**
+ * services/providers/index.js
+ * Registers the built-in provider adapters and re-exports the registry API.
+ * Third-party adapters can call registerProvider() from their own module.
+ */
+import { registerProvider } from './registry.js';
+import aipipe from './aipipe.js';
+import openai from './openai.js';
+import anthropic from './anthropic.js';
+import google from './google.js';
+import local from './local.js';
+import proxy from './proxy.js';
+import mock from './mock.js';
+
+// Registration order is the order of the #llm-provider select
+[aipipe, openai, anthropic, google, local, proxy, mock].forEach((adapter) => registerProvider(adapter));
+
+export { registerProvider, unregisterProvider, getProvider, listProviders, supportsVision } from './registry.js';
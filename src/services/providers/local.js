@@ -0,0 +1,88 @@
+/**
+ * services/providers/local.js
+ * Local model adapter: Ollama, llama.cpp, LM Studio, vLLM... anything exposing an
+ * OpenAI-compatible chat endpoint. The API key is optional.
+ */
+import {
+  openAIChatBody,
+  parseOpenAIResponse,
+  readOpenAIStream,
+  openAIEmbeddingBody,
+  parseOpenAIEmbeddings,
+} from './openai-compatible.js';
+import { isOpenVisionModel } from './vision.js';
+
+/**
+ * Normalize a user-entered server address: no trailing slashes and no `/v1` suffix,
+ * so both `http://host:11434` and `http://host:8080/v1/` resolve to the same base.
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function normalizeBaseUrl(baseUrl = '') {
+  return String(baseUrl).trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+export default {
+  id: 'local',
+  label: 'Local Model',
+  capabilities: { tools: true, vision: true, streaming: true, embeddings: true },
+  visionModel: isOpenVisionModel,
+  requiresApiKey: false,
+  apiKeyPlaceholder: 'Optional',
+  // Needs an embedding model pulled on the server (e.g. `ollama pull nomic-embed-text`)
+  embeddingModel: 'nomic-embed-text',
+  settingsFields: [
+    {
+      key: 'baseUrl',
+      label: 'Server URL',
+      type: 'url',
+      placeholder: 'http://localhost:11434',
+      default: 'http://localhost:11434',
+      hint: 'Ollama, llama.cpp or any OpenAI-compatible server. API key is optional.',
+    },
+  ],
+
+  buildRequest(ctx) {
+    const baseUrl = normalizeBaseUrl(ctx.llm.baseUrl);
+    if (!baseUrl) throw new Error('Set the local server URL in settings.');
+    return {
+      url: `${baseUrl}/v1/chat/completions`,
+      headers: authHeaders(ctx.llm.apiKey),
+      body: openAIChatBody(ctx),
+    };
+  },
+
+  parseResponse: parseOpenAIResponse,
+  readStream: readOpenAIStream,
+
+  buildEmbeddingRequest({ llm, input, model }) {
+    const baseUrl = normalizeBaseUrl(llm.baseUrl);
+    if (!baseUrl) throw new Error('Set the local server URL in settings.');
+    return { url: `${baseUrl}/v1/embeddings`, headers: authHeaders(llm.apiKey), body: openAIEmbeddingBody(input, model) };
+  },
+
+  parseEmbeddingResponse: parseOpenAIEmbeddings,
+
+  async listModels({ apiKey, baseUrl: rawBaseUrl }) {
+    const baseUrl = normalizeBaseUrl(rawBaseUrl);
+    if (!baseUrl) throw new Error('Server URL required for local models');
+    const headers = authHeaders(apiKey);
+
+    // Ollama's native listing first, then any OpenAI-compatible server
+    try {
+      const r1 = await fetch(`${baseUrl}/api/tags`, { headers });
+      if (r1.ok) {
+        const d1 = await r1.json();
+        if (Array.isArray(d1.models)) return d1.models.map((m) => m.name || m.model);
+      }
+    } catch (e) {}
+
+    const r2 = await fetch(`${baseUrl}/v1/models`, { headers });
+    if (!r2.ok) throw new Error(`Local server returned ${r2.status}`);
+
+    const d2 = await r2.json();
+    return (d2.data || []).map((m) => m.id);
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * services/providers/mock.js
+ * Offline mock provider: answers from fixture files without touching the network,
+ * including tool calls and streamed chunks. Also serves demo mode (no API key).
+ * See services/fixtures.js for the fixture format and record mode.
+ */
+import { sleep } from '../http.js';
+import { withToolCalls, toUsage } from '../format.js';
+import { estimateTokens } from '../context.js';
+import { DEMO_FIXTURE_URL, loadFixture, selectEntry } from '../fixtures.js';
+import { getProvider } from './registry.js';
+
+// Marks mock data so it parses correctly whichever provider was selected (demo mode)
+const MOCK_OBJECT = 'mock.response';
+
+const DEFAULT_CHUNK_DELAY_MS = 30;
+
+/**
+ * Whether a provider response came from the mock provider
+ * @param {any} data
+ * @returns {boolean}
+ */
+export function isMockResponse(data) {
+  return !!data && data.object === MOCK_OBJECT;
+}
+
+// Scripted replies stream word by word unless the fixture spells out its chunks
+function chunksOf(entry) {
+  if (Array.isArray(entry.chunks)) return entry.chunks;
+  const content = entry.response?.content || '';
+  return content.match(/\S+\s*|\s+/g) || [];
+}
+
+function parseMockResponse(data) {
+  // Recorded exchanges are parsed exactly as the original provider would
+  if (data.provider) {
+    const adapter = getProvider(data.provider);
+    if (!adapter) throw new Error(`Fixture was recorded with provider "${data.provider}", which is not registered.`);
+    return adapter.parseResponse(data.data);
+  }
+  const { content = '', tool_calls: toolCalls, usage, finish_reason: finishReason } = data.response || {};
+  const parsed = withToolCalls(content, toolCalls);
+  parsed.finish_reason = finishReason || (parsed.tool_calls ? 'tool_calls' : 'stop');
+  if (usage) parsed.usage = toUsage(usage.prompt_tokens, usage.completion_tokens);
+  return parsed;
+}
+
+export default {
+  id: 'mock',
+  label: 'Mock (offline fixtures)',
+  // Schemas are accepted natively (and ignored) so the request, and its fixture key, is the same for every schema
+  capabilities: { tools: true, vision: true, streaming: true, structuredOutput: true },
+  requiresApiKey: false,
+  apiKeyPlaceholder: 'Not needed',
+  settingsFields: [
+    {
+      key: 'fixture',
+      label: 'Fixture',
+      placeholder: DEMO_FIXTURE_URL,
+      default: DEMO_FIXTURE_URL,
+      hint: 'Path or URL of a fixture file, or "recording" to replay what was recorded this session.',
+    },
+    {
+      key: 'chunkDelay',
+      label: 'Stream Delay (ms)',
+      type: 'number',
+      placeholder: String(DEFAULT_CHUNK_DELAY_MS),
+      hint: 'Pause between streamed chunks; overrides the fixture.',
+    },
+  ],
+
+  // Answers locally instead of going through buildRequest + fetch
+  async complete({ llm, messages, tools, onDelta, signal }) {
+    const fixture = await loadFixture(llm.fixture || DEMO_FIXTURE_URL);
+    const entry = selectEntry(fixture, messages, tools);
+    if (entry.delayMs) await sleep(entry.delayMs, signal);
+
+    if (onDelta) {
+      const delay = llm.chunkDelay !== undefined && llm.chunkDelay !== '' ? Number(llm.chunkDelay) : fixture.chunkDelayMs;
+      let text = '';
+      for (const chunk of chunksOf(entry)) {
+        await sleep(Number.isFinite(delay) ? delay : DEFAULT_CHUNK_DELAY_MS, signal);
+        text += chunk;
+        onDelta(chunk, text);
+      }
+    }
+
+    if (entry.provider) return { object: MOCK_OBJECT, provider: entry.provider, data: entry.data };
+    // Scripted entries without usage get an estimate so usage displays have something to show
+    const response = { ...entry.response };
+    if (!response.usage) {
+      response.usage = toUsage(estimateTokens(messages), estimateTokens(response.content) + estimateTokens(response.tool_calls));
+    }
+    return { object: MOCK_OBJECT, response };
+  },
+
+  parseResponse: parseMockResponse,
+
+  async listModels({ fixture }) {
+    const loaded = await loadFixture(fixture || DEMO_FIXTURE_URL).catch(() => null);
+    return loaded?.models || ['mock'];
+  },
+};
@@ -0,0 +1,136 @@
+/**
+ * services/providers/openai-compatible.js
+ * Shared pieces for providers that speak the OpenAI chat completions protocol
+ * (OpenAI, AI Pipe/OpenRouter, local servers).
+ */
+import { readSSE } from '../stream.js';
+import { toOpenAITools, withToolCalls, toUsage } from '../format.js';
+import { schemaIdentifier } from '../structured.js';
+
+/**
+ * Chat completions request body
+ * @param {{ llm: Object, messages: Array<Object>, tools: Array<Object>|null, stream: boolean, responseSchema?: Object }} ctx
+ * @param {string} [model] - overrides ctx.llm.model
+ * @returns {Object}
+ */
+export function openAIChatBody({ llm, messages, tools, stream, responseSchema }, model = llm.model) {
+  const body = { model, messages, max_tokens: llm.maxTokens, temperature: llm.temperature };
+  if (tools) body.tools = toOpenAITools(tools);
+  // Non-strict: strict mode rejects common schemas (optional properties, open objects); replies are validated client-side
+  if (responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: schemaIdentifier(responseSchema.name), schema: responseSchema.schema, strict: false },
+    };
+  }
+  // include_usage adds a final chunk carrying token counts
+  if (stream) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+  return body;
+}
+
+/**
+ * Normalize a chat completions response
+ * @param {any} data
+ * @returns {{ content: string, tool_calls?: Array<Object>, usage?: Object }}
+ */
+export function parseOpenAIResponse(data) {
+  const parsed = parseOpenAIMessage(data);
+  if (data.usage) parsed.usage = toUsage(data.usage.prompt_tokens, data.usage.completion_tokens);
+  return parsed;
+}
+
+function parseOpenAIMessage(data) {
+  if (data.choices && data.choices.length > 0) {
+    const message = data.choices[0].message;
+    if (!message) return { content: data.choices[0].text || '' };
+    const toolCalls = message.tool_calls || (message.function_call ? [{ function: message.function_call }] : []);
+    return withToolCalls(message.content || '', toolCalls);
+  }
+  // openrouter style sometimes returns 'content' or 'candidates'
+  if (data.candidates && data.candidates.length > 0) {
+    const parts = data.candidates[0].content?.parts || data.candidates[0].content || [];
+    const text = Array.isArray(parts) ? parts.map((p) => p.text || p).join('') : parts;
+    return { content: text };
+  }
+  return { content: JSON.stringify(data) };
+}
+
+/**
+ * Consume chat.completion.chunk events into a regular chat.completion payload
+ * @param {Response} resp
+ * @param {(delta: string, text: string) => void} onDelta
+ * @returns {Promise<Object>}
+ */
+export async function readOpenAIStream(resp, onDelta) {
+  const message = { role: 'assistant', content: '' };
+  const toolCalls = [];
+  let finishReason = null;
+  let usage;
+
+  await readSSE(resp, (chunk) => {
+    if (chunk?.usage) usage = chunk.usage; // final chunk (choices is empty there)
+    const choice = chunk?.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+      message.content += delta.content;
+      onDelta(delta.content, message.content);
+    }
+
+    // Tool calls arrive as fragments keyed by index; names and argument strings are concatenated.
+    (delta.tool_calls || []).forEach((fragment) => {
+      const index = typeof fragment.index === 'number' ? fragment.index : toolCalls.length;
+      if (!toolCalls[index]) toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+      const slot = toolCalls[index];
+      if (fragment.id) slot.id = fragment.id;
+      if (fragment.function?.name) slot.function.name += fragment.function.name;
+      if (fragment.function?.arguments) slot.function.arguments += fragment.function.arguments;
+    });
+
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  });
+
+  const assembled = toolCalls.filter(Boolean);
+  if (assembled.length) message.tool_calls = assembled;
+  return { choices: [{ index: 0, message, finish_reason: finishReason }], usage };
+}
+
+/**
+ * Embeddings request body (POST /v1/embeddings)
+ * @param {Array<string>} input
+ * @param {string} model
+ * @returns {Object}
+ */
+export function openAIEmbeddingBody(input, model) {
+  return { model, input };
+}
+
+/**
+ * Vectors of an embeddings response, in input order
+ * @param {any} data
+ * @returns {Array<Array<number>>}
+ */
+export function parseOpenAIEmbeddings(data) {
+  if (!Array.isArray(data?.data)) throw new Error('The embeddings response has no data.');
+  return data.data
+    .slice()
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map((item) => item.embedding);
+}
+
+/**
+ * GET a JSON model listing, turning failures into a readable error
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} fallbackError
+ * @returns {Promise<any>}
+ */
+export async function fetchModelList(url, headers, fallbackError) {
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || fallbackError);
+  }
+  return response.json();
+}
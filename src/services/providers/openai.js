@@ -0,0 +1,58 @@
+/**
+ * services/providers/openai.js
+ * OpenAI chat completions adapter.
+ */
+import {
+  openAIChatBody,
+  parseOpenAIResponse,
+  readOpenAIStream,
+  fetchModelList,
+  openAIEmbeddingBody,
+  parseOpenAIEmbeddings,
+} from './openai-compatible.js';
+import { isHostedVisionModel } from './vision.js';
+
+export default {
+  id: 'openai',
+  label: 'OpenAI GPT',
+  capabilities: { tools: true, vision: true, streaming: true, structuredOutput: true, embeddings: true },
+  visionModel: isHostedVisionModel,
+  apiKeyPlaceholder: 'sk-...',
+  embeddingModel: 'text-embedding-3-small',
+
+  buildRequest(ctx) {
+    return {
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: { Authorization: `Bearer ${ctx.llm.apiKey}` },
+      body: openAIChatBody(ctx),
+    };
+  },
+
+  parseResponse: parseOpenAIResponse,
+  readStream: readOpenAIStream,
+
+  buildEmbeddingRequest({ llm, input, model }) {
+    return {
+      url: 'https://api.openai.com/v1/embeddings',
+      headers: { Authorization: `Bearer ${llm.apiKey}` },
+      body: openAIEmbeddingBody(input, model),
+    };
+  },
+
+  parseEmbeddingResponse: parseOpenAIEmbeddings,
+
+  async listModels({ apiKey }) {
+    if (!apiKey) throw new Error('API Key required for OpenAI');
+
+    const data = await fetchModelList(
+      'https://api.openai.com/v1/models',
+      { Authorization: `Bearer ${apiKey}` },
+      'Invalid OpenAI Key'
+    );
+    return data.data
+      .filter((m) => m.id && m.id.includes('gpt'))
+      .map((model) => model.id)
+      .sort()
+      .reverse();
+  },
+};
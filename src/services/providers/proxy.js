@@ -0,0 +1,113 @@
+/**
+ * services/providers/proxy.js
+ * Proxy adapter: sends requests to the bundled Node server (server/index.js), which
+ * holds the provider API keys and forwards to the upstream provider. Request building
+ * happens on the server with the upstream adapter; replies, streamed or not, are
+ * parsed here by that same adapter.
+ */
+import { fetchModelList } from './openai-compatible.js';
+import { isHostedVisionModel } from './vision.js';
+import { getProvider } from './registry.js';
+
+// Marks non-streamed proxy replies, which carry the upstream provider's raw response
+const PROXY_OBJECT = 'proxy.response';
+
+/** Response header naming the upstream provider of a streamed reply */
+export const PROXY_PROVIDER_HEADER = 'x-proxy-provider';
+
+/**
+ * Wrap an upstream response so the client knows which adapter parses it
+ * @param {string} provider - upstream provider id
+ * @param {any} data - raw upstream response
+ * @returns {{ object: string, provider: string, data: any }}
+ */
+export function wrapProxyResponse(provider, data) {
+  return { object: PROXY_OBJECT, provider, data };
+}
+
+// Empty means the page's own origin, i.e. the app is served by the proxy
+function proxyBase(proxyUrl = '') {
+  return String(proxyUrl).trim().replace(/\/+$/, '');
+}
+
+// The proxy's own access token (the settings API key field), not a provider key
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+function upstreamAdapter(id) {
+  const adapter = getProvider(id);
+  if (!adapter || id === 'proxy') throw new Error(`The proxy cannot forward to provider "${id}".`);
+  return adapter;
+}
+
+export default {
+  id: 'proxy',
+  label: 'Server Proxy',
+  capabilities: { tools: true, vision: true, streaming: true, structuredOutput: true },
+  visionModel: isHostedVisionModel,
+  requiresApiKey: false,
+  apiKeyPlaceholder: 'Proxy access token (optional)',
+  settingsFields: [
+    {
+      key: 'proxyUrl',
+      label: 'Proxy URL',
+      type: 'url',
+      placeholder: 'Same origin',
+      default: '',
+      hint: 'Leave empty when the app is served by the proxy (npm start). Provider keys stay on the server.',
+    },
+    {
+      key: 'upstream',
+      label: 'Upstream Provider',
+      type: 'select',
+      default: 'openai',
+      options: [
+        { value: 'aipipe', label: 'AI Pipe' },
+        { value: 'openai', label: 'OpenAI' },
+        { value: 'anthropic', label: 'Anthropic' },
+        { value: 'google', label: 'Google Gemini' },
+        { value: 'local', label: 'Local Model (server side)' },
+      ],
+    },
+  ],
+
+  // The server rebuilds the upstream request with its own key; schemas the upstream cannot
+  // take natively are turned into an instruction there
+  buildRequest({ llm, messages, tools, stream, responseSchema }) {
+    return {
+      url: `${proxyBase(llm.proxyUrl)}/api/chat`,
+      headers: authHeaders(llm.apiKey),
+      body: {
+        provider: llm.upstream || 'openai',
+        model: llm.model,
+        temperature: llm.temperature,
+        maxTokens: llm.maxTokens,
+        messages,
+        tools,
+        stream,
+        responseSchema,
+      },
+    };
+  },
+
+  parseResponse(data) {
+    if (data?.object !== PROXY_OBJECT) throw new Error('Not a proxy response.');
+    return upstreamAdapter(data.provider).parseResponse(data.data);
+  },
+
+  // Streams are passed through untouched; the header says whose format they are in
+  async readStream(resp, onDelta) {
+    const provider = resp.headers.get(PROXY_PROVIDER_HEADER);
+    const adapter = upstreamAdapter(provider);
+    if (typeof adapter.readStream !== 'function') throw new Error(`${adapter.label} does not stream.`);
+    return wrapProxyResponse(provider, await adapter.readStream(resp, onDelta));
+  },
+
+  async listModels({ apiKey, proxyUrl, upstream = 'openai' }) {
+    const data = await fetchModelList(
+      `${proxyBase(proxyUrl)}/api/models?provider=${encodeURIComponent(upstream)}`,
+      authHeaders(apiKey),
+      'Proxy server not reachable'
+    );
+    return data.models || [];
+  },
+};
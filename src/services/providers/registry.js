@@ -0,0 +1,113 @@
+/**
+ * services/providers/registry.js
+ * Provider adapter registry. Everything provider-specific (request building,
+ * response parsing, streaming, model listing, settings fields) lives in an
+ * adapter; callLLM, parseAPIResponse and the settings modal only talk to this registry.
+ */
+
+/**
+ * @typedef {Object} ProviderSettingsField
+ * @property {string} key - property on settings.llm the field reads/writes (e.g. 'baseUrl')
+ * @property {string} label
+ * @property {'text'|'url'|'password'|'number'|'select'} [type='text']
+ * @property {string} [placeholder]
+ * @property {string} [hint]
+ * @property {any} [default]
+ * @property {Array<{ value: string, label: string }>} [options] - for type 'select'
+ */
+
+/**
+ * @typedef {Object} ProviderAdapter
+ * @property {string} id - value stored in settings.llm.provider
+ * @property {string} label - shown in the #llm-provider select
+ * @property {{ tools?: boolean, vision?: boolean, streaming?: boolean, structuredOutput?: boolean, embeddings?: boolean }} capabilities -
+ *   structuredOutput: buildRequest maps ctx.responseSchema onto a native JSON mode;
+ *   embeddings: buildEmbeddingRequest/parseEmbeddingResponse are implemented
+ * @property {boolean} [requiresApiKey=true] - false for keyless providers (no demo shortcut)
+ * @property {string} [apiKeyPlaceholder]
+ * @property {Array<ProviderSettingsField>} [settingsFields] - extra settings the adapter needs
+ * @property {(ctx: { llm: Object, messages: Array<Object>, tools: Array<Object>|null, stream: boolean,
+ *   responseSchema: { name: string, schema: Object }|null }) =>
+ *   { url: string, headers?: Object, body: Object }} buildRequest - messages are in OpenAI chat format
+ * @property {(data: any) => { content: string, tool_calls?: Array<Object>, usage?: Object, finish_reason?: string }} parseResponse
+ * @property {(resp: Response, onDelta: Function) => Promise<any>} [readStream] - assembles a streamed
+ *   reply into the same shape parseResponse accepts
+ * @property {(ctx: { llm: Object, messages: Array<Object>, tools: Array<Object>|null, stream: boolean,
+ *   responseSchema: Object|null, onDelta: Function|null, signal?: AbortSignal }) => Promise<any>} [complete] -
+ *   answers without HTTP (e.g. the mock provider); replaces buildRequest/readStream
+ * @property {(llm: Object) => Promise<Array<string>>} listModels - llm holds the (unsaved) form values
+ * @property {(model: string) => boolean} [visionModel] - narrows capabilities.vision down per model
+ * @property {string} [embeddingModel] - used when settings name no embedding model
+ * @property {(ctx: { llm: Object, input: Array<string>, model: string }) =>
+ *   { url: string, headers?: Object, body: Object }} [buildEmbeddingRequest]
+ * @property {(data: any) => Array<Array<number>>} [parseEmbeddingResponse] - one vector per input, in order
+ */
+
+const adapters = new Map();
+
+/**
+ * Register (or replace) a provider adapter
+ * @param {ProviderAdapter} adapter
+ * @returns {ProviderAdapter}
+ */
+export function registerProvider(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) throw new Error('Provider adapter needs an id.');
+  const required = typeof adapter.complete === 'function' ? ['parseResponse', 'listModels'] : ['buildRequest', 'parseResponse', 'listModels'];
+  required.forEach((method) => {
+    if (typeof adapter[method] !== 'function') throw new Error(`Provider "${adapter.id}" must implement ${method}().`);
+  });
+
+  adapters.set(adapter.id, {
+    label: adapter.id,
+    requiresApiKey: true,
+    settingsFields: [],
+    ...adapter,
+    capabilities: {
+      tools: false,
+      vision: false,
+      streaming: false,
+      structuredOutput: false,
+      embeddings: false,
+      ...(adapter.capabilities || {}),
+    },
+  });
+  return adapters.get(adapter.id);
+}
+
+/**
+ * Remove a provider adapter
+ * @param {string} id
+ * @returns {boolean} whether an adapter was removed
+ */
+export function unregisterProvider(id) {
+  return adapters.delete(id);
+}
+
+/**
+ * Look up a provider adapter
+ * @param {string} id
+ * @returns {ProviderAdapter|undefined}
+ */
+export function getProvider(id) {
+  return adapters.get(id);
+}
+
+/**
+ * Whether a provider/model pair accepts images
+ * @param {string} id - provider id
+ * @param {string} [model]
+ * @returns {boolean}
+ */
+export function supportsVision(id, model = '') {
+  const adapter = adapters.get(id);
+  if (!adapter || !adapter.capabilities.vision) return false;
+  return typeof adapter.visionModel === 'function' ? adapter.visionModel(model) : true;
+}
+
+/**
+ * All registered adapters, in registration order
+ * @returns {Array<ProviderAdapter>}
+ */
+export function listProviders() {
+  return Array.from(adapters.values());
+}
@@ -0,0 +1,38 @@
+/**
+ * services/providers/vision.js
+ * Which models accept images. Adapters declare vision per provider; these patterns
+ * narrow it down per model for the providers that also serve text-only models.
+ */
+
+// Hosted models known to reject image input; anything else from a vision provider is assumed to accept it
+const TEXT_ONLY_MODELS = [
+  /gpt-3\.5/i,
+  /(^|\/)gpt-4(-0314|-0613|-32k[\w-]*)?$/i,
+  /\bo1-(mini|preview)\b|\bo3-mini\b/i,
+  /claude-(2|instant)/i,
+  /gemini-(1\.0-)?pro$/i,
+  /deepseek/i,
+  /codestral|codellama|mixtral|mistral-(7b|tiny|small|medium|large|nemo)/i,
+  /(^|\/)(meta-llama\/)?llama-?3(\.[0-1])?[\w.-]*$/i,
+];
+
+// Open-weight vision models, recognizable by name (local servers list whatever is installed)
+const OPEN_VISION_MODELS = /llava|vision|[-_.]vl\b|-vl-|moondream|minicpm-v|pixtral|gemma-?3|llama-?4|qwen2\.5vl/i;
+
+/**
+ * Whether a hosted model accepts images
+ * @param {string} model
+ * @returns {boolean}
+ */
+export function isHostedVisionModel(model = '') {
+  return !TEXT_ONLY_MODELS.some((pattern) => pattern.test(model));
+}
+
+/**
+ * Whether a locally served model accepts images
+ * @param {string} model
+ * @returns {boolean}
+ */
+export function isOpenVisionModel(model = '') {
+  return OPEN_VISION_MODELS.test(model);
+}
@@ -0,0 +1,160 @@
+/**
+ * services/sandbox.js
+ * JavaScript sandbox for the execute_code tool: every run gets a fresh Web Worker
+ * (workers/sandbox-worker.js) with no DOM, storage or network, which is terminated
+ * when the code finishes, throws, exceeds its time limit or the run is cancelled.
+ *
+ * The worker is started from a Blob inside a sandboxed iframe (opaque origin) whose
+ * Content-Security-Policy is default-src 'none'. Blob workers inherit that policy, so
+ * fetch, dynamic import() and every other network request are refused by the browser,
+ * not just removed from the global scope. Removing the iframe ends the worker.
+ */
+import { abortable, abortError } from './http.js';
+
+/** Time one run may take (wall clock, measured by the page) before its worker is terminated */
+export const SANDBOX_TIMEOUT_MS = 5000;
+
+// Bounds on what a run can send back (output, depth), and the thresholds of the worker's best-effort
+// memory guard (elements per array/Map/Set grown through their methods, characters per built string,
+// bytes per buffer, and the heap where the browser reports it). The guard is a heuristic: index
+// assignment, `length` and other built-ins are not covered. The hard bounds are SANDBOX_TIMEOUT_MS,
+// after which the worker is terminated from here, and the worker itself, whose crash on running out
+// of memory is reported as a failed run.
+const LIMITS = {
+  maxLogLines: 200,
+  maxOutputChars: 20000,
+  maxDepth: 6,
+  maxCollectionSize: 5_000_000,
+  maxStringLength: 16_000_000,
+  maxBufferBytes: 64 * 1024 * 1024,
+  maxHeapBytes: 256 * 1024 * 1024,
+};
+
+const WORKER_URL = new URL('../workers/sandbox-worker.js', import.meta.url);
+
+// Inline script of the frame plus the eval the worker compiles code with; no connect-src, img-src, ...
+// The worker is started from a blob: URL, which default-src 'none' would refuse: worker-src allows it,
+// and child-src does the same for browsers that only know CSP Level 2 (Safari before 15.5), where
+// workers fall back to child-src and then default-src. Blob workers inherit this policy.
+const FRAME_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:; child-src blob:";
+
+// Relays one run between the page (MessagePort) and a worker built from the posted source.
+// The worker says 'ready' once its script runs; an error before that means the browser refused
+// to start it (some report a blocked worker as an error event rather than by throwing).
+const FRAME_HTML = `<!doctype html>
+<meta http-equiv="Content-Security-Policy" content="${FRAME_CSP}">
+<script>
+  onmessage = (event) => {
+    const port = event.ports[0];
+    if (!port) return;
+    onmessage = null;
+    const { source, run } = event.data || {};
+    try {
+      let ready = false;
+      const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+      worker.onmessage = (e) => {
+        if (e.data?.type !== 'ready') return port.postMessage(e.data);
+        ready = true;
+        worker.postMessage(run);
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        const message = e.message || (ready ? '' : 'the browser refused to start a worker in the sandboxed frame');
+        port.postMessage({ type: 'crash', start: !ready, message });
+      };
+    } catch (err) {
+      port.postMessage({ type: 'crash', start: true, message: err.message || String(err) });
+    }
+  };
+</script>`;
+
+let workerSource = null;
+
+// The worker script as text (fetched once); the opaque-origin frame cannot load it by URL
+function loadWorkerSource() {
+  workerSource ||= fetch(WORKER_URL)
+    .then((resp) => {
+      if (!resp.ok) throw new Error(`${resp.status} ${resp.statusText}`.trim());
+      return resp.text();
+    })
+    .catch((err) => {
+      workerSource = null;
+      throw new Error(`Could not load the code sandbox: ${err.message}`);
+    });
+  return workerSource;
+}
+
+/**
+ * @typedef {Object} SandboxRun
+ * @property {boolean} ok - false when the code threw, timed out or crashed the worker
+ * @property {any} [result] - the code's value (last expression or `return`), as plain JSON
+ * @property {{ type: 'exception'|'timeout', name: string, message: string }} [error] - same shape as other
+ *   tool errors (services/tool-runner.js), so traces and the model read it alike
+ * @property {Array<{ level: 'log'|'info'|'warn'|'error'|'debug', text: string }>} logs - console output
+ * @property {number} durationMs
+ * @property {boolean} [timedOut]
+ */
+
+/**
+ * Run JavaScript in an isolated worker
+ * @param {string} code - a script (use `return` for a value) or a single expression; top-level await works
+ * @param {{ timeoutMs?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<SandboxRun>} errors in the code resolve with ok: false
+ * @throws {Error} AbortError when the signal fires; an Error when workers are unavailable
+ */
+export async function runInSandbox(code, { timeoutMs = SANDBOX_TIMEOUT_MS, signal } = {}) {
+  if (typeof Worker === 'undefined') throw new Error('Code execution needs Web Worker support.');
+  const source = await abortable(loadWorkerSource(), signal);
+  if (signal?.aborted) throw abortError();
+
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const logs = [];
+    const channel = new MessageChannel();
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.srcdoc = FRAME_HTML;
+
+    const finish = (outcome, isError = false) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      channel.port1.close();
+      frame.remove();
+      if (isError) reject(outcome);
+      else resolve({ logs, durationMs: Date.now() - started, ...outcome });
+    };
+    const onAbort = () => finish(abortError(), true);
+
+    const timer = setTimeout(
+      () =>
+        finish({
+          ok: false,
+          timedOut: true,
+          error: { type: 'timeout', name: 'TimeoutError', message: `Execution exceeded ${timeoutMs / 1000}s and was stopped.` },
+        }),
+      timeoutMs
+    );
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    channel.port1.onmessage = ({ data }) => {
+      if (data?.type === 'log') logs.push({ level: data.level, text: data.text });
+      else if (data?.type === 'done') {
+        const { ok, result, error, durationMs } = data;
+        finish(ok ? { ok, result, durationMs } : { ok, error: { type: 'exception', ...error }, durationMs });
+      } else if (data?.type === 'crash' && data.start) {
+        finish(new Error(`Could not start the code sandbox: ${data.message}`), true);
+      } else if (data?.type === 'crash') {
+        // Load failures and crashes (e.g. out of memory); errors thrown by the code arrive as 'done'
+        finish({
+          ok: false,
+          error: { type: 'exception', name: 'SandboxError', message: data.message || 'The sandbox worker crashed (out of memory?).' },
+        });
+      }
+    };
+
+    frame.onload = () =>
+      frame.contentWindow.postMessage({ source, run: { code: String(code ?? ''), limits: LIMITS } }, '*', [channel.port2]);
+    document.body.appendChild(frame);
+  });
+}
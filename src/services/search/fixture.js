@@ -0,0 +1,53 @@
+/**
+ * services/search/fixture.js
+ * Offline search from a fixture file, for demos and tests. The file holds
+ * { "entries": [{ "match"?: "<regex on the query>", "results": [...] }] }; the first
+ * matching entry answers, entries without "match" answer any query.
+ */
+import { abortable } from '../http.js';
+
+export const DEFAULT_SEARCH_FIXTURE_URL = 'fixtures/search.json';
+
+const cache = new Map();
+
+async function loadSearchFixture(source) {
+  if (cache.has(source)) return cache.get(source);
+  let fixture;
+  try {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    fixture = await response.json();
+    if (!Array.isArray(fixture?.entries)) throw new Error('expected an object with an "entries" array');
+  } catch (err) {
+    throw new Error(`Could not load search fixture "${source}": ${err.message || err}`);
+  }
+  cache.set(source, fixture);
+  return fixture;
+}
+
+export default {
+  id: 'fixture',
+  label: 'Offline Fixture',
+  settingsFields: [
+    {
+      key: 'searchFixtureUrl',
+      label: 'Fixture File',
+      placeholder: DEFAULT_SEARCH_FIXTURE_URL,
+      default: DEFAULT_SEARCH_FIXTURE_URL,
+      hint: 'Canned results for offline use; see fixtures/search.json for the format.',
+    },
+  ],
+
+  async search(query, { count, settings, signal }) {
+    const fixture = await abortable(loadSearchFixture(settings.searchFixtureUrl || DEFAULT_SEARCH_FIXTURE_URL), signal);
+    const entry = fixture.entries.find((e) => {
+      if (!e.match) return true;
+      try {
+        return new RegExp(e.match, 'i').test(query);
+      } catch (_) {
+        return false;
+      }
+    });
+    return (entry?.results || []).slice(0, count);
+  },
+};
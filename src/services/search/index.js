@@ -0,0 +1,13 @@
+/**
+ * services/search/index.js
+ * Registers the built-in search backends and re-exports the registry API.
+ */
+import { registerSearchBackend } from './registry.js';
+import searxng from './searxng.js';
+import jsonEndpoint from './json-endpoint.js';
+import fixture from './fixture.js';
+
+// Registration order is the order of the #search-backend select
+[fixture, searxng, jsonEndpoint].forEach((backend) => registerSearchBackend(backend));
+
+export { registerSearchBackend, getSearchBackend, listSearchBackends, normalizeResults } from './registry.js';
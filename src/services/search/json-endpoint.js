@@ -0,0 +1,59 @@
+/**
+ * services/search/json-endpoint.js
+ * Any search API that answers GET requests with JSON: the URL is a template with
+ * {query} and {count} placeholders, results are found by path (or guessed), and common
+ * field names are mapped onto title / url / snippet.
+ */
+import { fetchWithRetry } from '../http.js';
+
+const TITLE_FIELDS = ['title', 'name', 'headline'];
+const URL_FIELDS = ['url', 'link', 'href', 'uri'];
+const SNIPPET_FIELDS = ['snippet', 'content', 'description', 'summary', 'text', 'body'];
+
+const pick = (item, fields) => fields.map((f) => item?.[f]).find((v) => typeof v === 'string' && v);
+
+// 'data.web.results' -> data.web.results; without a path the first array found at the top level
+function resultsAt(data, path) {
+  if (path) return path.split('.').reduce((value, key) => value?.[key], data);
+  if (Array.isArray(data)) return data;
+  return ['results', 'items', 'data', 'hits', 'value'].map((k) => data?.[k]).find(Array.isArray) || [];
+}
+
+export default {
+  id: 'json',
+  label: 'JSON Search Endpoint',
+  settingsFields: [
+    {
+      key: 'endpointUrl',
+      label: 'Endpoint URL',
+      type: 'url',
+      placeholder: 'https://search.example.com/api?q={query}&limit={count}',
+      hint: '{query} and {count} are filled in; without {query} the query is sent as ?q=.',
+    },
+    { key: 'endpointKey', label: 'API Key', type: 'password', placeholder: 'Optional', hint: 'Sent as "Authorization: Bearer <key>".' },
+    {
+      key: 'endpointResultsPath',
+      label: 'Results Path',
+      placeholder: 'results',
+      hint: 'Where the result list is in the response, e.g. data.items. Leave empty to detect it.',
+    },
+  ],
+
+  async search(query, { count, settings, signal }) {
+    const template = String(settings.endpointUrl || '').trim();
+    if (!template) throw new Error('Set the search endpoint URL in settings (Tools tab).');
+    let url = template.replace(/\{query\}/g, encodeURIComponent(query)).replace(/\{count\}/g, String(count));
+    if (!template.includes('{query}')) url += `${url.includes('?') ? '&' : '?'}q=${encodeURIComponent(query)}`;
+
+    const headers = { Accept: 'application/json', ...(settings.endpointKey ? { Authorization: `Bearer ${settings.endpointKey}` } : {}) };
+    const response = await fetchWithRetry(url, { headers }, { retries: 1, timeout: 15000, signal });
+    if (!response.ok) throw new Error(`Search endpoint answered ${response.status} ${response.statusText}.`);
+    const items = resultsAt(await response.json(), String(settings.endpointResultsPath || '').trim());
+    if (!Array.isArray(items)) throw new Error(`No result list at "${settings.endpointResultsPath}" in the response.`);
+    return items.slice(0, count).map((item) => ({
+      title: pick(item, TITLE_FIELDS),
+      url: pick(item, URL_FIELDS),
+      snippet: pick(item, SNIPPET_FIELDS),
+    }));
+  },
+};
@@ -0,0 +1,107 @@
+/**
+ * services/search/registry.js
+ * Search backend registry behind the web_search tool. A backend turns a query into
+ * results ({ title, url, snippet }); its settings fields are generated into the Tools
+ * tab the same way provider fields are (see providers/registry.js).
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} title
+ * @property {string} url - http(s) only
+ * @property {string} snippet
+ */
+
+/**
+ * @typedef {Object} SearchBackend
+ * @property {string} id - value stored in settings.search.backend
+ * @property {string} label - shown in the #search-backend select
+ * @property {Array<import('../providers/registry.js').ProviderSettingsField>} [settingsFields] - keys are
+ *   properties of settings.search, so they must be unique across backends
+ * @property {(query: string, ctx: { count: number, settings: Object, signal?: AbortSignal }) =>
+ *   Promise<Array<Partial<SearchResult>>>} search - settings is settings.search
+ */
+
+const MAX_SNIPPET = 500;
+
+const backends = new Map();
+
+/**
+ * Register (or replace) a search backend
+ * @param {SearchBackend} backend
+ * @returns {SearchBackend}
+ */
+export function registerSearchBackend(backend) {
+  if (!backend || typeof backend.id !== 'string' || !backend.id) throw new Error('Search backend needs an id.');
+  if (typeof backend.search !== 'function') throw new Error(`Search backend "${backend.id}" must implement search().`);
+  backends.set(backend.id, { label: backend.id, settingsFields: [], ...backend });
+  return backends.get(backend.id);
+}
+
+/**
+ * Look up a search backend
+ * @param {string} id
+ * @returns {SearchBackend|undefined}
+ */
+export function getSearchBackend(id) {
+  return backends.get(id);
+}
+
+/**
+ * All registered backends, in registration order
+ * @returns {Array<SearchBackend>}
+ */
+export function listSearchBackends() {
+  return Array.from(backends.values());
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// One pass, so "&amp;lt;" becomes "&lt;" and not "<"; unknown or invalid entities stay as written
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity;
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+}
+
+// Backends return titles and snippets with markup (highlighting tags, sometimes worse) and
+// HTML entities; the result is plain text, escaped once where it is displayed
+const plainText = (value) =>
+  decodeEntities(
+    String(value ?? '')
+      .replace(/<[^<>]*>/g, '')
+      .replace(/[<>]/g, '')
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Clean up backend results: http(s) URLs only, no duplicates, plain-text titles and short snippets
+ * @param {Array<Object>} items
+ * @param {number} count - at most this many
+ * @returns {Array<SearchResult>}
+ */
+export function normalizeResults(items, count) {
+  const seen = new Set();
+  const results = [];
+  for (const item of items || []) {
+    let url;
+    try {
+      url = new URL(String(item?.url || ''));
+    } catch (_) {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || seen.has(url.href)) continue;
+    seen.add(url.href);
+    const snippet = plainText(item.snippet);
+    results.push({
+      title: plainText(item.title) || url.hostname,
+      url: url.href,
+      snippet: snippet.length > MAX_SNIPPET ? `${snippet.slice(0, MAX_SNIPPET)}…` : snippet,
+    });
+    if (results.length >= count) break;
+  }
+  return results;
+}
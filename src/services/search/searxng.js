@@ -0,0 +1,30 @@
+/**
+ * services/search/searxng.js
+ * Self-hosted SearxNG instance, queried through its JSON API (/search?format=json).
+ */
+import { fetchWithRetry } from '../http.js';
+
+export default {
+  id: 'searxng',
+  label: 'SearxNG',
+  settingsFields: [
+    {
+      key: 'searxngUrl',
+      label: 'SearxNG URL',
+      type: 'url',
+      placeholder: 'http://localhost:8888',
+      hint: 'The instance must allow the json format (search.formats in settings.yml) and requests from this page (CORS).',
+    },
+  ],
+
+  async search(query, { count, settings, signal }) {
+    const base = String(settings.searxngUrl || '').trim().replace(/\/+$/, '');
+    if (!base) throw new Error('Set the SearxNG URL in settings (Tools tab).');
+    const url = `${base}/search?${new URLSearchParams({ q: query, format: 'json' })}`;
+    const response = await fetchWithRetry(url, { headers: { Accept: 'application/json' } }, { retries: 1, timeout: 15000, signal });
+    if (response.status === 403) throw new Error('SearxNG refused the JSON format; enable "json" under search.formats.');
+    if (!response.ok) throw new Error(`SearxNG answered ${response.status} ${response.statusText}.`);
+    const data = await response.json();
+    return (data.results || []).slice(0, count).map((r) => ({ title: r.title, url: r.url, snippet: r.content }));
+  },
+};
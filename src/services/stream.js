@@ -0,0 +1,80 @@
+/**
+ * services/stream.js
+ * Server-Sent Events reader used by the streaming LLM paths.
+ */
+
+/**
+ * Read an SSE response body and hand every `data:` payload to onEvent.
+ * JSON payloads are parsed; anything else is passed through as a string.
+ * The OpenAI-style `[DONE]` sentinel ends the stream early.
+ * @param {Response} resp - fetch Response with a readable body
+ * @param {(data: any, event: string) => void} onEvent
+ * @returns {Promise<void>}
+ */
+export async function readSSE(resp, onEvent) {
+  if (!resp.body || typeof resp.body.getReader !== 'function') {
+    throw new Error('Streaming is not supported by this browser.');
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = 'message';
+  let dataLines = [];
+
+  // Returns true once the [DONE] sentinel has been seen.
+  const dispatch = () => {
+    if (!dataLines.length) {
+      eventName = 'message';
+      return false;
+    }
+    const raw = dataLines.join('\n');
+    const name = eventName;
+    dataLines = [];
+    eventName = 'message';
+
+    if (raw === '[DONE]') return true;
+
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch (_) {}
+    onEvent(data, name);
+    return false;
+  };
+
+  const processLine = (line) => {
+    if (line.endsWith('\r')) line = line.slice(0, -1);
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return false; // comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') eventName = value;
+    return false;
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (processLine(line)) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) processLine(buffer);
+  dispatch();
+}
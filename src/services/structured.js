@@ -0,0 +1,147 @@
+/**
+ * services/structured.js
+ * Structured output: JSON Schemas attached to a conversation or a single prompt,
+ * the instruction sent to providers without a native JSON mode, client-side
+ * validation of replies and the follow-up turn that asks the model to repair them.
+ * Saved schema templates live in localStorage.
+ */
+import { validateJSON } from '../utils/json-schema.js';
+
+const STORAGE_KEY = 'agentflow_schema_templates';
+
+// Follow-up turns spent on an invalid reply before it is kept as-is
+export const MAX_SCHEMA_REPAIRS = 2;
+
+// Validation errors quoted back to the model (and shown in notices)
+const MAX_REPORTED_ERRORS = 8;
+
+/**
+ * @typedef {Object} ResponseSchema
+ * @property {string} name - shown in the UI; sanitized for providers that need an identifier
+ * @property {Object} schema - JSON Schema the reply must satisfy
+ */
+
+/**
+ * Provider-safe schema name (OpenAI allows [a-zA-Z0-9_-], up to 64 characters)
+ * @param {string} name
+ * @returns {string}
+ */
+export function schemaIdentifier(name) {
+  return (String(name || '').replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'response').slice(0, 64);
+}
+
+/**
+ * System message describing the expected JSON, for providers without a native structured mode
+ * @param {ResponseSchema} responseSchema
+ * @returns {{ role: 'system', content: string }}
+ */
+export function schemaInstruction({ name, schema }) {
+  return {
+    role: 'system',
+    content:
+      `Reply with a single JSON value named "${name}" that validates against this JSON Schema. ` +
+      `Output only the JSON: no prose and no code fences.\n${JSON.stringify(schema)}`,
+  };
+}
+
+/**
+ * Chat messages with the schema instruction inserted after the leading system messages
+ * @param {Array<Object>} messages - OpenAI chat format
+ * @param {ResponseSchema} responseSchema
+ * @returns {Array<Object>}
+ */
+export function withSchemaInstruction(messages, responseSchema) {
+  const firstOther = messages.findIndex((m) => m.role !== 'system');
+  const at = firstOther === -1 ? messages.length : firstOther;
+  return [...messages.slice(0, at), schemaInstruction(responseSchema), ...messages.slice(at)];
+}
+
+/**
+ * Pull the JSON out of a reply; tolerates code fences and prose around a single object/array
+ * @param {string} text
+ * @returns {{ ok: true, value: any } | { ok: false, error: string }}
+ */
+export function extractJSON(text) {
+  const raw = String(text ?? '').trim();
+  const fenced = raw.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1].trim() : raw];
+
+  const start = raw.search(/[[{]/);
+  const end = Math.max(raw.lastIndexOf('}'), raw.lastIndexOf(']'));
+  if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+
+  let error = 'the reply is empty';
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch (e) {
+      error = `the reply is not valid JSON (${e.message})`;
+    }
+  }
+  return { ok: false, error };
+}
+
+/**
+ * Parse and validate a reply against a schema
+ * @param {string} text
+ * @param {Object} schema
+ * @returns {{ ok: boolean, value?: any, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateReply(text, schema) {
+  const parsed = extractJSON(text);
+  if (!parsed.ok) return { ok: false, errors: [{ path: '$', message: parsed.error }] };
+  const errors = validateJSON(parsed.value, schema);
+  return { ok: errors.length === 0, value: parsed.value, errors };
+}
+
+/**
+ * Human-readable list of validation errors
+ * @param {Array<{ path: string, message: string }>} errors
+ * @returns {string}
+ */
+export function describeSchemaErrors(errors) {
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `${e.path} ${e.message}`);
+  if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more`);
+  return shown.join('; ');
+}
+
+/**
+ * Follow-up user turn asking the model to fix a reply that failed validation
+ * @param {Array<{ path: string, message: string }>} errors
+ * @param {ResponseSchema} responseSchema
+ * @returns {{ role: 'user', content: string }}
+ */
+export function repairMessage(errors, { schema }) {
+  return {
+    role: 'user',
+    content:
+      `Your previous reply does not validate against the required JSON Schema: ${describeSchemaErrors(errors)}.\n` +
+      `Reply again with only the corrected JSON, no explanations.\nSchema: ${JSON.stringify(schema)}`,
+  };
+}
+
+/**
+ * Saved schema templates
+ * @returns {Array<{ id: string, name: string, schema: Object, prompt?: string }>}
+ */
+export function loadSchemaTemplates() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Persist schema templates
+ * @param {Array<Object>} templates
+ */
+export function saveSchemaTemplates(templates) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  } catch (e) {
+    console.warn('Could not save schema templates', e);
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * services/tool-policy.js
+ * Per-tool approval policies: run without asking, ask the user every time, or refuse.
+ * Refusals are returned to the model as the tool's result so it can change course.
+ */
+import { toolErrorResult } from './tool-runner.js';
+
+/** Policy values, in the order the settings select lists them */
+export const TOOL_POLICIES = ['allow', 'ask', 'deny'];
+
+/**
+ * Policy for a tool; tools without one (e.g. newly added) fall back to the default policy
+ * @param {{ policies?: Object<string, string>, defaultPolicy?: string }} settings - settings.tools
+ * @param {string} name
+ * @returns {'allow'|'ask'|'deny'}
+ */
+export function toolPolicy(settings, name) {
+  const policy = settings?.policies?.[name] || settings?.defaultPolicy;
+  return TOOL_POLICIES.includes(policy) ? policy : 'ask';
+}
+
+/**
+ * Tool result telling the model a call was refused
+ * @param {string} name
+ * @param {{ byPolicy?: boolean, reason?: string }} [info] - byPolicy: refused by settings, not by a decision
+ * @returns {{ error: { type: 'denied', message: string } }}
+ */
+export function deniedToolResult(name, { byPolicy = false, reason = '' } = {}) {
+  const why = byPolicy
+    ? `The user has disabled the ${name} tool. Do not call it again in this conversation.`
+    : `The user denied this ${name} call.${reason ? ` Their reason: ${reason}` : ''}`;
+  return toolErrorResult('denied', `${why} Continue without it, try a different approach, or ask the user how to proceed.`);
+}
@@ -0,0 +1,87 @@
+/**
+ * services/tool-registry.js
+ * Tool registry: the single source of the tools offered to the model (request body)
+ * and of the handlers tool calls are dispatched to. Built-in tools are registered by
+ * the app at startup; custom tools through window.agentFlow.registerTool().
+ */
+import { assertSchema } from '../utils/json-schema.js';
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - what the model calls; letters, digits, _ and - (at most 64)
+ * @property {string} description - tells the model when to use the tool
+ * @property {Object} parameters - JSON Schema of the arguments (type "object")
+ * @property {(args: Object, context: { signal: AbortSignal, conversationId: string }) => any} handler -
+ *   receives validated arguments; its (awaited) return value is sent to the model as the result.
+ *   Long-running handlers should honour context.signal (Stop and timeouts).
+ * @property {boolean} [builtin] - shipped with the app; cannot be unregistered
+ * @property {string} [source] - where a non-built-in tool comes from, shown in settings (e.g. 'MCP: files')
+ */
+
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const tools = new Map();
+
+/**
+ * Register a tool
+ * @param {ToolDefinition} definition
+ * @returns {ToolDefinition}
+ * @throws {Error} when the definition is incomplete, its schema is invalid or the name is taken
+ */
+export function registerTool(definition) {
+  const { name, description, parameters, handler, builtin = false, source } = definition || {};
+  if (typeof name !== 'string' || !TOOL_NAME.test(name)) {
+    throw new Error('Tool name must be 1-64 letters, digits, underscores or hyphens.');
+  }
+  if (tools.has(name)) throw new Error(`A tool named "${name}" is already registered.`);
+  if (typeof description !== 'string' || !description.trim()) throw new Error(`Tool "${name}" needs a description.`);
+  if (typeof handler !== 'function') throw new Error(`Tool "${name}" needs a handler function.`);
+  if (!parameters || parameters.type !== 'object') throw new Error(`Tool "${name}": parameters must be a schema of type "object".`);
+  try {
+    assertSchema(parameters);
+  } catch (e) {
+    throw new Error(`Tool "${name}": invalid parameters schema (${e.message})`);
+  }
+
+  const tool = { name, description: description.trim(), parameters, handler, builtin: !!builtin };
+  if (source) tool.source = String(source);
+  tools.set(name, tool);
+  return tool;
+}
+
+/**
+ * Remove a custom tool
+ * @param {string} name
+ * @returns {boolean} whether a tool was removed
+ * @throws {Error} for built-in tools (disable them in settings instead)
+ */
+export function unregisterTool(name) {
+  if (tools.get(name)?.builtin) throw new Error(`"${name}" is a built-in tool; disable it in settings instead.`);
+  return tools.delete(name);
+}
+
+/**
+ * Look up a tool
+ * @param {string} name
+ * @returns {ToolDefinition|undefined}
+ */
+export function getTool(name) {
+  return tools.get(name);
+}
+
+/**
+ * All registered tools, in registration order
+ * @returns {Array<ToolDefinition>}
+ */
+export function listTools() {
+  return Array.from(tools.values());
+}
+
+/**
+ * Tools in the shape sent to providers (OpenAI function tools)
+ * @param {Array<ToolDefinition>} list
+ * @returns {Array<{ type: 'function', function: { name: string, description: string, parameters: Object } }>}
+ */
+export function toolDefinitions(list) {
+  return list.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+}
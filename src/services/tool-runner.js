@@ -0,0 +1,159 @@
+/**
+ * services/tool-runner.js
+ * Running tool calls independently: argument parsing and schema validation, a
+ * concurrency limit, per-call timeouts, and failures turned into structured results
+ * the model can read (`{ error: { type, message } }`) instead of exceptions.
+ */
+import { isAbortError } from './http.js';
+import { validateJSON } from '../utils/json-schema.js';
+
+/**
+ * @typedef {'invalid_arguments'|'unknown_tool'|'timeout'|'denied'|'exception'} ToolErrorType
+ */
+
+/**
+ * Error carrying a ToolErrorType
+ * @param {ToolErrorType} type
+ * @param {string} message
+ * @param {Object} [details] - extra fields for the result (e.g. validation errors)
+ * @returns {Error}
+ */
+export function toolError(type, message, details) {
+  const error = new Error(message);
+  error.type = type;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Tool result reporting a failure to the model
+ * @param {ToolErrorType} type
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {{ error: { type: ToolErrorType, message: string } }}
+ */
+export function toolErrorResult(type, message, details) {
+  return { error: { type, message, ...(details || {}) } };
+}
+
+/**
+ * Structured result for anything a tool threw; errors without a type count as exceptions
+ * @param {any} err
+ * @returns {{ error: { type: ToolErrorType, message: string } }}
+ */
+export function toToolErrorResult(err) {
+  return toolErrorResult(err?.type || 'exception', err?.message || String(err), err?.details);
+}
+
+/**
+ * Whether a tool result reports a failure
+ * @param {any} result
+ * @returns {boolean}
+ */
+export function isToolError(result) {
+  return !!result && typeof result === 'object' && !!result.error;
+}
+
+/**
+ * Parse a tool call's arguments (a JSON string from most providers, an object from some)
+ * @param {Object} toolCall - normalized { id, function: { name, arguments } }
+ * @returns {Object}
+ * @throws {Error} type 'invalid_arguments' when they are not a JSON object
+ */
+export function parseToolArguments(toolCall) {
+  const raw = toolCall.function?.arguments ?? toolCall.arguments;
+  let args = raw;
+  if (typeof raw === 'string') {
+    try {
+      args = raw.trim() ? JSON.parse(raw) : {};
+    } catch (e) {
+      throw toolError('invalid_arguments', `Arguments are not valid JSON (${e.message}). Send them as a JSON object.`);
+    }
+  }
+  if (args === undefined || args === null) return {};
+  if (typeof args !== 'object' || Array.isArray(args)) {
+    throw toolError('invalid_arguments', 'Arguments must be a JSON object.');
+  }
+  return args;
+}
+
+/**
+ * Check arguments against a tool's declared parameters schema
+ * @param {Object} args
+ * @param {Object} [schema] - the tool's `parameters`
+ * @throws {Error} type 'invalid_arguments' listing what does not match
+ */
+export function validateToolArguments(args, schema) {
+  if (!schema) return;
+  const errors = validateJSON(args, schema);
+  if (!errors.length) return;
+  const shown = errors.slice(0, 10);
+  throw toolError(
+    'invalid_arguments',
+    `Arguments do not match the tool's schema: ${shown.map((e) => `${e.path} ${e.message}`).join('; ')}`,
+    { errors: shown }
+  );
+}
+
+/**
+ * Limit how many tasks run at once; further tasks wait for a free slot, in call order
+ * @param {number} max
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+export function createLimiter(max) {
+  const limit = Math.max(1, max || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Run a task with its own abort signal, cancelled by the parent signal or after timeoutMs
+ * @param {(signal: AbortSignal) => Promise<any>} task - must honour the signal
+ * @param {{ timeoutMs?: number, signal?: AbortSignal }} [options] - no timeout when timeoutMs is 0
+ * @returns {Promise<any>}
+ * @throws {Error} type 'timeout' when the time ran out; the parent's AbortError when cancelled
+ */
+export async function runWithTimeout(task, { timeoutMs = 0, signal } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  let timedOut = false;
+  const timer =
+    timeoutMs > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+      : null;
+
+  try {
+    return await task(controller.signal);
+  } catch (err) {
+    if (timedOut && isAbortError(err)) throw toolError('timeout', `Timed out after ${timeoutMs / 1000}s.`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * services/trace.js
+ * Agent run traces: every LLM call and tool execution of one agent run, in order,
+ * with timing, tool calls, arguments, results and errors. A finished trace is kept
+ * on the run's last message (and saved with the conversation).
+ */
+
+// Long replies and tool results are cut so saved conversations stay small
+const MAX_TEXT = 4000;
+
+/** Upper bound for the per-conversation step budget */
+export const MAX_STEP_BUDGET = 50;
+
+/**
+ * @typedef {Object} TraceStep
+ * @property {number} index - 1-based position in the run
+ * @property {'llm'|'tool'|'repair'} type - repair: hidden structured-output fix-up call
+ * @property {'running'|'ok'|'error'|'aborted'|'denied'} status - denied: refused by policy or by the user
+ * @property {number} startedAt
+ * @property {number} [durationMs]
+ * @property {string} [error]
+ * @property {string} [provider] - llm/repair: who answered
+ * @property {string} [model]
+ * @property {boolean} [fallback] - llm/repair: answered by a fallback provider
+ * @property {Array<Object>} [retries] - llm: automatic retries { attempt, delayMs, reason }
+ * @property {Array<Object>} [fallbacks] - llm: providers given up on { from, to, error }
+ * @property {string} [finishReason]
+ * @property {string} [content] - llm/repair: reply text (clipped)
+ * @property {Array<{ id: string, name: string, arguments: any }>} [toolCalls] - llm: requested tools
+ * @property {Object} [usage]
+ * @property {string} [name] - tool: tool name
+ * @property {string} [callId] - tool: id of the tool call it answers
+ * @property {any} [arguments] - tool: parsed arguments (as run, after any edits by the user)
+ * @property {string} [approval] - tool: how it was approved or refused, when its policy is not 'allow'
+ * @property {any} [result] - tool: result (clipped)
+ */
+
+/**
+ * @typedef {Object} Trace
+ * @property {string} id
+ * @property {string} conversationId
+ * @property {number} maxSteps - step budget of the run (LLM calls of the agent loop)
+ * @property {'running'|'done'|'budget'|'error'|'stopped'} status - budget: ran out of steps
+ * @property {string} [reason] - why the run ended early
+ * @property {number} startedAt
+ * @property {number} [durationMs]
+ * @property {Array<TraceStep>} steps
+ */
+
+/**
+ * Cut long strings (and large values, as JSON) down to MAX_TEXT characters
+ * @param {any} value
+ * @returns {any}
+ */
+export function clip(value) {
+  if (value === undefined || value === null) return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_TEXT ? `${value.slice(0, MAX_TEXT)}… [${value.length - MAX_TEXT} more characters]` : value;
+  }
+  const json = JSON.stringify(value);
+  return json && json.length > MAX_TEXT ? clip(json) : value;
+}
+
+/**
+ * Arguments of a tool call as an object; unparsable JSON is kept as the raw string
+ * @param {Object} toolCall - normalized { id, function: { name, arguments } }
+ * @returns {any}
+ */
+export function toolCallArguments(toolCall) {
+  const raw = toolCall.function?.arguments ?? toolCall.arguments;
+  if (typeof raw !== 'string') return raw ?? {};
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    return raw;
+  }
+}
+
+/**
+ * Start the trace of an agent run
+ * @param {{ conversationId: string, maxSteps: number }} info
+ * @returns {Trace}
+ */
+export function createTrace({ conversationId, maxSteps }) {
+  const startedAt = Date.now();
+  return {
+    id: `trace-${startedAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    conversationId,
+    maxSteps,
+    status: 'running',
+    startedAt,
+    steps: [],
+  };
+}
+
+/**
+ * Append a running step
+ * @param {Trace} trace
+ * @param {TraceStep['type']} type
+ * @param {Object} [fields]
+ * @returns {TraceStep}
+ */
+export function startStep(trace, type, fields = {}) {
+  const step = { index: trace.steps.length + 1, type, status: 'running', startedAt: Date.now(), ...fields };
+  trace.steps.push(step);
+  return step;
+}
+
+/**
+ * Complete a step; it counts as failed when fields carry an error
+ * @param {TraceStep} step
+ * @param {Object} [fields]
+ * @returns {TraceStep}
+ */
+export function endStep(step, fields = {}) {
+  Object.assign(step, fields);
+  step.durationMs = Date.now() - step.startedAt;
+  if (step.status === 'running') step.status = step.error ? 'error' : 'ok';
+  return step;
+}
+
+/**
+ * Complete a step with an error (cancellations are marked aborted)
+ * @param {TraceStep} step
+ * @param {any} error
+ * @returns {TraceStep}
+ */
+export function failStep(step, error) {
+  const aborted = error?.name === 'AbortError';
+  return endStep(step, { status: aborted ? 'aborted' : 'error', error: aborted ? 'Stopped' : error?.message || String(error) });
+}
+
+/**
+ * Close a trace; steps still running (e.g. interrupted tools) are marked aborted
+ * @param {Trace} trace
+ * @param {Trace['status']} status
+ * @param {string} [reason]
+ * @returns {Trace}
+ */
+export function finishTrace(trace, status, reason) {
+  trace.steps.filter((s) => s.status === 'running').forEach((s) => endStep(s, { status: 'aborted' }));
+  trace.status = status;
+  if (reason) trace.reason = reason;
+  trace.durationMs = Date.now() - trace.startedAt;
+  return trace;
+}
+
+/**
+ * Counts for a trace's summary line
+ * @param {Trace} trace
+ * @returns {{ llmCalls: number, toolCalls: number, errors: number, promptTokens: number, completionTokens: number }}
+ */
+export function summarizeTrace(trace) {
+  const steps = trace.steps || [];
+  return {
+    llmCalls: steps.filter((s) => s.type !== 'tool').length,
+    toolCalls: steps.filter((s) => s.type === 'tool').length,
+    errors: steps.filter((s) => s.status === 'error').length,
+    promptTokens: steps.reduce((sum, s) => sum + (s.usage?.prompt_tokens || 0), 0),
+    completionTokens: steps.reduce((sum, s) => sum + (s.usage?.completion_tokens || 0), 0),
+  };
+}
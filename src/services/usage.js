@@ -0,0 +1,165 @@
+/**
+ * services/usage.js
+ * Token usage ledger: one record per LLM call, persisted in localStorage,
+ * with running totals per conversation, model and day and a CSV export.
+ */
+import { estimateCost } from './pricing.js';
+
+const STORAGE_KEY = 'agentflow_usage';
+
+// Oldest records are dropped past this many to keep localStorage small
+const MAX_RECORDS = 5000;
+
+/**
+ * Local calendar day of a timestamp, as YYYY-MM-DD
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function dayKey(timestamp = Date.now()) {
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Read the persisted usage records
+ * @returns {Array<Object>}
+ */
+export function loadUsageLog() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Persist usage records (trimmed to MAX_RECORDS, in place)
+ * @param {Array<Object>} records
+ */
+export function saveUsageLog(records) {
+  if (records.length > MAX_RECORDS) records.splice(0, records.length - MAX_RECORDS);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (e) {
+    console.warn('Could not save usage log', e);
+  }
+}
+
+/**
+ * Build a usage record for one LLM call
+ * @param {Object} params
+ * @param {{ prompt_tokens: number, completion_tokens: number, total_tokens?: number }} params.usage
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {string} [params.conversationId]
+ * @param {string} [params.messageId]
+ * @param {string} [params.kind='chat'] - 'chat' for replies, 'summary' for context compaction, 'repair' for schema fixes
+ * @returns {Object}
+ */
+export function createUsageRecord({ usage, provider, model, conversationId, messageId, kind = 'chat' }) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    timestamp: Date.now(),
+    conversationId: conversationId || null,
+    messageId: messageId || null,
+    kind,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens,
+    cost: estimateCost(usage, model, provider),
+  };
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.calls += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  if (typeof record.cost === 'number') totals.cost += record.cost;
+  else totals.unpriced += 1; // calls to models without a known price
+  return totals;
+}
+
+/**
+ * Running totals over the ledger
+ * @param {Array<Object>} records
+ * @param {{ conversationId?: string }} [options]
+ * @returns {{ total: Object, conversation: Object, today: Object,
+ *   byModel: Array<Object>, byDay: Array<Object> }} byModel is sorted by tokens, byDay newest first
+ */
+export function summarizeUsage(records, { conversationId } = {}) {
+  const today = dayKey();
+  const summary = { total: emptyTotals(), conversation: emptyTotals(), today: emptyTotals(), byModel: [], byDay: [] };
+  const models = new Map();
+  const days = new Map();
+
+  records.forEach((record) => {
+    const day = dayKey(record.timestamp);
+    const modelKey = `${record.provider}:${record.model}`;
+
+    addToTotals(summary.total, record);
+    if (conversationId && record.conversationId === conversationId) addToTotals(summary.conversation, record);
+    if (day === today) addToTotals(summary.today, record);
+
+    if (!models.has(modelKey)) models.set(modelKey, { provider: record.provider, model: record.model, ...emptyTotals() });
+    addToTotals(models.get(modelKey), record);
+    if (!days.has(day)) days.set(day, { day, ...emptyTotals() });
+    addToTotals(days.get(day), record);
+  });
+
+  summary.byModel = Array.from(models.values()).sort((a, b) => b.totalTokens - a.totalTokens);
+  summary.byDay = Array.from(days.values()).sort((a, b) => (a.day < b.day ? 1 : -1));
+  return summary;
+}
+
+// Quote a CSV field when it contains a separator, quote or newline
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Usage records as CSV, one row per LLM call
+ * @param {Array<Object>} records
+ * @param {Object<string, string>} [conversationTitles] - conversation id -> title
+ * @returns {string}
+ */
+export function usageToCSV(records, conversationTitles = {}) {
+  const header = [
+    'timestamp',
+    'date',
+    'conversation_id',
+    'conversation_title',
+    'message_id',
+    'kind',
+    'provider',
+    'model',
+    'prompt_tokens',
+    'completion_tokens',
+    'total_tokens',
+    'cost_usd',
+  ];
+  const rows = records.map((r) => [
+    new Date(r.timestamp).toISOString(),
+    dayKey(r.timestamp),
+    r.conversationId,
+    conversationTitles[r.conversationId] || '',
+    r.messageId,
+    r.kind,
+    r.provider,
+    r.model,
+    r.promptTokens,
+    r.completionTokens,
+    r.totalTokens,
+    typeof r.cost === 'number' ? r.cost.toFixed(6) : '',
+  ]);
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n');
+}
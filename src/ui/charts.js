@@ -0,0 +1,269 @@
+/**
+ * ui/charts.js
+ * Inline SVG charts for create_visualization results (line, bar, area, pie, scatter),
+ * drawn from the ChartSpec saved on the tool message (see services/chart-data.js), and
+ * their export as SVG or PNG. Text and axes use currentColor so charts follow the theme;
+ * hovering a point, bar or slice shows its value (SVG <title>).
+ */
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const MARGIN = { top: 16, right: 16, bottom: 44, left: 56 };
+const PALETTE = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#a855f7', '#84cc16', '#ec4899'];
+
+// Exported files get a solid background and fixed text color (currentColor has no theme there)
+const EXPORT_COLORS = { background: '#ffffff', text: '#1f2937' };
+
+// Text for SVG markup (no DOM needed)
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 1234.5 -> '1,234.5'; large and tiny values get compact notation
+function formatNumber(n) {
+  if (typeof n !== 'number' || !Number.isFinite(n)) return '';
+  const abs = Math.abs(n);
+  if (abs >= 1e6 || (abs > 0 && abs < 1e-3)) return n.toExponential(1);
+  return n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+// Round tick values covering [min, max]
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    [min, max] = [min - pad, max + pad];
+  }
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= raw) || raw;
+  const start = Math.floor(min / step) * step;
+  const ticks = [];
+  for (let v = start; v <= max + step * 1e-9; v += step) ticks.push(+v.toFixed(10));
+  if (ticks[ticks.length - 1] < max) ticks.push(+(ticks[ticks.length - 1] + step).toFixed(10));
+  return ticks;
+}
+
+function linear([d0, d1], [r0, r1]) {
+  return (v) => (d1 === d0 ? (r0 + r1) / 2 : r0 + ((v - d0) / (d1 - d0)) * (r1 - r0));
+}
+
+const color = (i) => PALETTE[i % PALETTE.length];
+
+function renderLegend(series) {
+  if (series.length < 2) return '';
+  return `<div class="chart-legend">${series
+    .map((s, i) => `<span class="chart-legend-item"><i style="background:${color(i)}"></i>${esc(s.name)}</span>`)
+    .join('')}</div>`;
+}
+
+// Shared frame of the cartesian charts: y grid with labels, x labels, axis titles
+function renderAxes(spec, { yScale, yTicks, xTicks }) {
+  const left = MARGIN.left;
+  const right = WIDTH - MARGIN.right;
+  const bottom = HEIGHT - MARGIN.bottom;
+  const grid = yTicks
+    .map(
+      (t) => `<line x1="${left}" x2="${right}" y1="${yScale(t)}" y2="${yScale(t)}" stroke="currentColor" stroke-opacity="0.12" />
+      <text x="${left - 8}" y="${yScale(t)}" text-anchor="end" dominant-baseline="middle">${esc(formatNumber(t))}</text>`
+    )
+    .join('');
+  const xLabels = xTicks
+    .map(({ x, label }) => `<text x="${x}" y="${bottom + 16}" text-anchor="middle">${esc(label)}</text>`)
+    .join('');
+  const titles = `${
+    spec.xLabel ? `<text x="${(left + right) / 2}" y="${HEIGHT - 6}" text-anchor="middle" class="chart-axis-title">${esc(spec.xLabel)}</text>` : ''
+  }${
+    spec.yLabel
+      ? `<text transform="translate(14 ${(MARGIN.top + bottom) / 2}) rotate(-90)" text-anchor="middle" class="chart-axis-title">${esc(spec.yLabel)}</text>`
+      : ''
+  }`;
+  return `<g class="chart-axes" font-size="11" fill="currentColor" fill-opacity="0.75">${grid}${xLabels}${titles}</g>
+    <line x1="${left}" x2="${right}" y1="${bottom}" y2="${bottom}" stroke="currentColor" stroke-opacity="0.4" />`;
+}
+
+// At most ~12 x labels, so long category lists stay readable
+function thin(ticks) {
+  const every = Math.ceil(ticks.length / 12);
+  return ticks.filter((_, i) => i % every === 0);
+}
+
+function renderCartesian(spec) {
+  const { type, series } = spec;
+  const values = series.flatMap((s) => s.points.map((p) => p.y)).filter((v) => typeof v === 'number');
+  const fromZero = type === 'bar' || type === 'area';
+  const yTicks = niceTicks(Math.min(fromZero ? 0 : Infinity, ...values), Math.max(fromZero ? 0 : -Infinity, ...values));
+  const bottom = HEIGHT - MARGIN.bottom;
+  const yScale = linear([yTicks[0], yTicks[yTicks.length - 1]], [bottom, MARGIN.top]);
+  const left = MARGIN.left;
+  const right = WIDTH - MARGIN.right;
+
+  // x positions: linear for numeric x, evenly spaced bands for categories
+  let xOf;
+  let xTicks;
+  let band = 0;
+  if (spec.xType === 'number') {
+    const xs = series.flatMap((s) => s.points.map((p) => p.x));
+    const ticks = niceTicks(Math.min(...xs), Math.max(...xs));
+    const scale = linear([ticks[0], ticks[ticks.length - 1]], [left, right]);
+    xOf = (p) => scale(p.x);
+    xTicks = ticks.map((t) => ({ x: scale(t), label: formatNumber(t) }));
+  } else {
+    const labels = series[0].points.map((p) => p.x);
+    band = (right - left) / Math.max(labels.length, 1);
+    xOf = (_, i) => left + band * (i + 0.5);
+    xTicks = thin(labels.map((label, i) => ({ x: left + band * (i + 0.5), label })));
+  }
+
+  const tip = (s, p) => `${s.name} · ${p.x}: ${formatNumber(p.y)}`;
+  const baseline = yScale(Math.max(yTicks[0], 0));
+  let marks = '';
+
+  if (type === 'bar') {
+    const width = Math.max((band * 0.8) / series.length, 1);
+    marks = series
+      .map((s, si) =>
+        s.points
+          .map((p, i) => {
+            if (typeof p.y !== 'number') return '';
+            const x = left + band * i + band * 0.1 + width * si;
+            const y = Math.min(yScale(p.y), baseline);
+            const h = Math.abs(yScale(p.y) - baseline);
+            return `<rect class="chart-mark" x="${x}" y="${y}" width="${width}" height="${Math.max(h, 0.5)}" fill="${color(si)}" rx="2"><title>${esc(tip(s, p))}</title></rect>`;
+          })
+          .join('')
+      )
+      .join('');
+  } else {
+    marks = series
+      .map((s, si) => {
+        const points = s.points.map((p, i) => ({ p, x: xOf(p, i), y: typeof p.y === 'number' ? yScale(p.y) : null }));
+        const drawn = points.filter((pt) => pt.y !== null);
+        let shapes = '';
+        if (type !== 'scatter' && drawn.length) {
+          const line = drawn.map((pt, i) => `${i ? 'L' : 'M'}${pt.x.toFixed(1)},${pt.y.toFixed(1)}`).join('');
+          if (type === 'area') {
+            const first = drawn[0];
+            const last = drawn[drawn.length - 1];
+            shapes += `<path d="${line}L${last.x.toFixed(1)},${baseline}L${first.x.toFixed(1)},${baseline}Z" fill="${color(si)}" fill-opacity="0.18" />`;
+          }
+          shapes += `<path d="${line}" fill="none" stroke="${color(si)}" stroke-width="2" stroke-linejoin="round" />`;
+        }
+        const radius = type === 'scatter' ? 4 : drawn.length > 60 ? 1.5 : 3;
+        shapes += drawn
+          .map((pt) => `<circle class="chart-mark" cx="${pt.x.toFixed(1)}" cy="${pt.y.toFixed(1)}" r="${radius}" fill="${color(si)}"><title>${esc(tip(s, pt.p))}</title></circle>`)
+          .join('');
+        return shapes;
+      })
+      .join('');
+  }
+
+  return renderAxes(spec, { yScale, yTicks, xTicks }) + marks;
+}
+
+function renderPie(spec) {
+  const points = spec.series[0].points.filter((p) => typeof p.y === 'number' && p.y > 0);
+  const total = points.reduce((sum, p) => sum + p.y, 0);
+  const cx = WIDTH / 2;
+  const cy = HEIGHT / 2;
+  const r = HEIGHT / 2 - 24;
+  if (!total) return `<text x="${cx}" y="${cy}" text-anchor="middle" fill="currentColor">No values above zero</text>`;
+
+  let angle = -Math.PI / 2;
+  return points
+    .map((p, i) => {
+      const share = p.y / total;
+      const tip = `${p.x}: ${formatNumber(p.y)} (${(share * 100).toFixed(1)}%)`;
+      if (share >= 0.9999) return `<circle class="chart-mark" cx="${cx}" cy="${cy}" r="${r}" fill="${color(i)}"><title>${esc(tip)}</title></circle>`;
+      const start = angle;
+      angle += share * Math.PI * 2;
+      const [x0, y0] = [cx + r * Math.cos(start), cy + r * Math.sin(start)];
+      const [x1, y1] = [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+      const large = share > 0.5 ? 1 : 0;
+      return `<path class="chart-mark" d="M${cx},${cy}L${x0.toFixed(1)},${y0.toFixed(1)}A${r},${r} 0 ${large} 1 ${x1.toFixed(1)},${y1.toFixed(1)}Z" fill="${color(i)}" stroke="${EXPORT_COLORS.background}" stroke-width="1"><title>${esc(tip)}</title></path>`;
+    })
+    .join('');
+}
+
+/**
+ * Chart card for a spec: title, legend, SVG and download buttons
+ * @param {import('../services/chart-data.js').ChartSpec} spec
+ * @returns {string}
+ */
+export function renderChart(spec) {
+  try {
+    const pie = spec.type === 'pie';
+    const body = pie ? renderPie(spec) : renderCartesian(spec);
+    const legendSeries = pie ? spec.series[0].points.filter((p) => p.y > 0).map((p) => ({ name: p.x })) : spec.series;
+    const label = spec.title || `${spec.type} chart`;
+    return `<figure class="chart-card">
+        <figcaption class="chart-header">
+          <span class="chart-title">${esc(label)}</span>
+          <span class="chart-actions">
+            <button type="button" class="chart-download" data-chart-download="svg" title="Download SVG"><i class="fas fa-download"></i> SVG</button>
+            <button type="button" class="chart-download" data-chart-download="png" title="Download PNG"><i class="fas fa-download"></i> PNG</button>
+          </span>
+        </figcaption>
+        ${renderLegend(legendSeries)}
+        <svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${esc(label)}"
+          xmlns="http://www.w3.org/2000/svg" font-family="system-ui, sans-serif">${body}</svg>
+        ${spec.truncated ? '<small class="form-hint">Only the first 500 rows are shown.</small>' : ''}
+      </figure>`;
+  } catch (e) {
+    return `<div class="chart-card chart-error">Could not draw this chart: ${esc(e.message)}</div>`;
+  }
+}
+
+/**
+ * Standalone SVG document of a rendered chart (legend and title drawn in)
+ * @param {SVGSVGElement} svg
+ * @param {import('../services/chart-data.js').ChartSpec} spec
+ * @returns {string}
+ */
+export function chartSVGMarkup(svg, spec) {
+  const clone = svg.cloneNode(true);
+  const names = spec.type === 'pie' ? spec.series[0].points.filter((p) => p.y > 0).map((p) => p.x) : spec.series.map((s) => s.name);
+  const header = 28 + (names.length > 1 ? 20 : 0);
+  const legend = names.length > 1
+    ? names
+        .map((name, i) => `<rect x="${16 + i * 110}" y="30" width="10" height="10" rx="2" fill="${color(i)}" /><text x="${30 + i * 110}" y="39" font-size="11">${esc(String(name).slice(0, 16))}</text>`)
+        .join('')
+    : '';
+  const content = clone.innerHTML;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT + header}" viewBox="0 0 ${WIDTH} ${HEIGHT + header}"
+  font-family="system-ui, sans-serif" color="${EXPORT_COLORS.text}" fill="${EXPORT_COLORS.text}">
+  <rect width="100%" height="100%" fill="${EXPORT_COLORS.background}" />
+  <text x="16" y="20" font-size="14" font-weight="600">${esc(spec.title || '')}</text>${legend}
+  <g transform="translate(0 ${header})">${content}</g>
+</svg>`;
+}
+
+/**
+ * PNG of an SVG document, drawn at twice its size
+ * @param {string} markup - from chartSVGMarkup
+ * @returns {Promise<Blob>}
+ */
+export function svgToPNG(markup) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width * 2;
+      canvas.height = image.height * 2;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(2, 2);
+      ctx.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG.'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not draw the chart image.'));
+    };
+    image.src = url;
+  });
+}
@@ -4,6 +4,8 @@
  * No behavior changes vs original agent.js wiring.
  */
 import { preventDefaults } from '../utils/helpers.js';
+import { isImageFile } from '../utils/images.js';
+import { openLightbox, closeLightbox } from './renderer.js';
 
 /**
  * Wire all core UI events except drag-and-drop and context menu.
@@ -12,18 +14,96 @@ import { preventDefaults } from '../utils/helpers.js';
 export function wireEvents(app) {
   try {
     // Send button + composer
-    app.elements.sendButton?.addEventListener('click', () => app.sendMessage());
+    // Send button doubles as Stop while a reply is in progress
+    app.elements.sendButton?.addEventListener('click', () =>
+      app.state.isProcessing ? app.stopGeneration() : app.sendMessage()
+    );
     app.elements.userInput?.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         app.sendMessage();
+      } else if (e.key === 'Escape' && app.state.isProcessing) {
+        app.stopGeneration();
       }
     });
 
+    // Compare mode: target rows and the "keep this reply" buttons in compare messages
+    document.getElementById('add-compare-target')?.addEventListener('click', () => app.addCompareTarget());
+    const compareTargets = document.getElementById('compare-targets');
+    const targetIndex = (e) => Number(e.target.closest('.compare-target')?.dataset.index);
+    compareTargets?.addEventListener('change', (e) => {
+      if (e.target.matches('.compare-provider')) app.updateCompareTarget(targetIndex(e), { provider: e.target.value, model: '' });
+    });
+    compareTargets?.addEventListener('input', (e) => {
+      if (e.target.matches('.compare-model')) app.updateCompareTarget(targetIndex(e), { model: e.target.value.trim() });
+    });
+    compareTargets?.addEventListener('click', (e) => {
+      if (e.target.closest('.compare-remove')) app.removeCompareTarget(targetIndex(e));
+    });
+    app.elements.messages?.addEventListener('click', (e) => {
+      const pick = e.target.closest('[data-compare-pick]');
+      if (pick) app.pickCompareWinner(pick.closest('.message')?.dataset.messageId, pick.dataset.comparePick);
+    });
+
+    // Images: paste into the composer, remove from the tray, thumbnails open the lightbox
+    app.elements.userInput?.addEventListener('paste', (e) => {
+      const images = Array.from(e.clipboardData?.files || []).filter(isImageFile);
+      if (!images.length) return;
+      e.preventDefault();
+      app.attachImages(images);
+    });
+    document.getElementById('attachment-tray')?.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-remove-image]');
+      if (remove) app.removePendingImage(Number(remove.dataset.removeImage));
+    });
+    document.addEventListener('click', (e) => {
+      const thumb = e.target.closest('img[data-lightbox]');
+      if (thumb) openLightbox(thumb.src, thumb.alt);
+    });
+    document.getElementById('lightbox')?.addEventListener('click', () => closeLightbox());
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeLightbox();
+    });
+
+    // Tool approval cards
+    app.elements.messages?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-approval-action]');
+      if (button) app.resolveToolApproval(button.closest('.approval-card')?.dataset.approvalId, button.dataset.approvalAction);
+    });
+
+    // Chart downloads
+    app.elements.messages?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-chart-download]');
+      if (button) app.downloadChart(button.closest('.message')?.dataset.messageId, button.dataset.chartDownload);
+    });
+
+    // Step budget and run traces
+    document.getElementById('step-budget')?.addEventListener('change', (e) => app.setStepBudget(e.target.value));
+    app.elements.messages?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-trace-export]');
+      if (button) app.exportTrace(button.closest('.message')?.dataset.messageId);
+    });
+
+    // Structured output: schema modal, templates and the composer chip
+    document.getElementById('schema-toggle')?.addEventListener('click', () => app.openSchemaModal());
+    document.getElementById('schema-chip-clear')?.addEventListener('click', () => app.clearSchema());
+    document.getElementById('close-schema')?.addEventListener('click', () => app.closeSchemaModal());
+    document.getElementById('apply-schema')?.addEventListener('click', () => app.applySchema());
+    document.getElementById('clear-schema')?.addEventListener('click', () => app.clearSchema());
+    document.getElementById('save-schema-template')?.addEventListener('click', () => app.saveSchemaTemplate());
+    document.getElementById('schema-template')?.addEventListener('change', (e) => app.loadSchemaTemplate(e.target.value));
+    document.getElementById('delete-schema-template')?.addEventListener('click', () =>
+      app.deleteSchemaTemplate(document.getElementById('schema-template')?.value)
+    );
+
     // Toolbar buttons
     document.getElementById('voice-input')?.addEventListener('click', () => app.toggleVoiceInput());
     document.getElementById('attach-file')?.addEventListener('click', () => document.getElementById('file-input')?.click());
-    document.getElementById('file-input')?.addEventListener('change', (e) => app.handleFileSelection(e));
+    document.getElementById('file-input')?.addEventListener('change', (e) => {
+      app.handleFileSelection(e);
+      // Allow picking the same file again
+      e.target.value = '';
+    });
 
     // Top bar
     document.getElementById('voice-toggle')?.addEventListener('click', () => app.toggleVoiceInput());
@@ -35,12 +115,14 @@ export function wireEvents(app) {
     document.getElementById('new-chat')?.addEventListener('click', () => app.createNewConversation());
     document.getElementById('clear-chat')?.addEventListener('click', () => app.clearConversationMessages());
     document.getElementById('export-chat')?.addEventListener('click', () => app.exportConversation());
+    document.getElementById('compare-toggle')?.addEventListener('click', () => app.toggleCompareMode());
     document.getElementById('share-chat')?.addEventListener('click', () =>
       app.showToast('info', 'Not Implemented', 'Share feature is coming soon.')
     );
 
     // Perf panel
     document.getElementById('toggle-perf')?.addEventListener('click', () => app.togglePerformanceMonitor());
+    document.getElementById('export-usage')?.addEventListener('click', () => app.exportUsage());
 
     // Settings modal buttons
     document.getElementById('close-settings')?.addEventListener('click', () => app.closeSettings());
@@ -48,9 +130,33 @@ export function wireEvents(app) {
 
     // Settings fields
     document.querySelector('.toggle-visibility')?.addEventListener('click', (e) => app.toggleApiKeyVisibility(e));
-    document.getElementById('llm-provider')?.addEventListener('change', () => app.updateModelOptions());
+    document.getElementById('llm-provider')?.addEventListener('change', () => {
+      app.loadProviderProfile();
+      app.updateProviderFields();
+      app.updateModelOptions();
+    });
     document.getElementById('api-key')?.addEventListener('input', app.debouncedUpdateModelOptions);
+    // Adapter-declared fields (e.g. local server URL) can change which models are available
+    document.getElementById('provider-fields')?.addEventListener('input', app.debouncedUpdateModelOptions);
     document.getElementById('clear-all-data')?.addEventListener('click', () => app.clearAllData());
+    document.getElementById('export-fixture')?.addEventListener('click', () => app.exportFixture());
+    document.getElementById('clear-recording')?.addEventListener('click', () => app.clearRecording());
+    document.getElementById('search-backend')?.addEventListener('change', () => app.updateSearchFields());
+    document.getElementById('document-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-document]');
+      if (button) app.removeIndexedDocument(button.dataset.removeDocument);
+    });
+    document.getElementById('clear-documents')?.addEventListener('click', () => app.clearDocumentIndex());
+    document.getElementById('add-mcp-server')?.addEventListener('click', () => app.addMcpServerRow());
+    document.getElementById('mcp-servers')?.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-mcp-remove]');
+      if (remove) app.removeMcpServerRow(remove.dataset.mcpRemove);
+      const reconnect = e.target.closest('[data-mcp-connect]');
+      if (reconnect) app.reconnectMcpServer(reconnect.dataset.mcpConnect);
+    });
+    document.getElementById('tool-policies')?.addEventListener('change', (e) => {
+      if (e.target.matches('[data-tool-enabled]')) e.target.closest('.tool-policy-row')?.classList.toggle('disabled', !e.target.checked);
+    });
 
     // Settings tabs
     document.querySelectorAll('.tab-btn').forEach((btn) =>
@@ -2,6 +2,23 @@
  * ui/renderer.js
  * Extracted UI rendering helpers from agent.js with no behavior changes.
  */
+import { contentText, toDataUrl } from '../services/format.js';
+import { summarizeTrace } from '../services/trace.js';
+import { renderChart } from './charts.js';
+import { getFile } from '../services/files.js';
+
+// 1234 -> '1.2k', 1048576 -> '1M'
+function formatTokens(n) {
+  if (n >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+// USD estimate; sub-cent amounts keep four decimals, unknown prices render as ''
+function formatCost(cost) {
+  if (typeof cost !== 'number') return '';
+  return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
 
 /**
  * Escape HTML utility (used by renderer only)
@@ -11,37 +28,453 @@
 export function escapeHtml(text = '') {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // Quotes too, so the result is also safe inside double-quoted attributes
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert message content into HTML (markdown when available)
+ * @param {any} content
+ * @returns {string}
+ */
+export function renderMessageContent(content) {
+  // Replies can quote web pages and tool output from third-party servers, so the HTML marked
+  // produces is sanitized; without DOMPurify the text is shown escaped instead
+  if (typeof content === 'string' && window.marked && window.DOMPurify) {
+    try {
+      return DOMPurify.sanitize(marked.parse(content));
+    } catch (e) {
+      return `<p>${escapeHtml(content)}</p>`;
+    }
+  }
+  if (typeof content === 'string') return `<p>${escapeHtml(content)}</p>`;
+  return `<pre><code>${escapeHtml(JSON.stringify(content, null, 2))}</code></pre>`;
+}
+
+// One node of the JSON tree: objects and arrays are <details> so they collapse natively
+function renderJSONNode(value, key, depth) {
+  const label = key === null ? '' : `<span class="json-key">${escapeHtml(String(key))}</span>: `;
+  if (value !== null && typeof value === 'object') {
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value);
+    const summary = isArray ? `[${entries.length}]` : `{${entries.length}}`;
+    const children = entries.map(([k, v]) => `<li>${renderJSONNode(v, k, depth + 1)}</li>`).join('');
+    return `<details ${depth < 2 ? 'open' : ''}><summary>${label}<span class="json-count">${summary}</span></summary><ul>${children}</ul></details>`;
+  }
+  const type = value === null ? 'null' : typeof value;
+  return `<span class="json-leaf">${label}<span class="json-${type}">${escapeHtml(JSON.stringify(value))}</span></span>`;
 }
 
 /**
- * Render a message into the DOM (replicates original agent.js behavior)
+ * Collapsible tree view of a JSON value
+ * @param {any} value
+ * @returns {string}
+ */
+export function renderJSONTree(value) {
+  return `<div class="json-tree">${renderJSONNode(value, null, 0)}</div>`;
+}
+
+// Tool results carry text from outside (search results, MCP servers), so they are shown as
+// escaped text and never rendered as markdown/HTML
+function renderToolResult(content) {
+  let text = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+  try {
+    text = JSON.stringify(JSON.parse(text), null, 2);
+  } catch (_) {}
+  return `<pre class="tool-result"><code>${escapeHtml(text ?? '')}</code></pre>`;
+}
+
+// Replies produced under a response schema: a tree when valid, the raw text and errors otherwise
+function renderStructured(message) {
+  const { name, valid, repairs, errors = [] } = message.structured;
+  const repaired = repairs ? ` · repaired in ${repairs} ${repairs === 1 ? 'turn' : 'turns'}` : '';
+  const header = `<div class="structured-header ${valid ? 'valid' : 'invalid'}">
+      <i class="fas ${valid ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+      ${escapeHtml(name)} · ${valid ? 'valid' : 'does not match schema'}${repaired}
+    </div>`;
+  if (valid) {
+    try {
+      return header + renderJSONTree(JSON.parse(message.content));
+    } catch (e) {}
+  }
+  const list = errors.map((e) => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('');
+  return `${header}${list ? `<ul class="structured-errors">${list}</ul>` : ''}<pre><code>${escapeHtml(
+    String(message.content ?? '')
+  )}</code></pre>`;
+}
+
+// execute_code runs: console lines, then the returned value or the error
+function renderConsole(run) {
+  const lines = (run.logs || [])
+    .map((line) => `<div class="console-line ${escapeHtml(line.level)}">${escapeHtml(line.text)}</div>`)
+    .join('');
+  let outcome;
+  if (run.ok) {
+    const value = typeof run.result === 'string' ? run.result : JSON.stringify(run.result, null, 2);
+    outcome = `<div class="console-line result"><span class="console-prompt">&larr;</span>${escapeHtml(value ?? 'undefined')}</div>`;
+  } else {
+    const error = run.error || {};
+    outcome = `<div class="console-line error">${escapeHtml(`${error.name || 'Error'}: ${error.message || ''}`)}</div>`;
+  }
+  const duration = typeof run.durationMs === 'number' ? ` · ${formatDuration(run.durationMs)}` : '';
+  return `<div class="console-panel ${run.ok ? 'ok' : 'failed'}">
+      <div class="console-header"><i class="fas fa-terminal"></i> Console${duration}</div>
+      <div class="console-body">${lines}${outcome}</div>
+    </div>`;
+}
+
+// 2048 -> '2 KB'
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${+(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// Uploaded files; files not loaded in this session (e.g. after a reload) are shown dimmed
+function renderFileChips(attachments) {
+  const icons = { csv: 'fa-file-csv', json: 'fa-file-code', text: 'fa-file-alt' };
+  return `<div class="file-chips">${attachments
+    .map((file) => {
+      const loaded = !!getFile(file.id);
+      const title = loaded ? `File id: ${file.id}` : 'Not loaded in this session; upload it again to use it';
+      return `<span class="file-chip${loaded ? '' : ' missing'}" title="${escapeHtml(title)}">
+          <i class="fas ${icons[file.kind] || 'fa-file'}"></i>
+          <span class="file-chip-name">${escapeHtml(file.name)}</span>
+          <span class="file-chip-meta">${escapeHtml(`${(file.kind || 'file').toUpperCase()} · ${formatBytes(file.size || 0)}`)}</span>
+        </span>`;
+    })
+    .join('')}</div>`;
+}
+
+/**
+ * Full inner HTML of a message bubble: content plus any requested tool calls and the run trace
+ * @param {Object} message
+ * @returns {string}
+ */
+function renderMessageBody(message) {
+  const trace = message.trace ? renderTrace(message.trace) : '';
+  if (message.compare) return renderCompare(message.compare);
+  if (message.structured) return renderStructured(message) + trace;
+  if (message.console) return renderConsole(message.console) + trace;
+  if (message.chart) return renderChart(message.chart) + trace;
+  if (message.attachments) return renderFileChips(message.attachments) + trace;
+  if (message.role === 'tool') return renderToolResult(message.content) + trace;
+  // Notices quote error text from providers and tool servers
+  if (message.notice) return `<p>${escapeHtml(contentText(message.content))}</p>` + trace;
+  let html = '';
+  if (Array.isArray(message.content)) {
+    const text = contentText(message.content);
+    const images = message.content.filter((p) => p && p.type === 'image');
+    html = (text ? renderMessageContent(text) : '') + renderImageGrid(images);
+  } else if (message.content !== '' && message.content != null) {
+    html = renderMessageContent(message.content);
+  }
+  if (Array.isArray(message.sources) && message.sources.length) {
+    html = linkCitations(html, message.sources) + renderSources(message.sources);
+  }
+  if (Array.isArray(message.passages) && message.passages.length) html += renderPassages(message.passages);
+  if (Array.isArray(message.tool_calls) && message.tool_calls.length) {
+    const names = message.tool_calls.map((tc) => `<code>${escapeHtml(tc.function?.name || 'unknown')}</code>`).join(' ');
+    html += `<div class="tool-call-summary"><i class="fas fa-wrench"></i> Using tools: ${names}</div>`;
+  }
+  return html + trace;
+}
+
+// Code, existing links and tags are left alone; citations are only looked for in text
+const CITATION_SKIP = /(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>|<a\b[\s\S]*?<\/a>|<[^>]*>)/i;
+
+const isWebUrl = (url) => /^https?:\/\//i.test(String(url || ''));
+
+/**
+ * Turn [1] and [1, 3] markers in rendered answer HTML into footnote links to web_search sources
+ * @param {string} html
+ * @param {Array<{ id: number, title: string, url: string }>} sources
+ * @returns {string} markers with no matching source stay as they are
+ */
+function linkCitations(html, sources) {
+  const byId = new Map(sources.map((source) => [String(source.id), source]));
+  return html
+    .split(CITATION_SKIP)
+    .map((part, i) =>
+      i % 2
+        ? part
+        : part.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, list) => {
+            const ids = list.split(',').map((n) => n.trim());
+            if (!ids.every((id) => byId.has(id))) return marker;
+            return ids
+              .map((id) => {
+                const { title, url } = byId.get(id);
+                const label = isWebUrl(url)
+                  ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(title)}">${id}</a>`
+                  : id;
+                return `<sup class="citation">${label}</sup>`;
+              })
+              .join('');
+          })
+    )
+    .join('');
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+};
+
+// Numbered list of the web_search results an answer could cite
+function renderSources(sources) {
+  const items = sources
+    .map(({ id, title, url, snippet }) => {
+      const link = isWebUrl(url)
+        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(title || url)}</a>`
+        : escapeHtml(title || url);
+      return `<li value="${Number(id)}">
+          <div class="source-title">${link} <span class="source-host">${escapeHtml(hostOf(url))}</span></div>
+          ${snippet ? `<div class="source-snippet">${escapeHtml(snippet)}</div>` : ''}
+        </li>`;
+    })
+    .join('');
+  return `<details class="sources-panel" open>
+      <summary><i class="fas fa-link"></i> ${plural(sources.length, 'source')}</summary>
+      <ol class="sources-list">${items}</ol>
+    </details>`;
+}
+
+// Document passages the model was given for an answer (automatic retrieval or search_documents)
+function renderPassages(passages) {
+  const items = passages
+    .map(
+      ({ file, startLine, endLine, section, score, preview }) => `<li>
+          <div class="passage-source">
+            <i class="fas fa-file-alt"></i> <span class="passage-file">${escapeHtml(file)}</span>
+            <span class="passage-meta">lines ${Number(startLine)}–${Number(endLine)}${section ? ` · ${escapeHtml(section)}` : ''}${
+              typeof score === 'number' ? ` · score ${score}` : ''
+            }</span>
+          </div>
+          <div class="passage-preview">${escapeHtml(preview || '')}</div>
+        </li>`
+    )
+    .join('');
+  return `<details class="passages-panel">
+      <summary><i class="fas fa-book-open"></i> ${plural(passages.length, 'document passage')} used</summary>
+      <ol class="passages-list">${items}</ol>
+    </details>`;
+}
+
+const TRACE_STATUS = {
+  running: 'running',
+  done: 'completed',
+  budget: 'step budget reached',
+  error: 'failed',
+  stopped: 'stopped',
+};
+
+// 850 -> '850ms', 2400 -> '2.4s'
+function formatDuration(ms) {
+  if (typeof ms !== 'number') return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// One labelled value of a trace step, pretty-printed when it is not text
+function renderTraceField(label, value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value) && !value.length) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return `<div class="trace-field"><span class="trace-field-label">${escapeHtml(label)}</span><pre>${escapeHtml(text)}</pre></div>`;
+}
+
+function renderTraceStep(step) {
+  const meta = [formatDuration(step.durationMs)];
+  let title;
+  let icon;
+  let fields;
+  if (step.type === 'tool') {
+    icon = 'fa-wrench';
+    title = `Tool · ${step.name || 'unknown'}`;
+    if (step.approval) meta.push(step.approval);
+    fields = renderTraceField('Arguments', step.arguments) + renderTraceField('Result', step.result);
+  } else {
+    icon = step.type === 'repair' ? 'fa-tools' : 'fa-robot';
+    title = `${step.type === 'repair' ? 'Schema repair' : 'LLM call'}${step.model ? ` · ${step.model}` : ''}`;
+    if (step.provider) meta.push(`${step.provider}${step.fallback ? ' (fallback)' : ''}`);
+    if (step.usage) meta.push(`${formatTokens(step.usage.prompt_tokens || 0)} in · ${formatTokens(step.usage.completion_tokens || 0)} out`);
+    if (step.toolCalls?.length) meta.push(`→ ${step.toolCalls.map((tc) => tc.name).join(', ')}`);
+    fields =
+      renderTraceField('Reply', step.content) +
+      renderTraceField('Tool calls', step.toolCalls) +
+      renderTraceField('Retries', step.retries) +
+      renderTraceField('Fallbacks', step.fallbacks) +
+      renderTraceField('Finish reason', step.finishReason);
+  }
+  fields = renderTraceField('Error', step.error) + fields;
+
+  return `
+    <li class="trace-step ${escapeHtml(step.type)} ${escapeHtml(step.status)}">
+      <details>
+        <summary>
+          <i class="fas ${icon}"></i>
+          <span class="trace-step-title">${escapeHtml(title)}</span>
+          <span class="trace-step-meta">${meta.filter(Boolean).map(escapeHtml).join(' · ')}</span>
+        </summary>
+        ${fields || '<p class="trace-empty">Nothing recorded.</p>'}
+      </details>
+    </li>`;
+}
+
+// Collapsible timeline of an agent run, with a JSON export button
+function renderTrace(trace) {
+  const summary = summarizeTrace(trace);
+  const steps = (trace.steps || []).filter((s) => s.type === 'llm').length;
+  const parts = [
+    `${steps}/${trace.maxSteps} steps`,
+    plural(summary.toolCalls, 'tool call'),
+    formatDuration(trace.durationMs),
+    summary.errors ? plural(summary.errors, 'error') : '',
+    TRACE_STATUS[trace.status] || trace.status,
+  ];
+  return `
+    <details class="run-trace ${escapeHtml(trace.status)}">
+      <summary><i class="fas fa-stream"></i> Run trace <span class="trace-summary">${escapeHtml(parts.filter(Boolean).join(' · '))}</span></summary>
+      ${trace.reason ? `<p class="trace-reason">${escapeHtml(trace.reason)}</p>` : ''}
+      <ol class="trace-steps">${(trace.steps || []).map(renderTraceStep).join('')}</ol>
+      <button type="button" class="trace-export" data-trace-export><i class="fas fa-download"></i> Export JSON</button>
+    </details>`;
+}
+
+// Thumbnails of a message's images; clicking one opens the lightbox
+// Images whose saved data could not be restored (see services/image-store.js) show as a placeholder
+function renderImageGrid(images) {
+  if (!images.length) return '';
+  const thumbs = images
+    .map((img) => {
+      const name = escapeHtml(img.name || 'image');
+      if (!img.data) return `<span class="message-image-missing" title="${name}"><i class="fas fa-image"></i> ${name} (not available)</span>`;
+      return `<img class="message-image" src="${toDataUrl(img)}" alt="${name}" title="${name}" data-lightbox loading="lazy">`;
+    })
+    .join('');
+  return `<div class="message-images">${thumbs}</div>`;
+}
+
+// Latency, time to first token, tokens and cost of one compare column
+function renderCompareStats(candidate) {
+  const stats = [];
+  if (candidate.latencyMs !== undefined) stats.push(`${(candidate.latencyMs / 1000).toFixed(2)}s`);
+  if (candidate.firstTokenMs !== undefined) stats.push(`first token ${candidate.firstTokenMs}ms`);
+  const usage = candidate.usage;
+  if (usage) {
+    stats.push(`${formatTokens(usage.prompt_tokens || 0)} in · ${formatTokens(usage.completion_tokens || 0)} out`);
+    if (candidate.latencyMs) stats.push(`${Math.round((usage.completion_tokens || 0) / (candidate.latencyMs / 1000))} tok/s`);
+    const cost = formatCost(usage.cost);
+    if (cost) stats.push(cost);
+  }
+  return stats.map((s) => `<span>${escapeHtml(s)}</span>`).join('');
+}
+
+// Parallel columns of a compare message, each with its own "keep" button
+function renderCompare(compare) {
+  const columns = compare.candidates
+    .map((c) => {
+      const body = c.error
+        ? `<p class="compare-error"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(c.error)}</p>`
+        : renderMessageContent(c.content || '');
+      const spinner = c.status === 'pending' ? '<i class="fas fa-spinner fa-spin"></i>' : '';
+      const canPick = c.status === 'done' && !!c.content;
+      return `
+        <div class="compare-column ${escapeHtml(c.status)}">
+          <div class="compare-column-header">
+            <span class="compare-column-model">${escapeHtml(c.model)}</span>
+            <span class="compare-column-provider">${escapeHtml(c.label || c.provider)} ${spinner}</span>
+          </div>
+          <div class="compare-column-body">${body}</div>
+          <div class="compare-stats">${renderCompareStats(c)}</div>
+          <button class="btn btn-secondary compare-pick" type="button" data-compare-pick="${escapeHtml(c.id)}" ${
+            canPick ? '' : 'disabled'
+          }>
+            <i class="fas fa-check"></i> Keep this reply
+          </button>
+        </div>`;
+    })
+    .join('');
+  return `<div class="compare-grid" style="--compare-columns: ${compare.candidates.length}">${columns}</div>`;
+}
+
+/**
+ * Apply highlight.js to code blocks within an element
+ * @param {HTMLElement} el
+ */
+function highlightCode(el) {
+  if (!window.hljs) return;
+  el.querySelectorAll('pre code').forEach((block) => {
+    try {
+      hljs.highlightElement(block);
+    } catch (e) {}
+  });
+}
+
+// Which provider answered, plus token counts and estimated cost of the call
+function renderMessageMeta(message) {
+  let html = '';
+  const source = message.source;
+  if (source) {
+    const title = source.fallback ? 'Answered by a fallback provider' : 'Answered by';
+    html += `<span class="provider-badge${source.fallback ? ' fallback' : ''}" title="${title}">${
+      source.fallback ? '<i class="fas fa-random"></i> ' : ''
+    }${escapeHtml(source.label || source.provider)} · ${escapeHtml(source.model || '')}</span>`;
+  }
+
+  const usage = message.usage;
+  if (usage) {
+    const cost = formatCost(usage.cost);
+    const title = escapeHtml(`${usage.provider || ''} ${usage.model || ''}`.trim());
+    html += `<span class="message-usage" title="${title}">${formatTokens(usage.prompt_tokens || 0)} in · ${formatTokens(
+      usage.completion_tokens || 0
+    )} out${cost ? ` · ${cost}` : ''}</span>`;
+  }
+  return html;
+}
+
+/**
+ * Render a message into the DOM (replicates original agent.js behavior).
+ * Calling it again for a message that is already on screen re-renders its
+ * content in place, which is how streamed replies grow a single bubble.
  * @param {Object} app - the GyaanSetu app instance (for refs/state)
- * @param {Object} message - { id, role, content, ... }
+ * @param {Object} message - { id, role, content, streaming?, ... }
  */
 export function displayMessage(app, message) {
   try {
     if (!app.elements.messages) return;
 
+    const existing = message.id
+      ? app.elements.messages.querySelector(`.message[data-message-id="${message.id}"]`)
+      : null;
+
+    if (existing) {
+      const contentEl = existing.querySelector('.message-content');
+      if (contentEl) {
+        contentEl.innerHTML = renderMessageBody(message);
+        highlightCode(contentEl);
+      }
+      const usageEl = existing.querySelector('.message-meta');
+      if (usageEl) usageEl.innerHTML = renderMessageMeta(message);
+      existing.classList.toggle('streaming', !!message.streaming);
+      existing.classList.toggle('compare', !!message.compare);
+      return;
+    }
+
     const messageEl = document.createElement('div');
-    messageEl.className = `message ${message.role}`;
+    messageEl.className = `message ${message.role}${message.streaming ? ' streaming' : ''}${message.compare ? ' compare' : ''}`;
     messageEl.dataset.messageId = message.id;
 
-    const senderName = { user: 'You', assistant: 'LeafAI', system: 'System', tool: 'Tool' }[message.role] || message.role;
+    let senderName = { user: 'You', assistant: 'LeafAI', system: 'System', tool: 'Tool' }[message.role] || message.role;
+    if (message.role === 'tool' && message.name) senderName = `Tool · ${message.name}`;
+    if (message.compare) senderName = 'Compare';
     const avatarIcon = { user: 'fa-user', assistant: 'fa-robot', system: 'fa-cog', tool: 'fa-wrench' }[message.role] || 'fa-comment';
 
-    let processedContent = '';
-    if (typeof message.content === 'string' && window.marked) {
-      try {
-        processedContent = marked.parse(message.content);
-      } catch (e) {
-        processedContent = `<p>${escapeHtml(message.content)}</p>`;
-      }
-    } else if (typeof message.content === 'string') {
-      processedContent = `<p>${escapeHtml(message.content)}</p>`;
-    } else {
-      processedContent = `<pre><code>${escapeHtml(JSON.stringify(message.content, null, 2))}</code></pre>`;
-    }
+    const processedContent = renderMessageBody(message);
 
     messageEl.innerHTML = `
       <div class="message-header">
@@ -50,6 +483,7 @@ export function displayMessage(app, message) {
         </div>
         <div class="message-info">
           <div class="message-sender">${escapeHtml(senderName)}</div>
+          <div class="message-meta">${renderMessageMeta(message)}</div>
         </div>
       </div>
       <div class="message-content">${processedContent}</div>
@@ -57,13 +491,7 @@ export function displayMessage(app, message) {
 
     app.elements.messages.appendChild(messageEl);
 
-    if (window.hljs) {
-      messageEl.querySelectorAll('pre code').forEach((block) => {
-        try {
-          hljs.highlightElement(block);
-        } catch (e) {}
-      });
-    }
+    highlightCode(messageEl);
   } catch (e) {
     console.error('displayMessage error', e);
   }
@@ -93,6 +521,110 @@ export function updatePerformanceDisplay(app) {
   } catch (e) {}
 }
 
+
+/**
+ * Show how much of the model's context the current conversation uses (status bar)
+ * @param {Object} app
+ * @param {{ usedTokens: number, budget: number, contextWindow: number }|null} plan - see planContext
+ */
+export function updateContextMeter(app, plan) {
+  try {
+    const el = app.elements?.statusContext;
+    if (!el) return;
+    const item = el.closest('.status-item');
+
+    if (!plan) {
+      el.textContent = '0 / 0';
+      return;
+    }
+
+    const ratio = plan.budget ? plan.usedTokens / plan.budget : 1;
+    el.textContent = `${formatTokens(plan.usedTokens)} / ${formatTokens(plan.budget)} (${Math.round(ratio * 100)}%)`;
+    if (item) {
+      item.title = `Context: ~${plan.usedTokens} of ${plan.budget} tokens available for history (model window ${plan.contextWindow}, rest reserved for the reply and tools)`;
+      item.classList.toggle('context-warn', ratio >= 0.6 && ratio < 0.8);
+      item.classList.toggle('context-full', ratio >= 0.8);
+    }
+  } catch (e) {}
+}
+
+/**
+ * Show running token/cost totals in the performance monitor and status bar
+ * @param {Object} app
+ * @param {Object} summary - see summarizeUsage in services/usage.js
+ */
+export function updateUsageDisplay(app, summary) {
+  try {
+    const { conversation, today, byModel, byDay } = summary;
+    // Totals that include calls to unpriced models are lower bounds
+    const costOf = (totals) => `${formatCost(totals.cost)}${totals.unpriced ? '+' : ''}`;
+
+    const set = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    set('usage-conversation-tokens', formatTokens(conversation.totalTokens));
+    set('usage-conversation-cost', costOf(conversation));
+    set('usage-today-cost', costOf(today));
+
+    const list = (id, rows) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.innerHTML = rows.length
+        ? rows
+            .map(
+              ([label, totals]) => `
+              <li title="${totals.calls} calls · ${totals.promptTokens} in / ${totals.completionTokens} out">
+                <span>${escapeHtml(label)}</span>
+                <span>${formatTokens(totals.totalTokens)} · ${costOf(totals)}</span>
+              </li>`
+            )
+            .join('')
+        : '<li class="usage-empty">No usage yet</li>';
+    };
+    list('usage-by-model', byModel.map((m) => [m.model || m.provider, m]));
+    list('usage-by-day', byDay.slice(0, 7).map((d) => [d.day, d]));
+
+    const statusEl = app.elements?.statusUsage;
+    if (statusEl) {
+      statusEl.textContent = `${formatTokens(conversation.totalTokens)} tok · ${costOf(today)} today`;
+      const item = statusEl.closest('.status-item');
+      if (item)
+        item.title = `This chat: ${conversation.totalTokens} tokens, ${costOf(conversation)} · Today: ${today.totalTokens} tokens, ${costOf(today)}`;
+    }
+  } catch (e) {}
+}
+
+/**
+ * List per-provider health (error rate, latency, last failure) in the performance monitor
+ * @param {Array<Object>} health - see listProviderHealth in services/health.js
+ * @param {Object<string, string>} labels - provider id -> display name
+ */
+export function updateHealthDisplay(health, labels = {}) {
+  try {
+    const el = document.getElementById('provider-health');
+    if (!el) return;
+    if (!health.length) {
+      el.innerHTML = '<li class="usage-empty">No requests yet</li>';
+      return;
+    }
+
+    el.innerHTML = health
+      .map((h) => {
+        const failure = h.lastFailure
+          ? `Last failure ${new Date(h.lastFailure.at).toLocaleString()}: ${h.lastFailure.message}`
+          : 'No failures';
+        const latency = h.avgLatencyMs !== null ? ` · ${(h.avgLatencyMs / 1000).toFixed(1)}s` : '';
+        return `
+          <li title="${escapeHtml(`${h.requests} requests, ${h.failures} failed. ${failure}`)}">
+            <span><i class="fas fa-circle health-dot ${h.status}"></i> ${escapeHtml(labels[h.provider] || h.provider)}</span>
+            <span>${Math.round(h.errorRate * 100)}% errors${latency}</span>
+          </li>`;
+      })
+      .join('');
+  } catch (e) {}
+}
+
 /**
  * Show toast message (replicates original agent.js behavior)
  * @param {Object} app
@@ -131,3 +663,426 @@ export function showToast(app, type, title, message) {
     setTimeout(() => toast.remove(), 5000);
   } catch (e) {}
 }
+
+/**
+ * DOM id of an adapter-declared settings field, e.g. ('local', 'baseUrl') -> 'local-base-url'
+ * @param {string} providerId
+ * @param {string} key
+ * @returns {string}
+ */
+export function providerFieldId(providerId, key) {
+  return `${providerId}-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Fill the provider select and the adapter-specific settings fields from the registry.
+ * Each field group carries data-provider so only the selected provider's fields show.
+ * @param {Array<Object>} adapters - registered provider adapters
+ */
+export function renderProviderSettings(adapters) {
+  const select = document.getElementById('llm-provider');
+  const container = document.getElementById('provider-fields');
+
+  if (select) {
+    const selected = select.value;
+    select.innerHTML = adapters
+      .map((a) => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.label)}</option>`)
+      .join('');
+    if (adapters.some((a) => a.id === selected)) select.value = selected;
+  }
+
+  if (!container) return;
+  container.innerHTML = adapters
+    .flatMap((adapter) =>
+      (adapter.settingsFields || []).map((field) =>
+        settingsFieldMarkup(providerFieldId(adapter.id, field.key), field, `data-provider="${escapeHtml(adapter.id)}"`)
+      )
+    )
+    .join('');
+}
+
+// One adapter-declared settings field (see ProviderSettingsField) as a form group
+function settingsFieldMarkup(fieldId, field, groupAttributes) {
+  const id = escapeHtml(fieldId);
+  const control =
+    field.type === 'select'
+      ? `<select id="${id}" class="form-control">${(field.options || [])
+          .map((o) => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`)
+          .join('')}</select>`
+      : `<input type="${escapeHtml(field.type || 'text')}" id="${id}" class="form-control" placeholder="${escapeHtml(
+          field.placeholder || ''
+        )}" />`;
+  const hint = field.hint ? `<small class="form-hint">${escapeHtml(field.hint)}</small>` : '';
+  return `
+          <div class="form-group" ${groupAttributes}>
+            <label for="${id}">${escapeHtml(field.label)}</label>
+            ${control}
+            ${hint}
+          </div>`;
+}
+
+/**
+ * Element id of a search backend's settings field (keys are unique across backends)
+ * @param {string} key - e.g. 'searxngUrl'
+ * @returns {string} e.g. 'search-searxng-url'
+ */
+export function searchFieldId(key) {
+  return `search-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Fill the web search backend select and each backend's settings fields. Field groups
+ * carry data-search-backend so only the selected backend's fields show.
+ * @param {Array<Object>} backends - registered search backends (services/search/registry.js)
+ */
+export function renderSearchSettings(backends) {
+  const select = document.getElementById('search-backend');
+  const container = document.getElementById('search-fields');
+
+  if (select) {
+    const selected = select.value;
+    select.innerHTML = backends.map((b) => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.label)}</option>`).join('');
+    if (backends.some((b) => b.id === selected)) select.value = selected;
+  }
+
+  if (!container) return;
+  container.innerHTML = backends
+    .flatMap((backend) =>
+      (backend.settingsFields || []).map((field) =>
+        settingsFieldMarkup(searchFieldId(field.key), field, `data-search-backend="${escapeHtml(backend.id)}"`)
+      )
+    )
+    .join('');
+}
+
+/**
+ * Show or hide the composer chip naming the response schema in effect
+ * @param {{ name: string, scope: 'conversation'|'message' }|null} info
+ */
+export function updateSchemaChip(info) {
+  const chip = document.getElementById('schema-chip');
+  if (!chip) return;
+  chip.hidden = !info;
+  const label = chip.querySelector('.schema-chip-label');
+  if (info && label) {
+    label.textContent = `JSON: ${info.name} (${info.scope === 'message' ? 'next message' : 'this conversation'})`;
+  }
+  document.getElementById('schema-toggle')?.classList.toggle('active', !!info);
+}
+
+/**
+ * Fill the schema template select
+ * @param {Array<{ id: string, name: string }>} templates
+ * @param {string} [selectedId]
+ */
+export function renderSchemaTemplates(templates, selectedId = '') {
+  const select = document.getElementById('schema-template');
+  if (!select) return;
+  select.innerHTML =
+    '<option value="">New schema</option>' +
+    templates
+      .map((t) => `<option value="${escapeHtml(t.id)}" ${t.id === selectedId ? 'selected' : ''}>${escapeHtml(t.name)}</option>`)
+      .join('');
+}
+
+/**
+ * Rows of the compare bar: one provider select + model input per target
+ * @param {Array<{ provider: string, model: string }>} targets
+ * @param {Array<Object>} adapters - registered provider adapters
+ */
+export function renderCompareTargets(targets, adapters) {
+  const container = document.getElementById('compare-targets');
+  if (!container) return;
+
+  container.innerHTML = targets
+    .map((target, index) => {
+      const options = adapters
+        .map(
+          (a) =>
+            `<option value="${escapeHtml(a.id)}" ${a.id === target.provider ? 'selected' : ''}>${escapeHtml(a.label)}</option>`
+        )
+        .join('');
+      return `
+        <div class="compare-target" data-index="${index}">
+          <select class="form-control compare-provider" aria-label="Provider">${options}</select>
+          <input class="form-control compare-model" list="compare-models-${index}" value="${escapeHtml(
+            target.model || ''
+          )}" placeholder="Model" aria-label="Model" />
+          <datalist id="compare-models-${index}"></datalist>
+          <button class="compare-remove" type="button" aria-label="Remove model"><i class="fas fa-times"></i></button>
+        </div>`;
+    })
+    .join('');
+}
+
+/**
+ * Fill a compare row's model suggestions
+ * @param {number} index
+ * @param {Array<string>} models
+ */
+export function fillCompareModels(index, models) {
+  const list = document.getElementById(`compare-models-${index}`);
+  if (list) list.innerHTML = models.map((m) => `<option value="${escapeHtml(m)}"></option>`).join('');
+}
+
+/**
+ * Show the images waiting to be sent above the input, each with a remove button
+ * @param {Array<{ mimeType: string, data: string, name?: string }>} images
+ */
+export function renderAttachmentTray(images) {
+  const tray = document.getElementById('attachment-tray');
+  if (!tray) return;
+  tray.hidden = !images.length;
+  tray.innerHTML = images
+    .map((img, index) => {
+      const name = escapeHtml(img.name || 'image');
+      return `
+        <div class="attachment-thumb">
+          <img src="${toDataUrl(img)}" alt="${name}" title="${name}" data-lightbox>
+          <button type="button" class="attachment-remove" data-remove-image="${index}" aria-label="Remove ${name}">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>`;
+    })
+    .join('');
+}
+
+/**
+ * Show an image full size
+ * @param {string} src
+ * @param {string} [alt]
+ */
+export function openLightbox(src, alt = '') {
+  const lightbox = document.getElementById('lightbox');
+  const img = lightbox?.querySelector('img');
+  if (!lightbox || !img) return;
+  img.src = src;
+  img.alt = alt;
+  lightbox.classList.add('active');
+}
+
+export function closeLightbox() {
+  const lightbox = document.getElementById('lightbox');
+  if (!lightbox) return;
+  lightbox.classList.remove('active');
+  const img = lightbox.querySelector('img');
+  if (img) img.removeAttribute('src');
+}
+
+/**
+ * Show the current conversation's step budget in the chat header
+ * @param {number} steps
+ * @param {boolean} custom - the conversation overrides the default
+ */
+export function updateStepBudget(steps, custom) {
+  const input = document.getElementById('step-budget');
+  if (!input) return;
+  input.value = steps;
+  input.closest('.step-budget')?.classList.toggle('custom', custom);
+}
+
+/**
+ * Show an approval card for a tool call at the end of the message list
+ * @param {{ id: string, name: string, description?: string, args: any }} approval
+ */
+export function renderApprovalCard(approval) {
+  const container = document.getElementById('messages');
+  if (!container || container.querySelector(`[data-approval-id="${approval.id}"]`)) return;
+
+  const card = document.createElement('div');
+  card.className = 'approval-card';
+  card.dataset.approvalId = approval.id;
+  const args = typeof approval.args === 'string' ? approval.args : JSON.stringify(approval.args, null, 2);
+  card.innerHTML = `
+    <div class="approval-header">
+      <i class="fas fa-user-shield"></i>
+      <span>Run <code>${escapeHtml(approval.name)}</code>?</span>
+    </div>
+    ${approval.description ? `<p class="approval-description">${escapeHtml(approval.description)}</p>` : ''}
+    <label class="approval-label">Arguments (editable JSON)</label>
+    <textarea class="form-control approval-args" rows="${Math.min(12, args.split('\n').length + 1)}" spellcheck="false">${escapeHtml(args)}</textarea>
+    <input type="text" class="form-control approval-reason" placeholder="Reason for denying (optional, sent to the model)" />
+    <div class="approval-actions">
+      <button type="button" class="btn btn-secondary" data-approval-action="deny"><i class="fas fa-ban"></i> Deny</button>
+      <button type="button" class="btn btn-primary" data-approval-action="approve"><i class="fas fa-check"></i> Approve</button>
+    </div>`;
+  container.appendChild(card);
+}
+
+/**
+ * @param {string} id
+ */
+export function removeApprovalCard(id) {
+  document.querySelector(`.approval-card[data-approval-id="${id}"]`)?.remove();
+}
+
+/**
+ * Current (possibly edited) arguments text and denial reason of an approval card
+ * @param {string} id
+ * @returns {{ args: string, reason: string }}
+ */
+export function readApprovalCard(id) {
+  const card = document.querySelector(`.approval-card[data-approval-id="${id}"]`);
+  return {
+    args: card?.querySelector('.approval-args')?.value || '{}',
+    reason: card?.querySelector('.approval-reason')?.value.trim() || '',
+  };
+}
+
+/**
+ * Fill the Tools settings tab: per tool an on/off switch, a policy select and a timeout
+ * @param {Array<Object>} tools - registered tools (ToolDefinition)
+ * @param {{ policies?: Object<string, string>, defaultPolicy?: string, timeouts?: Object<string, number>,
+ *   timeoutSeconds?: number, disabled?: Array<string> }} settings - settings.tools
+ * @param {Array<string>} policies - selectable policy values
+ */
+export function renderToolPolicies(tools, settings, policies) {
+  const container = document.getElementById('tool-policies');
+  if (!container) return;
+  const labels = { allow: 'Always allow', ask: 'Ask every time', deny: 'Deny' };
+  container.innerHTML = tools
+    .map((fn) => {
+      const current = settings?.policies?.[fn.name] || settings?.defaultPolicy || 'ask';
+      const enabled = !(settings?.disabled || []).includes(fn.name);
+      const options = policies
+        .map((p) => `<option value="${p}" ${p === current ? 'selected' : ''}>${labels[p] || p}</option>`)
+        .join('');
+      return `
+        <div class="tool-policy-row ${enabled ? '' : 'disabled'}">
+          <input type="checkbox" data-tool-enabled="${escapeHtml(fn.name)}" ${enabled ? 'checked' : ''}
+            title="Offer this tool to the model" aria-label="Enable ${escapeHtml(fn.name)}" />
+          <div class="tool-policy-info">
+            <code>${escapeHtml(fn.name)}</code>${fn.builtin ? '' : ` <span class="tool-badge">${escapeHtml(fn.source || 'custom')}</span>`}
+            <small class="form-hint">${escapeHtml(fn.description || '')}</small>
+          </div>
+          <select class="form-control" data-tool-policy="${escapeHtml(fn.name)}" aria-label="Policy for ${escapeHtml(fn.name)}">${options}</select>
+          <input type="number" class="form-control tool-timeout" min="1" max="600" placeholder="${settings?.timeoutSeconds || ''}"
+            value="${settings?.timeouts?.[fn.name] || ''}" data-tool-timeout="${escapeHtml(fn.name)}"
+            title="Timeout in seconds (empty: default)" aria-label="Timeout for ${escapeHtml(fn.name)} in seconds" />
+        </div>`;
+    })
+    .join('');
+}
+
+/**
+ * Fill the Documents settings tab with the indexed documents
+ * @param {Array<Object>} documents - IndexedDocument records (services/documents.js)
+ * @param {{ documents: number, chunks: number, persistent: boolean }|null} stats
+ * @param {string} [error] - shown instead of the list when the index could not be read
+ */
+export function renderDocumentList(documents, stats, error) {
+  const container = document.getElementById('document-list');
+  if (!container) return;
+  if (error) {
+    container.innerHTML = `<small class="form-hint">The document index is unavailable: ${escapeHtml(error)}</small>`;
+    return;
+  }
+  const rows = documents
+    .map(
+      (doc) => `
+        <div class="document-row">
+          <i class="fas fa-file-alt"></i>
+          <span class="document-name" title="${escapeHtml(doc.name)}">${escapeHtml(doc.name)}</span>
+          <span class="document-meta">${plural(doc.chunks, 'chunk')} · ${formatBytes(doc.size)}${
+            doc.embeddingModel ? ' · <span class="tool-badge">embedded</span>' : ''
+          }</span>
+          <button class="document-remove" type="button" data-remove-document="${escapeHtml(doc.id)}" title="Remove from the index"
+            aria-label="Remove ${escapeHtml(doc.name)}"><i class="fas fa-times"></i></button>
+        </div>`
+    )
+    .join('');
+  const summary = stats
+    ? `${plural(stats.documents, 'document')}, ${plural(stats.chunks, 'chunk')}${
+        stats.persistent ? ', saved in this browser' : ' (storage unavailable: kept until the page is reloaded)'
+      }`
+    : '';
+  container.innerHTML = `${rows || '<small class="form-hint">No documents yet. Upload text, markdown or code files to the chat.</small>'}
+    ${summary ? `<small class="form-hint">${summary}</small>` : ''}`;
+}
+
+/**
+ * Fill the MCP settings tab: one editable row per server with its connection status
+ * @param {Array<Object>} servers - settings.mcp.servers entries (McpServerConfig)
+ * @param {(id: string) => Object|undefined} statusOf - connection status of a server (see renderMcpStatus)
+ * @param {Array<string>} transports - selectable transport values
+ */
+export function renderMcpServers(servers, statusOf, transports) {
+  const container = document.getElementById('mcp-servers');
+  if (!container) return;
+  const labels = { auto: 'Auto', http: 'Streamable HTTP', sse: 'HTTP + SSE (legacy)' };
+  container.innerHTML = servers.length
+    ? servers
+        .map((server) => {
+          const id = escapeHtml(server.id);
+          const options = transports
+            .map((t) => `<option value="${t}" ${t === (server.transport || 'auto') ? 'selected' : ''}>${labels[t] || t}</option>`)
+            .join('');
+          return `
+        <div class="mcp-server" data-mcp-id="${id}">
+          <div class="mcp-server-fields">
+            <input type="checkbox" data-mcp-field="enabled" ${server.enabled === false ? '' : 'checked'}
+              title="Connect to this server" aria-label="Enable server" />
+            <input class="form-control mcp-name" data-mcp-field="name" value="${escapeHtml(server.name || '')}"
+              placeholder="Name" aria-label="Server name" />
+            <input class="form-control mcp-url" data-mcp-field="url" value="${escapeHtml(server.url || '')}"
+              placeholder="https://example.com/mcp" aria-label="Server URL" />
+            <select class="form-control" data-mcp-field="transport" aria-label="Transport">${options}</select>
+            <input type="password" class="form-control" data-mcp-field="token" value="${escapeHtml(server.token || '')}"
+              placeholder="Bearer token (optional)" aria-label="Bearer token" autocomplete="off" />
+            <button class="mcp-action" type="button" data-mcp-connect="${id}" title="Reconnect" aria-label="Reconnect">
+              <i class="fas fa-sync-alt"></i></button>
+            <button class="mcp-action" type="button" data-mcp-remove="${id}" title="Remove server" aria-label="Remove server">
+              <i class="fas fa-times"></i></button>
+          </div>
+          <div class="mcp-status"></div>
+        </div>`;
+        })
+        .join('')
+    : '<small class="form-hint">No servers yet.</small>';
+  servers.forEach((server) => renderMcpStatus(server.id, statusOf(server.id)));
+}
+
+// Names (and descriptions) of listed tools, resources or prompts as a collapsed list
+function mcpItemList(items, noun, label = (item) => item.name) {
+  if (!items?.length) return '';
+  return `
+    <details class="mcp-items">
+      <summary>${plural(items.length, noun)}</summary>
+      <ul>${items
+        .map((item) => `<li><code>${escapeHtml(label(item))}</code>${item.description ? ` ${escapeHtml(item.description)}` : ''}</li>`)
+        .join('')}</ul>
+    </details>`;
+}
+
+/**
+ * Show the connection status of one MCP server in its settings row
+ * @param {string} id - server id
+ * @param {{ state: 'off'|'connecting'|'connected'|'error', error?: string, info?: Object,
+ *   tools?: Array<Object>, resources?: Array<Object>, prompts?: Array<Object>, skipped?: Array<string> }} [status]
+ */
+export function renderMcpStatus(id, status = { state: 'off' }) {
+  const el = document.querySelector(`.mcp-server[data-mcp-id="${id}"] .mcp-status`);
+  if (!el) return;
+  el.dataset.state = status.state;
+  if (status.state === 'connecting') {
+    el.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Connecting…';
+  } else if (status.state === 'error') {
+    el.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${escapeHtml(status.error || 'Could not connect.')}`;
+  } else if (status.state === 'connected') {
+    const { serverInfo = {}, transport, protocolVersion } = status.info || {};
+    const via = transport === 'sse' ? 'HTTP + SSE' : 'Streamable HTTP';
+    const skipped = status.skipped?.length
+      ? `<small class="form-hint">Not offered to the model: ${escapeHtml(status.skipped.join('; '))}</small>`
+      : '';
+    el.innerHTML = `
+      <i class="fas fa-check-circle"></i> ${escapeHtml(
+        `${serverInfo.name || 'Server'}${serverInfo.version ? ` ${serverInfo.version}` : ''} · ${via} · protocol ${protocolVersion}`
+      )}
+      ${mcpItemList(status.tools, 'tool')}
+      ${mcpItemList(status.resources, 'resource', (r) => r.uri || r.name)}
+      ${mcpItemList(status.prompts, 'prompt')}
+      ${skipped}`;
+  } else {
+    el.innerHTML = '<small class="form-hint">Not connected. Saved, enabled servers connect automatically.</small>';
+  }
+}
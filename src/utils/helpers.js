@@ -28,3 +28,33 @@ export function preventDefaults(e) {
     e.stopPropagation();
   } catch (_) {}
 }
+
+/**
+ * Generate a prefixed id that stays unique within the same millisecond
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function uniqueId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Save text (or a Blob, e.g. a PNG) as a file through a temporary download link
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,74 @@
+/**
+ * utils/images.js
+ * Turn image files (picker, drag/drop, clipboard) into content parts.
+ * Large images are scaled down before they are stored, which keeps requests
+ * and saved conversations small.
+ */
+
+// Formats every vision provider accepts
+export const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Largest stored image, after scaling (Anthropic's per-image limit)
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Longest side kept; providers downscale bigger images anyway
+const MAX_DIMENSION = 1568;
+
+/**
+ * Whether a file is an image we can attach
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return !!file && SUPPORTED_IMAGE_TYPES.includes(file.type);
+}
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Could not read the image.'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Scale an image down to MAX_DIMENSION; GIFs are kept as-is so animations survive
+async function downscale(file) {
+  if (file.type === 'image/gif' || typeof createImageBitmap !== 'function') return file;
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1) {
+    bitmap.close?.();
+    return file;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+
+  const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, 0.9));
+  return blob || file;
+}
+
+/**
+ * Read an image file into an image content part
+ * @param {File} file
+ * @returns {Promise<{ type: 'image', mimeType: string, data: string, name: string }>}
+ * @throws {Error} for unsupported formats and images over MAX_IMAGE_BYTES
+ */
+export async function readImageFile(file) {
+  if (!isImageFile(file)) throw new Error(`${file?.name || 'This file'} is not a PNG, JPEG, WebP or GIF image.`);
+
+  const blob = await downscale(file);
+  if (blob.size > MAX_IMAGE_BYTES) {
+    throw new Error(`${file.name} is larger than ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB.`);
+  }
+
+  const dataUrl = await readAsDataUrl(blob);
+  const [, mimeType, data] = /^data:([^;]+);base64,(.*)$/s.exec(dataUrl) || [];
+  if (!data) throw new Error(`Could not read ${file.name}.`);
+  return { type: 'image', mimeType, data, name: file.name || 'pasted image' };
+}
@@ -0,0 +1,194 @@
+/**
+ * utils/json-schema.js
+ * Small JSON Schema validator covering the keywords structured outputs use in practice:
+ * type, enum, const, properties/required/additionalProperties, items, anyOf/oneOf/allOf/not,
+ * string/number/array bounds, pattern and local $refs (#/$defs/..., #/definitions/...).
+ * Unknown keywords (format, title, description...) are ignored.
+ */
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+// Nested $refs are followed at most this deep, so recursive schemas cannot loop forever
+const MAX_DEPTH = 32;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Resolve a local JSON pointer such as '#/$defs/address' against the root schema
+function resolvePointer(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) throw new Error(`Only local $refs are supported: ${ref}`);
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => {
+      const next = node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+      if (next === undefined) throw new Error(`Unresolved $ref: ${ref}`);
+      return next;
+    }, root);
+}
+
+// Float division leaves 19.99 / 0.01 at 1998.9999999999998, so the quotient only has to be
+// within rounding error of a whole number
+function isMultipleOf(value, divisor) {
+  const quotient = value / divisor;
+  return Math.abs(quotient - Math.round(quotient)) <= 1e-9 * Math.max(1, Math.abs(quotient));
+}
+
+function validateNode(value, schema, path, ctx, depth) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    ctx.errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (depth > MAX_DEPTH) return;
+  if (schema.$ref) {
+    validateNode(value, resolvePointer(ctx.root, schema.$ref), path, ctx, depth + 1);
+    return;
+  }
+  const errors = ctx.errors;
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      fail(`should be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return; // the remaining keywords would only repeat the mismatch
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    fail(`should be one of ${schema.enum.map((o) => JSON.stringify(o)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) fail(`should be ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail(`should match /${schema.pattern}/`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`should be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`should be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf && !isMultipleOf(value, schema.multipleOf)) fail(`should be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) fail('should not contain duplicates');
+    const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+      validateNode(item, itemSchema, `${path}[${i}]`, ctx, depth + 1);
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!Object.hasOwn(value, key)) fail(`is missing required property "${key}"`);
+    });
+    Object.keys(value).forEach((key) => {
+      const at = `${path}.${key}`;
+      if (Object.hasOwn(properties, key)) validateNode(value[key], properties[key], at, ctx, depth + 1);
+      else if (schema.additionalProperties === false) fail('is not an allowed property', at);
+      else if (typeof schema.additionalProperties === 'object') validateNode(value[key], schema.additionalProperties, at, ctx, depth + 1);
+    });
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) fail(`should have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) fail(`should have at most ${schema.maxProperties} properties`);
+  }
+
+  // Combinators collect sub-errors separately and only report a summary
+  const passes = (sub) => validateJSON(value, sub, { root: ctx.root, path, depth: depth + 1 }).length === 0;
+  if (Array.isArray(schema.allOf)) schema.allOf.forEach((sub) => validateNode(value, sub, path, ctx, depth + 1));
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(passes)) fail('does not match any of the allowed shapes (anyOf)');
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(passes).length;
+    if (matches !== 1) fail(`should match exactly one allowed shape (oneOf), matched ${matches}`);
+  }
+  if (schema.not !== undefined && passes(schema.not)) fail('matches a disallowed shape (not)');
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {any} value
+ * @param {Object|boolean} schema
+ * @param {{ root?: Object, path?: string, depth?: number }} [options] - root is what $refs resolve against
+ * @returns {Array<{ path: string, message: string }>} empty when the value is valid; path is like '$.items[0].name'
+ */
+export function validateJSON(value, schema, { root = schema, path = '$', depth = 0 } = {}) {
+  const ctx = { root, errors: [] };
+  validateNode(value, schema, path, ctx, depth);
+  return ctx.errors;
+}
+
+/**
+ * Check that a schema is usable before it is attached to a request
+ * @param {any} schema
+ * @throws {Error} describing the first problem found
+ */
+export function assertSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error('The schema must be a JSON object.');
+  const visit = (node, path) => {
+    if (typeof node === 'boolean' || node === undefined) return;
+    if (!node || typeof node !== 'object' || Array.isArray(node)) throw new Error(`${path} must be a schema object.`);
+    if (node.$ref) resolvePointer(schema, node.$ref);
+    const types = node.type === undefined ? [] : Array.isArray(node.type) ? node.type : [node.type];
+    types.forEach((t) => {
+      if (!TYPES.includes(t)) throw new Error(`${path}: unknown type "${t}".`);
+    });
+    if (node.pattern !== undefined) {
+      try {
+        new RegExp(node.pattern, 'u');
+      } catch (e) {
+        throw new Error(`${path}: invalid pattern (${e.message}).`);
+      }
+    }
+    Object.entries(node.properties || {}).forEach(([key, sub]) => visit(sub, `${path}.properties.${key}`));
+    Object.entries(node.$defs || node.definitions || {}).forEach(([key, sub]) => visit(sub, `${path}.$defs.${key}`));
+    if (node.items && !Array.isArray(node.items)) visit(node.items, `${path}.items`);
+    if (typeof node.additionalProperties === 'object') visit(node.additionalProperties, `${path}.additionalProperties`);
+    ['anyOf', 'oneOf', 'allOf', 'prefixItems'].forEach((key) => (node[key] || []).forEach((sub, i) => visit(sub, `${path}.${key}[${i}]`)));
+  };
+  visit(schema, '$');
+}
+
+/**
+ * Copy of a schema with every local $ref replaced by its target (for providers that
+ * reject $ref). Recursive references stop at MAX_DEPTH and become {}.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function inlineRefs(schema) {
+  const inline = (node, depth) => {
+    if (!node || typeof node !== 'object') return node;
+    if (Array.isArray(node)) return node.map((n) => inline(n, depth));
+    if (node.$ref) return depth > MAX_DEPTH ? {} : inline(resolvePointer(schema, node.$ref), depth + 1);
+    const out = {};
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === '$defs' || key === 'definitions') return;
+      if (['enum', 'const', 'default', 'examples'].includes(key)) out[key] = value; // data, not schemas
+      else if (key === 'properties' && value && typeof value === 'object') {
+        out.properties = Object.fromEntries(Object.entries(value).map(([name, sub]) => [name, inline(sub, depth)]));
+      } else out[key] = inline(value, depth);
+    });
+    return out;
+  };
+  return inline(schema, 0);
+}
@@ -0,0 +1,385 @@
+/**
+ * workers/docs-worker.js
+ * Document index behind search_documents and automatic retrieval (see services/documents.js).
+ * Classic worker script, one per page: uploaded text is split into chunks, ranked with BM25
+ * (fused with cosine similarity when chunks carry embedding vectors) and persisted to
+ * IndexedDB, so the index survives reloads. Requests are { id, type, ...payload } and every
+ * one is answered with { id, ok, result } or { id, ok: false, error }.
+ */
+'use strict';
+
+(() => {
+  const DB_NAME = 'leafai-documents';
+  const DB_VERSION = 1;
+
+  // Chunk size in characters; chunks end at a heading, a blank line or a line break near the target
+  const TARGET_CHARS = 1200;
+  const MAX_CHARS = 2000;
+  // Lines repeated at the start of the next chunk of code and plain text (markdown splits at headings)
+  const OVERLAP_LINES = 2;
+
+  // BM25 parameters
+  const K1 = 1.2;
+  const B = 0.75;
+  // Reciprocal rank fusion constant and how deep each ranking is fused
+  const RRF_K = 60;
+  const FUSE_DEPTH = 50;
+
+  const MARKDOWN = /\.(md|markdown|mdx)$/i;
+  const CODE = /\.(js|mjs|cjs|ts|jsx|tsx|py|html|css|xml|yaml|yml|sql|json|sh|java|go|rs|c|h|cpp|rb|php)$/i;
+
+  const STOP_WORDS = new Set(
+    'a an and are as at be but by for from has have if in into is it its of on or that the their then there these this to was were will with'.split(' ')
+  );
+
+  // In-memory index, rebuilt from IndexedDB on start
+  const documents = new Map(); // id -> { id, name, mimeType, size, kind, chunks, addedAt, embeddingModel? }
+  const chunks = new Map(); // id -> chunk record (see chunkDocument) + length
+  const postings = new Map(); // term -> Map(chunkId -> term frequency)
+  let totalLength = 0;
+  let db = null;
+
+  // ---------------------------------------------------------------------------
+  // IndexedDB
+  // ---------------------------------------------------------------------------
+
+  const request = (req) =>
+    new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    const open = indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      const database = open.result;
+      if (!database.objectStoreNames.contains('documents')) database.createObjectStore('documents', { keyPath: 'id' });
+      if (!database.objectStoreNames.contains('chunks')) {
+        database.createObjectStore('chunks', { keyPath: 'id' }).createIndex('docId', 'docId');
+      }
+    };
+    // Private windows and blocked storage fall back to an index that lasts for the page
+    return request(open).catch(() => null);
+  }
+
+  // Run fn(stores) in one readwrite transaction and wait for it to commit
+  function write(fn) {
+    if (!db) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+      fn({ documents: tx.objectStore('documents'), chunks: tx.objectStore('chunks') });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Saving the document index was aborted (storage full?).'));
+    });
+  }
+
+  async function load() {
+    db = await openDatabase();
+    if (!db) return;
+    const tx = db.transaction(['documents', 'chunks'], 'readonly');
+    const [docs, stored] = await Promise.all([
+      request(tx.objectStore('documents').getAll()),
+      request(tx.objectStore('chunks').getAll()),
+    ]);
+    docs.forEach((doc) => documents.set(doc.id, doc));
+    stored.forEach(addToIndex);
+  }
+
+  const ready = load();
+
+  // ---------------------------------------------------------------------------
+  // Chunking
+  // ---------------------------------------------------------------------------
+
+  function documentKind(name) {
+    if (MARKDOWN.test(name)) return 'markdown';
+    if (CODE.test(name)) return 'code';
+    return 'text';
+  }
+
+  // Very long lines (minified code, one-line JSON) are cut so no chunk exceeds MAX_CHARS
+  function splitLines(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      for (let start = 0; start === 0 || start < line.length; start += MAX_CHARS) {
+        lines.push({ text: line.slice(start, start + MAX_CHARS), number: i + 1 });
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Split a document into chunks of about TARGET_CHARS characters
+   * @returns {Array<{ id: string, docId: string, docName: string, index: number, text: string,
+   *   startLine: number, endLine: number, heading: string }>} heading: markdown section path
+   */
+  function chunkDocument(doc, kind) {
+    const lines = splitLines(doc.text);
+    const result = [];
+    const headings = [];
+    let current = [];
+    let size = 0;
+    let heading = '';
+    // Lines at the start of current that were already part of the previous chunk
+    let carried = 0;
+
+    const flush = (overlap) => {
+      const text = current.map((l) => l.text).join('\n').trim();
+      if (text && current.length > carried) {
+        result.push({
+          id: `${doc.id}#${result.length}`,
+          docId: doc.id,
+          docName: doc.name,
+          index: result.length,
+          text,
+          startLine: current[0].number,
+          endLine: current[current.length - 1].number,
+          heading,
+        });
+      }
+      current = overlap ? current.slice(-OVERLAP_LINES) : [];
+      carried = current.length;
+      size = current.reduce((sum, l) => sum + l.text.length + 1, 0);
+    };
+
+    lines.forEach((line) => {
+      const match = kind === 'markdown' && /^(#{1,6})\s+(.*)$/.exec(line.text);
+      if (match) {
+        if (current.length) flush(false);
+        headings.length = match[1].length - 1;
+        headings[match[1].length - 1] = match[2].trim();
+        heading = headings.filter(Boolean).join(' › ');
+      } else if (size >= TARGET_CHARS / 2 && !line.text.trim() && kind !== 'markdown') {
+        // Paragraph and block boundaries are the preferred places to cut
+        flush(true);
+        return;
+      } else if (size + line.text.length > MAX_CHARS || (size >= TARGET_CHARS && kind === 'markdown' && !line.text.trim())) {
+        flush(kind !== 'markdown');
+      }
+      current.push(line);
+      size += line.text.length + 1;
+    });
+    flush(false);
+    return result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // BM25 index
+  // ---------------------------------------------------------------------------
+
+  // Plurals fold onto the singular ("tokens" finds "token"); no further stemming
+  const singular = (term) => (term.length > 3 && /[^s]s$/.test(term) && !/\d/.test(term) ? term.slice(0, -1) : term);
+
+  // Words and numbers, lower-cased; camelCase and snake_case identifiers also yield their parts
+  function tokenize(text) {
+    const tokens = [];
+    (String(text).match(/[\p{L}\p{N}_]+/gu) || []).forEach((word) => {
+      const lower = word.toLowerCase();
+      const parts = word
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+        .toLowerCase()
+        .split(/[\s_]+/)
+        .filter(Boolean);
+      if (parts.length > 1) tokens.push(lower.replace(/_/g, ''), ...parts);
+      else tokens.push(lower.replace(/_/g, ''));
+    });
+    return tokens.filter((t) => t && !STOP_WORDS.has(t) && (t.length > 1 || /\d/.test(t))).map(singular);
+  }
+
+  function addToIndex(chunk) {
+    // The file name and section heading count as part of the chunk text
+    const terms = tokenize(`${chunk.docName} ${chunk.heading || ''} ${chunk.text}`);
+    chunks.set(chunk.id, { ...chunk, length: terms.length });
+    totalLength += terms.length;
+    terms.forEach((term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const list = postings.get(term);
+      list.set(chunk.id, (list.get(chunk.id) || 0) + 1);
+    });
+  }
+
+  function removeFromIndex(docId) {
+    chunks.forEach((chunk, id) => {
+      if (chunk.docId !== docId) return;
+      totalLength -= chunk.length;
+      chunks.delete(id);
+    });
+    postings.forEach((list, term) => {
+      list.forEach((_, id) => {
+        if (!chunks.has(id)) list.delete(id);
+      });
+      if (!list.size) postings.delete(term);
+    });
+  }
+
+  function bm25(query) {
+    const n = chunks.size;
+    const avgLength = n ? totalLength / n : 0;
+    const scores = new Map();
+    new Set(tokenize(query)).forEach((term) => {
+      const list = postings.get(term);
+      if (!list) return;
+      const idf = Math.log(1 + (n - list.size + 0.5) / (list.size + 0.5));
+      list.forEach((tf, id) => {
+        const length = chunks.get(id).length;
+        const score = (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * length) / (avgLength || 1)));
+        scores.set(id, (scores.get(id) || 0) + score);
+      });
+    });
+    return Array.from(scores, ([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+  }
+
+  function cosine(a, b) {
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < a.length; i += 1) {
+      dot += a[i] * b[i];
+      na += a[i] * a[i];
+      nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+  }
+
+  // Chunks embedded with the same model as the query vector, by similarity
+  function vectorRanking(vector, model) {
+    const ranked = [];
+    chunks.forEach((chunk, id) => {
+      if (chunk.vector && chunk.embeddingModel === model && chunk.vector.length === vector.length) {
+        ranked.push({ id, score: cosine(vector, chunk.vector) });
+      }
+    });
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Requests
+  // ---------------------------------------------------------------------------
+
+  // As saved in IndexedDB (the term count is recomputed on load), and as sent back to the page
+  const storedChunk = ({ length, ...chunk }) => chunk;
+  const publicChunk = ({ vector, length, ...chunk }) => chunk;
+
+  const handlers = {
+    async add({ doc }) {
+      // A file uploaded again under the same name replaces the old copy
+      const replaced = Array.from(documents.values()).filter((d) => d.name === doc.name || d.id === doc.id);
+      for (const old of replaced) await handlers.remove({ docId: old.id });
+
+      const kind = documentKind(doc.name);
+      const docChunks = chunkDocument(doc, kind);
+      const record = {
+        id: doc.id,
+        name: doc.name,
+        mimeType: doc.mimeType || 'text/plain',
+        size: doc.size ?? doc.text.length,
+        kind,
+        chunks: docChunks.length,
+        addedAt: Date.now(),
+      };
+      await write((stores) => {
+        stores.documents.put(record);
+        docChunks.forEach((chunk) => stores.chunks.put(chunk));
+      });
+      documents.set(record.id, record);
+      docChunks.forEach(addToIndex);
+      return { document: record, chunks: docChunks.map(({ id, text }) => ({ id, text })), replaced: replaced.map((d) => d.id) };
+    },
+
+    async vectors({ model, vectors }) {
+      const updated = [];
+      vectors.forEach(({ id, vector }) => {
+        const chunk = chunks.get(id);
+        if (!chunk) return;
+        chunk.vector = vector;
+        chunk.embeddingModel = model;
+        updated.push(chunk);
+      });
+      const docIds = new Set(updated.map((c) => c.docId));
+      docIds.forEach((docId) => {
+        if (documents.has(docId)) documents.get(docId).embeddingModel = model;
+      });
+      await write((stores) => {
+        updated.forEach((chunk) => stores.chunks.put(storedChunk(chunk)));
+        docIds.forEach((docId) => {
+          if (documents.has(docId)) stores.documents.put(documents.get(docId));
+        });
+      });
+      return { updated: updated.length };
+    },
+
+    search({ query, topK = 4, vector, model }) {
+      const lexical = bm25(query).slice(0, FUSE_DEPTH);
+      const semantic = vector ? vectorRanking(vector, model).slice(0, FUSE_DEPTH) : [];
+      let ranked;
+      if (semantic.length) {
+        const fused = new Map();
+        // Reciprocal rank fusion: BM25 scores and similarities are not on the same scale
+        const add = (list, kind) =>
+          list.forEach(({ id }, rank) => {
+            const entry = fused.get(id) || { id, score: 0, match: kind };
+            entry.score += 1 / (RRF_K + rank + 1);
+            if (entry.match !== kind) entry.match = 'hybrid';
+            fused.set(id, entry);
+          });
+        add(lexical, 'bm25');
+        add(semantic, 'vector');
+        ranked = Array.from(fused.values()).sort((a, b) => b.score - a.score);
+      } else {
+        ranked = lexical.map(({ id, score }) => ({ id, score, match: 'bm25' }));
+      }
+      return ranked.slice(0, topK).map(({ id, score, match }) => ({
+        ...publicChunk(chunks.get(id)),
+        score: +score.toFixed(4),
+        match,
+      }));
+    },
+
+    list() {
+      return Array.from(documents.values()).sort((a, b) => a.addedAt - b.addedAt);
+    },
+
+    async remove({ docId }) {
+      if (!documents.has(docId)) return { removed: false };
+      documents.delete(docId);
+      removeFromIndex(docId);
+      if (db) {
+        const keys = await request(db.transaction('chunks', 'readonly').objectStore('chunks').index('docId').getAllKeys(docId));
+        await write((stores) => {
+          stores.documents.delete(docId);
+          keys.forEach((key) => stores.chunks.delete(key));
+        });
+      }
+      return { removed: true };
+    },
+
+    async clear() {
+      documents.clear();
+      chunks.clear();
+      postings.clear();
+      totalLength = 0;
+      await write((stores) => {
+        stores.documents.clear();
+        stores.chunks.clear();
+      });
+      return { cleared: true };
+    },
+
+    stats() {
+      return { documents: documents.size, chunks: chunks.size, terms: postings.size, persistent: !!db };
+    },
+  };
+
+  self.onmessage = async ({ data }) => {
+    const { id, type, ...payload } = data || {};
+    try {
+      await ready;
+      if (!handlers[type]) throw new Error(`Unknown document index request "${type}".`);
+      self.postMessage({ id, ok: true, result: await handlers[type](payload) });
+    } catch (err) {
+      self.postMessage({ id, ok: false, error: { name: err?.name || 'Error', message: err?.message || String(err) } });
+    }
+  };
+})();
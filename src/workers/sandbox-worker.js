@@ -0,0 +1,246 @@
+/**
+ * workers/sandbox-worker.js
+ * Runs one piece of untrusted JavaScript for the execute_code tool (see services/sandbox.js).
+ * Classic worker script, one worker per run: network, storage and nested workers are
+ * removed from the global scope before the code is compiled (the frame's CSP refuses
+ * network requests regardless), a best-effort memory guard stops common runaway allocations, console output
+ * is captured and the result is converted to plain JSON before it is posted back.
+ */
+'use strict';
+
+(() => {
+  const post = self.postMessage.bind(self);
+
+  // Anything that reaches outside the worker; DOM APIs do not exist in workers to begin with
+  const BLOCKED = [
+    'fetch',
+    'XMLHttpRequest',
+    'WebSocket',
+    'WebTransport',
+    'EventSource',
+    'importScripts',
+    'indexedDB',
+    'caches',
+    'cookieStore',
+    'BroadcastChannel',
+    'Worker',
+    'SharedWorker',
+    'postMessage',
+    'close',
+  ];
+  BLOCKED.forEach((name) => {
+    // Own properties of the global and of its prototypes, then a non-writable undefined on top
+    for (let target = self; target; target = Object.getPrototypeOf(target)) {
+      try {
+        delete target[name];
+      } catch (_) {}
+    }
+    try {
+      Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch (_) {}
+  });
+  try {
+    Object.defineProperty(self, 'navigator', { value: undefined, writable: false, configurable: false });
+  } catch (_) {}
+
+  let limits = { maxLogLines: 200, maxOutputChars: 20000, maxDepth: 6 };
+  let logLines = 0;
+  let outputChars = 0;
+
+  // ---------------------------------------------------------------------------
+  // Memory guard
+  // ---------------------------------------------------------------------------
+  // Workers have no heap limit of their own, so the built-ins code most often grows memory with
+  // are wrapped: arrays, Maps and Sets stop at maxCollectionSize entries when grown through their
+  // methods, built strings at maxStringLength characters and buffers at maxBufferBytes. Every so
+  // often the heap is checked as well, where the browser reports it. This is a heuristic, not a
+  // limit: index assignment (`a[i] = x`), `length` and built-ins that are not wrapped bypass it,
+  // and only the host's timeout and the worker crashing bound such code. Once the guard trips,
+  // guarded calls keep failing so catching the error does not help, and the run is reported as failed.
+  let exhausted = null;
+  let guardedCalls = 0;
+
+  function heapUsed() {
+    return performance.memory ? performance.memory.usedJSHeapSize : 0;
+  }
+
+  function trip(message) {
+    exhausted ||= new RangeError(`Memory guard: ${message}`);
+    throw exhausted;
+  }
+
+  function guard(size, max, what) {
+    if (exhausted) throw exhausted;
+    if (size > max) trip(`too many ${what} (${size}; the limit is ${max}).`);
+    if (++guardedCalls % 1000 === 0 && heapUsed() > limits.maxHeapBytes) {
+      trip(`the sandbox heap passed ${Math.round(limits.maxHeapBytes / 1024 / 1024)} MB.`);
+    }
+  }
+
+  function wrapMethod(proto, name, size, max, what) {
+    const original = proto[name];
+    Object.defineProperty(proto, name, {
+      value: function (...args) {
+        guard(size(this, args), limits[max], what);
+        return original.apply(this, args);
+      },
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  // Constructors called with a length (new Array(n), new Uint8Array(n), new ArrayBuffer(n))
+  function wrapConstructor(name, bytes) {
+    const original = self[name];
+    if (typeof original !== 'function') return;
+    const check = (args) => {
+      if (typeof args[0] !== 'number') return;
+      if (bytes) guard(args[0] * bytes, limits.maxBufferBytes, `${name} bytes`);
+      else if (args.length === 1) guard(args[0], limits.maxCollectionSize, 'array elements');
+    };
+    const wrapped = new Proxy(original, {
+      apply(target, thisArg, args) {
+        check(args);
+        return Reflect.apply(target, thisArg, args);
+      },
+      construct(target, args, newTarget) {
+        check(args);
+        return Reflect.construct(target, args, newTarget === wrapped ? target : newTarget);
+      },
+    });
+    Object.defineProperty(self, name, { value: wrapped, writable: false, configurable: false });
+  }
+
+  function installMemoryGuard() {
+    const items = (args) => args.length;
+    const spread = (args) => args.reduce((n, a) => n + (Array.isArray(a) ? a.length : 1), 0);
+    wrapMethod(Array.prototype, 'push', (arr, args) => arr.length + items(args), 'maxCollectionSize', 'array elements');
+    wrapMethod(Array.prototype, 'unshift', (arr, args) => arr.length + items(args), 'maxCollectionSize', 'array elements');
+    wrapMethod(Array.prototype, 'splice', (arr, args) => arr.length + Math.max(0, args.length - 2), 'maxCollectionSize', 'array elements');
+    wrapMethod(Array.prototype, 'concat', (arr, args) => arr.length + spread(args), 'maxCollectionSize', 'array elements');
+    wrapMethod(Map.prototype, 'set', (map) => map.size + 1, 'maxCollectionSize', 'Map entries');
+    wrapMethod(Set.prototype, 'add', (set) => set.size + 1, 'maxCollectionSize', 'Set entries');
+    wrapMethod(String.prototype, 'repeat', (str, [n]) => String(str).length * (Number(n) || 0), 'maxStringLength', 'string characters');
+    wrapMethod(String.prototype, 'padStart', (str, [n]) => Number(n) || 0, 'maxStringLength', 'string characters');
+    wrapMethod(String.prototype, 'padEnd', (str, [n]) => Number(n) || 0, 'maxStringLength', 'string characters');
+    wrapMethod(Array.prototype, 'join', (arr, [sep = ',']) => arr.length * String(sep).length, 'maxStringLength', 'string characters');
+    wrapConstructor('Array');
+    wrapConstructor('ArrayBuffer', 1);
+    wrapConstructor('SharedArrayBuffer', 1);
+    ['Int8', 'Uint8', 'Uint8Clamped', 'Int16', 'Uint16', 'Int32', 'Uint32', 'Float32', 'Float64', 'BigInt64', 'BigUint64'].forEach(
+      (type) => wrapConstructor(`${type}Array`, self[`${type}Array`]?.BYTES_PER_ELEMENT)
+    );
+
+    // Asynchronous code yields, so there the heap can also be measured where the browser allows it
+    if (typeof performance.measureUserAgentSpecificMemory === 'function' && self.crossOriginIsolated) {
+      const poll = () =>
+        performance
+          .measureUserAgentSpecificMemory()
+          .then(({ bytes }) => {
+            if (bytes > limits.maxHeapBytes) exhausted ||= new RangeError('Memory guard: the sandbox heap passed its limit.');
+            else setTimeout(poll, 250);
+          })
+          .catch(() => {});
+      poll();
+    }
+  }
+
+  // JSON-safe copy of any value: functions, symbols, bigints, errors, Maps/Sets, cycles and depth
+  function serialize(value, depth = 0, seen = new WeakSet()) {
+    if (value === undefined) return '[undefined]';
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    if (value instanceof RegExp) return value.toString();
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= limits.maxDepth) return Array.isArray(value) ? '[Array]' : '[Object]';
+    seen.add(value);
+    try {
+      if (value instanceof Map) {
+        return { '[Map]': Array.from(value, ([k, v]) => [serialize(k, depth + 1, seen), serialize(v, depth + 1, seen)]) };
+      }
+      if (value instanceof Set) return { '[Set]': Array.from(value, (v) => serialize(v, depth + 1, seen)) };
+      if (ArrayBuffer.isView(value)) return Array.from(value.slice ? value.slice(0, 1000) : []);
+      if (Array.isArray(value)) return value.map((v) => serialize(v, depth + 1, seen));
+      const out = {};
+      Object.keys(value).forEach((key) => {
+        out[key] = serialize(value[key], depth + 1, seen);
+      });
+      return out;
+    } finally {
+      seen.delete(value);
+    }
+  }
+
+  // console.log formatting: strings as they are, everything else as compact JSON
+  function formatArg(arg) {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return arg.stack || `${arg.name}: ${arg.message}`;
+    const value = serialize(arg);
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  // Console output is capped so a logging loop cannot flood the page
+  function capture(level, args) {
+    if (logLines >= limits.maxLogLines || outputChars >= limits.maxOutputChars) return;
+    let text = args.map(formatArg).join(' ');
+    if (outputChars + text.length > limits.maxOutputChars) text = `${text.slice(0, limits.maxOutputChars - outputChars)}…`;
+    logLines += 1;
+    outputChars += text.length;
+    post({ type: 'log', level, text });
+    if (logLines === limits.maxLogLines || outputChars >= limits.maxOutputChars) {
+      post({ type: 'log', level: 'warn', text: '[output limit reached, further console output dropped]' });
+    }
+  }
+
+  const sandboxConsole = {};
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((level) => {
+    sandboxConsole[level] = (...args) => capture(level, args);
+  });
+  sandboxConsole.table = (data) => capture('log', [data]);
+  sandboxConsole.dir = (data) => capture('log', [data]);
+
+  const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+  // A lone expression ("2 + 2", "[1, 2].map(...)") is its own result; statements use `return`
+  function compile(code) {
+    try {
+      return new AsyncFunction('console', `return (\n${code.replace(/;\s*$/, '')}\n);`);
+    } catch (_) {
+      return new AsyncFunction('console', code);
+    }
+  }
+
+  self.onmessage = async (event) => {
+    self.onmessage = null;
+    const { code } = event.data || {};
+    limits = { ...limits, ...(event.data?.limits || {}) };
+    const started = performance.now();
+    try {
+      const compiled = compile(String(code ?? ''));
+      installMemoryGuard();
+      const result = await compiled(sandboxConsole);
+      if (exhausted) throw exhausted;
+      let value = serialize(result);
+      const json = JSON.stringify(value);
+      if (json && json.length > limits.maxOutputChars) {
+        value = `${json.slice(0, limits.maxOutputChars)}… [result cut at ${limits.maxOutputChars} characters]`;
+      }
+      post({ type: 'done', ok: true, result: value, durationMs: Math.round(performance.now() - started) });
+    } catch (err) {
+      post({
+        type: 'done',
+        ok: false,
+        error: { name: err?.name || 'Error', message: err?.message || String(err) },
+        durationMs: Math.round(performance.now() - started),
+      });
+    }
+  };
+
+  // The frame sends the run once the worker is known to have started
+  post({ type: 'ready' });
+})();